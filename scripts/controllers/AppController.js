@@ -10,7 +10,89 @@ import { TTSCacheService } from '../services/TTSCacheService.js';
 import { ProjectCacheService } from '../services/ProjectCacheService.js';
 import { TextEditorService } from '../services/TextEditorService.js';
 import { SampleAudioService } from '../services/SampleAudioService.js';
-import { parseTextFile } from '../utils/parser.js';
+import { FragmentLibraryService } from '../services/FragmentLibraryService.js';
+import { LexiconService } from '../services/LexiconService.js';
+import { SoundLibraryService } from '../services/SoundLibraryService.js';
+import { voiceLanguage } from '../services/GoogleCloudTTSAdapter.js';
+import {
+  parseProgram,
+  parseVariableList,
+  formatParseError,
+  formatClockTime,
+  SOUND_EFFECTS,
+} from '../utils/parser.js';
+import { IMPORT_FIELDS, spreadsheetToProgram } from '../utils/spreadsheet.js';
+import { proseToProgram } from '../utils/prose.js';
+import { applyLexicon, findAffectedLines } from '../utils/lexicon.js';
+
+// Overruns of an @at cue (or a generated phrase's slot) smaller than this are not worth a warning
+const CUE_TOLERANCE_SECONDS = 0.05;
+
+// Target loudness (LUFS) of each loudness preset
+const LOUDNESS_PRESETS = {
+  podcast: -16,
+  streaming: -14,
+};
+
+// Speech loudness (LUFS) phrase clips are matched to, and the most matching turns a clip up or down (dB)
+const PHRASE_LOUDNESS_TARGET = -20;
+const PHRASE_MATCH_LIMIT = 12;
+
+// Background ducking when its fields are blank, for renders, saved projects and restores alike
+const DUCKING_DEFAULTS = {
+  amount: -12, // dB
+  attack: 100, // ms
+  release: 600, // ms
+};
+
+// Silence trimming when its fields are blank, for renders, saved projects and restores alike
+const TRIM_DEFAULTS = {
+  threshold: -50, // dBFS
+  padding: 50, // ms
+};
+
+// Rows shown in the spreadsheet import preview
+const SPREADSHEET_PREVIEW_ROWS = 5;
+
+// Form fields holding each engine's voice
+const FORM_VOICE_FIELDS = {
+  openai: 'openai-voice',
+  'google-cloud': 'google-voice',
+  'web-speech': 'web-speech-voice',
+};
+
+// Labels for the spreadsheet import column pickers
+const IMPORT_FIELD_LABELS = {
+  text: 'Text',
+  duration: 'Pause',
+  voice: 'Voice',
+  speed: 'Speed',
+  section: 'Section',
+  note: 'Note',
+};
+
+/**
+ * Read a number field from the form
+ * @param {FormData} formData - Form data
+ * @param {string} name - Field name
+ * @param {number|null} fallback - Value for a blank or non-numeric field
+ * @returns {number|null} Value
+ */
+function readNumber(formData, name, fallback) {
+  const value = parseFloat(formData.get(name));
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Key of a phrase's manual gain
+ * Source line and text together, so a gain does not carry over to another
+ * program, or to another phrase when edits shift the lines
+ * @param {{line: number, phrase: string}} phrase - Parsed phrase
+ * @returns {string} Key in phraseGains
+ */
+function phraseGainKey({ line, phrase }) {
+  return `${line}:${phrase}`;
+}
 
 export class AppController {
   constructor() {
@@ -32,14 +114,30 @@ export class AppController {
     this.projectCache = new ProjectCacheService();
     this.editorService = new TextEditorService();
     this.sampleAudioService = new SampleAudioService();
+    this.fragmentLibrary = new FragmentLibraryService();
+    this.lexiconService = new LexiconService();
+    this.soundLibrary = new SoundLibraryService();
 
     // State
     this.currentAudioBlob = null;
     this.currentAudioBuffer = null;
     this.currentPhrases = null;
+    this.currentChapters = []; // Section start times in the rendered audio, for the player and exports
     this.currentOptions = null;
     this.currentPhraseFileName = null;
+    this.currentPhraseContent = null;
+    this.currentVariablesText = '';
+    this.currentSeed = null; // Seed behind the last render's @shuffle/@choose picks
+    this.restoredSeed = null; // Seed of the restored project and the program it belongs to
+    this.currentTTSEngine = null;
+    this.currentTTSOptions = null;
     this.currentBackgroundMusicFile = null;
+    this.phraseGains = {}; // Manual gain in dB by source line and text (see phraseGainKey), stored with the project
+    this.fragments = {}; // Fragment library content by name, for "@include"
+    this.sounds = {}; // Sound library audio by name, for "@sound"
+    this.lexicon = []; // Pronunciation lexicon entries
+    this.pendingSpreadsheet = null; // Spreadsheet waiting for its column mapping to be confirmed
+    this.pendingProse = null; // Editor text waiting for prose conversion to be confirmed
     this.isPlaying = false;
     this.isGenerating = false;
     this.generationCancelled = false;
@@ -63,6 +161,9 @@ export class AppController {
     // Initialize caches in background (don't block app startup)
     this.initializeCache();
     this.initializeProjectCache();
+    this.loadFragments();
+    this.loadSounds();
+    this.loadLexicon();
   }
 
   async initializeCache() {
@@ -95,6 +196,355 @@ export class AppController {
     }
   }
 
+  /**
+   * Load the fragment library, refresh its list and revalidate the editor
+   */
+  async loadFragments() {
+    try {
+      const fragments = await this.fragmentLibrary.listFragments();
+      this.fragments = Object.fromEntries(fragments.map(f => [f.name, f.content]));
+      this.renderFragmentList(fragments);
+      this.updateEditorUI();
+    } catch (error) {
+      console.warn('Fragment library initialization failed:', error);
+    }
+  }
+
+  /**
+   * Add dropped or selected text files to the fragment library
+   * @param {FileList|Array<File>} files - Fragment files
+   */
+  async handleFragmentFiles(files) {
+    try {
+      for (const file of Array.from(files)) {
+        this.fileService.validateFileSize(file, 1);
+        const content = await this.fileService.readTextFile(file);
+        await this.fragmentLibrary.saveFragment(file.name, content);
+      }
+      await this.loadFragments();
+    } catch (error) {
+      console.error('Failed to add fragment:', error);
+      alert(`Failed to add fragment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a fragment from the library
+   * @param {string} name - Fragment name
+   */
+  async deleteFragment(name) {
+    try {
+      await this.fragmentLibrary.deleteFragment(name);
+      await this.loadFragments();
+    } catch (error) {
+      console.error('Failed to delete fragment:', error);
+      alert('Failed to delete fragment. Check console for details.');
+    }
+  }
+
+  /**
+   * Render the fragment library list
+   * @param {Array<{name: string, content: string}>} fragments - Fragments sorted by name
+   */
+  renderFragmentList(fragments) {
+    const list = document.getElementById('fragments-list');
+    const count = document.getElementById('fragments-count');
+    if (!list) return;
+
+    if (count) count.textContent = fragments.length ? `(${fragments.length})` : '';
+    list.innerHTML = '';
+
+    fragments.forEach((fragment) => {
+      const item = document.createElement('li');
+
+      const name = document.createElement('code');
+      name.textContent = `@include ${fragment.name}`;
+      name.title = 'Insert into the editor';
+      name.onclick = () => this.insertIntoEditor(`@include ${fragment.name}\n`);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.textContent = '×';
+      deleteBtn.className = 'secondary';
+      deleteBtn.title = 'Remove fragment';
+      deleteBtn.onclick = () => this.deleteFragment(fragment.name);
+
+      item.appendChild(name);
+      item.appendChild(deleteBtn);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Load the sound library, refresh its list and revalidate the editor
+   */
+  async loadSounds() {
+    try {
+      const sounds = await this.soundLibrary.listSounds();
+      this.sounds = Object.fromEntries(sounds.map(sound => [sound.name, sound.audio]));
+      this.renderSoundList(sounds);
+      this.updateEditorUI();
+    } catch (error) {
+      console.warn('Sound library initialization failed:', error);
+    }
+  }
+
+  /**
+   * Add dropped or selected audio files to the sound library
+   * @param {FileList|Array<File>} files - Sound files
+   */
+  async handleSoundFiles(files) {
+    try {
+      for (const file of Array.from(files)) {
+        this.fileService.validateFileSize(file, 5);
+        // Reading checks that the file is a supported audio format
+        await this.fileService.readAudioFile(file);
+        await this.soundLibrary.saveSound(file.name, file);
+      }
+      await this.loadSounds();
+    } catch (error) {
+      console.error('Failed to add sound:', error);
+      alert(`Failed to add sound: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a sound from the library
+   * @param {string} name - Sound name
+   */
+  async deleteSound(name) {
+    try {
+      await this.soundLibrary.deleteSound(name);
+      await this.loadSounds();
+    } catch (error) {
+      console.error('Failed to delete sound:', error);
+      alert('Failed to delete sound. Check console for details.');
+    }
+  }
+
+  /**
+   * Render the sound effects list: the built-in effects, then the library
+   * @param {Array<{name: string}>} sounds - Library sounds sorted by name
+   */
+  renderSoundList(sounds) {
+    const list = document.getElementById('sounds-list');
+    const count = document.getElementById('sounds-count');
+    if (!list) return;
+
+    if (count) count.textContent = sounds.length ? `(${sounds.length})` : '';
+    list.innerHTML = '';
+
+    const effects = [
+      ...Object.keys(SOUND_EFFECTS).map(name => ({ name, builtIn: true })),
+      ...sounds.map(sound => ({ name: sound.name, builtIn: false })),
+    ];
+    effects.forEach(({ name, builtIn }) => {
+      const item = document.createElement('li');
+      const cue = /\s/.test(name) ? `@sound "${name}"` : `@sound ${name}`;
+
+      const code = document.createElement('code');
+      code.textContent = cue;
+      code.title = 'Insert into the editor';
+      code.onclick = () => this.insertIntoEditor(`${cue}\n`);
+      item.appendChild(code);
+
+      if (builtIn) {
+        const label = document.createElement('small');
+        label.textContent = 'built in';
+        item.appendChild(label);
+      } else {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.textContent = '×';
+        deleteBtn.className = 'secondary';
+        deleteBtn.title = 'Remove sound';
+        deleteBtn.onclick = () => this.deleteSound(name);
+        item.appendChild(deleteBtn);
+      }
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Get the audio for a "@sound" cue
+   * @param {{name: string, builtIn?: boolean, gain?: number}} sound - Effect from the parser
+   * @param {number} [effectsGain] - Gain for all effects in dB, added to the cue's own gain
+   * @returns {Promise<AudioBuffer>} Effect audio
+   */
+  async loadSoundEffect(sound, effectsGain = 0) {
+    let buffer;
+    if (sound.builtIn) {
+      buffer = this.audioService.createSoundEffect(SOUND_EFFECTS[sound.name]);
+    } else {
+      const audio = this.sounds[sound.name];
+      if (!audio) {
+        throw new Error(`Sound "${sound.name}" is no longer in the sound library`);
+      }
+      buffer = await this.audioService.decodeAudioData(await audio.arrayBuffer());
+    }
+
+    const gain = effectsGain + (sound.gain || 0);
+    return gain !== 0 ? this.audioService.applyPhraseEffects(buffer, { gain }) : buffer;
+  }
+
+  /**
+   * Insert text at the editor cursor
+   * @param {string} text - Text to insert
+   */
+  insertIntoEditor(text) {
+    const editor = document.getElementById('apg-editor');
+    if (!editor) return;
+
+    const start = editor.selectionStart ?? editor.value.length;
+    const end = editor.selectionEnd ?? start;
+    editor.value = editor.value.slice(0, start) + text + editor.value.slice(end);
+    editor.focus();
+    editor.setSelectionRange(start + text.length, start + text.length);
+    this.updateEditorUI();
+    this.scheduleAutoSave();
+  }
+
+  /**
+   * Load the pronunciation lexicon and refresh its list
+   */
+  async loadLexicon() {
+    try {
+      this.lexicon = await this.lexiconService.listEntries();
+      this.renderLexiconList();
+    } catch (error) {
+      console.warn('Lexicon initialization failed:', error);
+    }
+  }
+
+  /**
+   * Save the entry in the lexicon form
+   */
+  async handleLexiconSave() {
+    const field = (id) => document.getElementById(id);
+    try {
+      await this.lexiconService.saveEntry({
+        word: field('lexicon-word')?.value || '',
+        respelling: field('lexicon-respelling')?.value || '',
+        phoneme: field('lexicon-phoneme')?.value || '',
+        wholeWord: field('lexicon-whole-word')?.checked ?? true,
+        matchCase: field('lexicon-match-case')?.checked ?? false,
+      });
+      ['lexicon-word', 'lexicon-respelling', 'lexicon-phoneme'].forEach((id) => {
+        if (field(id)) field(id).value = '';
+      });
+      await this.loadLexicon();
+    } catch (error) {
+      console.error('Failed to save lexicon entry:', error);
+      alert(`Failed to save lexicon entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a lexicon entry into the form for editing
+   * @param {Object} entry - Lexicon entry
+   */
+  editLexiconEntry(entry) {
+    const field = (id) => document.getElementById(id);
+    if (field('lexicon-word')) field('lexicon-word').value = entry.word;
+    if (field('lexicon-respelling')) field('lexicon-respelling').value = entry.respelling || '';
+    if (field('lexicon-phoneme')) field('lexicon-phoneme').value = entry.phoneme || '';
+    if (field('lexicon-whole-word')) field('lexicon-whole-word').checked = entry.wholeWord !== false;
+    if (field('lexicon-match-case')) field('lexicon-match-case').checked = Boolean(entry.matchCase);
+  }
+
+  /**
+   * Remove an entry from the lexicon
+   * @param {string} word - Entry word
+   */
+  async deleteLexiconEntry(word) {
+    try {
+      await this.lexiconService.deleteEntry(word);
+      await this.loadLexicon();
+    } catch (error) {
+      console.error('Failed to delete lexicon entry:', error);
+      alert('Failed to delete lexicon entry. Check console for details.');
+    }
+  }
+
+  /**
+   * Render the lexicon list, with the editor lines each entry changes
+   */
+  renderLexiconList() {
+    const list = document.getElementById('lexicon-list');
+    const count = document.getElementById('lexicon-count');
+    if (!list) return;
+
+    if (count) count.textContent = this.lexicon.length ? `(${this.lexicon.length})` : '';
+    list.innerHTML = '';
+    const content = document.getElementById('apg-editor')?.value || '';
+
+    this.lexicon.forEach((entry) => {
+      const item = document.createElement('li');
+
+      const word = document.createElement('code');
+      word.textContent = `${entry.word} → ${entry.respelling || ''}${entry.phoneme ? ` /${entry.phoneme}/` : ''}`;
+      word.title = 'Edit entry';
+      word.onclick = () => this.editLexiconEntry(entry);
+
+      const lines = document.createElement('span');
+      lines.className = 'lexicon-lines';
+      const affected = findAffectedLines(content, entry);
+      if (affected.length === 0) {
+        lines.textContent = 'Not used in the editor';
+      } else {
+        lines.append(affected.length === 1 ? 'Line ' : 'Lines ');
+        affected.forEach((lineNum, index) => {
+          const link = document.createElement('a');
+          link.textContent = lineNum;
+          link.title = `Go to line ${lineNum}`;
+          link.onclick = () => this.selectEditorLine(lineNum);
+          lines.append(index > 0 ? ', ' : '', link);
+        });
+      }
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.textContent = '×';
+      deleteBtn.className = 'secondary';
+      deleteBtn.title = 'Remove entry';
+      deleteBtn.onclick = () => this.deleteLexiconEntry(entry.word);
+
+      item.appendChild(word);
+      item.appendChild(lines);
+      item.appendChild(deleteBtn);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Apply the pronunciation lexicon to a phrase about to be synthesized
+   * Engines that read SSML get IPA phonemes; others get respellings. The
+   * rewritten text is part of the cache key, so editing an entry regenerates
+   * only the phrases whose text it changes.
+   * @param {Object} phrase - Phrase object
+   * @param {string} engine - Engine the phrase is spoken with
+   * @param {Object} options - TTS options for the phrase
+   * @returns {{phrase: Object, options: Object}} Phrase and options to synthesize
+   */
+  applyPronunciations(phrase, engine, options) {
+    if (this.lexicon.length === 0 || phrase.beep || phrase.phrase === '*') {
+      return { phrase, options };
+    }
+
+    const { text, ssml } = applyLexicon(phrase.phrase, this.lexicon, {
+      ssml: Boolean(phrase.ssml),
+      phonemes: this.ttsService.supportsSsml(engine),
+    });
+    if (text === phrase.phrase) {
+      return { phrase, options };
+    }
+
+    return {
+      phrase: { ...phrase, phrase: text, ...(ssml && { ssml: true }) },
+      options: ssml ? { ...options, ssml: true } : options,
+    };
+  }
+
   /**
    * Handle clear cache button click
    */
@@ -280,20 +730,18 @@ export class AppController {
       const descField = document.getElementById('program-description');
       if (descField) descField.value = project.programDescription || '';
 
+      // Restore template variable values
+      const variablesField = document.getElementById('program-variables');
+      if (variablesField) variablesField.value = project.variables || '';
+
+      // Restore the random seed so @shuffle/@choose pick the same lines again
+      // (only for this program; see readSeed)
+      const seedField = document.getElementById('random-seed');
+      if (seedField) seedField.value = project.seed ?? '';
+      this.restoredSeed = project.seed != null ? { seed: project.seed, content: project.phraseFileContent } : null;
+
       // Restore phrase content into the text editor and switch to editor mode
-      const editor = document.getElementById('apg-editor');
-      const inputModeSelect = document.getElementById('input-mode');
-      const fileUploadMode = document.getElementById('file-upload-mode');
-      const textEditorMode = document.getElementById('text-editor-mode');
-      if (editor && project.phraseFileContent) {
-        editor.value = project.phraseFileContent;
-        this.editorService.saveToLocalStorage(project.phraseFileContent);
-        this.updateEditorUI();
-      }
-      if (inputModeSelect) inputModeSelect.value = 'editor';
-      if (fileUploadMode) fileUploadMode.style.display = 'none';
-      if (textEditorMode) textEditorMode.style.display = 'block';
-      this.inputMode = 'editor';
+      this.openInEditor(project.phraseFileContent);
 
       // Restore background audio settings
       const bg = project.backgroundSettings;
@@ -313,6 +761,19 @@ export class AppController {
         if (fadeInInput) fadeInInput.value = bg.fadeIn ?? 3000;
         const fadeOutInput = document.getElementById('fade-out');
         if (fadeOutInput) fadeOutInput.value = bg.fadeOut ?? 6000;
+        const mixingInputs = {
+          ducking: bg.ducking ?? 'off',
+          'ducking-amount': bg.duckingAmount ?? DUCKING_DEFAULTS.amount,
+          'ducking-attack': bg.duckingAttack ?? DUCKING_DEFAULTS.attack,
+          'ducking-release': bg.duckingRelease ?? DUCKING_DEFAULTS.release,
+          'loop-crossfade': bg.loopCrossfade ?? 2000,
+          'loop-start': bg.loopStart ?? 0,
+          'loop-end': bg.loopEnd ?? '',
+        };
+        for (const [id, value] of Object.entries(mixingInputs)) {
+          const input = document.getElementById(id);
+          if (input) input.value = value;
+        }
       } else if (project.backgroundMusic && audioSourceSelect) {
         // Old project (pre-v1.9.4): has background music but no backgroundSettings saved
         // eslint-disable-next-line no-console
@@ -324,6 +785,10 @@ export class AppController {
         console.log('🎵 No background settings found — leaving at defaults');
       }
 
+      const effectsGainInput = document.getElementById('effects-gain');
+      if (effectsGainInput) effectsGainInput.value = project.soundSettings?.gain ?? 0;
+      this.phraseGains = { ...project.phraseGains };
+
       // Restore background music file if available
       if (project.backgroundMusic) {
         const soundInput = document.getElementById('sound-file');
@@ -360,7 +825,7 @@ export class AppController {
           instructionsSection.style.display = modelSelect.value === 'gpt-4o-mini-tts' ? 'block' : 'none';
         }
       } else if (project.ttsEngine === 'google-cloud') {
-        const voiceSelect = document.getElementById('voice-name');
+        const voiceSelect = document.getElementById('google-voice');
         const rateSlider = document.getElementById('speaking-rate');
         const pitchSlider = document.getElementById('pitch');
         if (voiceSelect) voiceSelect.value = project.ttsOptions.voiceName || 'en-US-Neural2-F';
@@ -374,6 +839,22 @@ export class AppController {
         const bitrateSelect = document.getElementById('mp3-bitrate');
         if (formatSelect) formatSelect.value = project.exportSettings.format || 'mp3';
         if (bitrateSelect) bitrateSelect.value = project.exportSettings.bitrate || 192;
+        const loudnessSelect = document.getElementById('loudness');
+        const loudnessCustomInput = document.getElementById('loudness-custom');
+        if (loudnessSelect) loudnessSelect.value = project.exportSettings.loudness || 'off';
+        if (loudnessCustomInput) loudnessCustomInput.value = project.exportSettings.loudnessCustom ?? -18;
+        const matchPhrasesInput = document.getElementById('match-phrases');
+        if (matchPhrasesInput) matchPhrasesInput.checked = project.exportSettings.matchPhrases ?? false;
+        const trimInputs = {
+          'trim-threshold': project.exportSettings.trimThreshold ?? TRIM_DEFAULTS.threshold,
+          'trim-padding': project.exportSettings.trimPadding ?? TRIM_DEFAULTS.padding,
+        };
+        for (const [id, value] of Object.entries(trimInputs)) {
+          const input = document.getElementById(id);
+          if (input) input.value = value;
+        }
+        const trimSilenceInput = document.getElementById('trim-silence');
+        if (trimSilenceInput) trimSilenceInput.checked = project.exportSettings.trimSilence ?? false;
       }
 
       // Show feedback on the Restore button
@@ -428,44 +909,27 @@ export class AppController {
       }
 
       const formData = new FormData(this.form);
-      const ttsEngine = formData.get('tts-engine');
-
-      // Get TTS options based on engine
-      let ttsOptions = {};
-      if (ttsEngine === 'openai') {
-        const model = formData.get('openai-model') || 'tts-1';
-        ttsOptions = {
-          voice: formData.get('openai-voice') || 'nova',
-          model,
-          speed: parseFloat(formData.get('openai-speed')) || 1.0,
-          format: 'wav',
-        };
-        if (model === 'gpt-4o-mini-tts') {
-          const instructions = formData.get('openai-voice-instructions') || '';
-          if (instructions.trim()) ttsOptions.instructions = instructions.trim();
-        }
-      } else if (ttsEngine === 'google-cloud') {
-        ttsOptions = {
-          voiceName: formData.get('voice-name') || 'en-US-Neural2-F',
-          languageCode: 'en-US',
-          speakingRate: parseFloat(formData.get('speaking-rate')) || 1.0,
-          pitch: parseFloat(formData.get('pitch')) || 0.0,
-          volumeGainDb: parseFloat(formData.get('volume-gain')) || 0.0,
-          audioEncoding: 'LINEAR16',
-          sampleRateHertz: 24000,
-        };
-      }
+
+      // Use the engine and options the program was actually rendered with
+      // (program header directives may override the form)
+      const ttsEngine = this.currentTTSEngine || formData.get('tts-engine');
+      const ttsOptions =
+        this.currentTTSOptions || this.buildTTSOptions(ttsEngine, formData);
 
       // Get export settings
       const exportSettings = {
         format: formData.get('export-format') || 'mp3',
         bitrate: parseInt(formData.get('mp3-bitrate')) || 192,
+        loudness: formData.get('loudness') || 'off',
+        loudnessCustom: parseFloat(formData.get('loudness-custom')) || -18,
+        matchPhrases: formData.get('match-phrases') === 'on',
+        trimSilence: formData.get('trim-silence') === 'on',
+        trimThreshold: readNumber(formData, 'trim-threshold', TRIM_DEFAULTS.threshold),
+        trimPadding: readNumber(formData, 'trim-padding', TRIM_DEFAULTS.padding),
       };
 
-      // Reconstruct phrase file content
-      const phraseFileContent = this.currentPhrases
-        .map((p) => `${p.phrase || p.text}; ${p.duration}`)
-        .join('\n');
+      // Keep the original program source so header directives survive a restore
+      const phraseFileContent = this.currentPhraseContent;
 
       // Get program description
       const programDescriptionEl = document.getElementById('program-description');
@@ -478,15 +942,31 @@ export class AppController {
         attenuation: parseInt(formData.get('attenuation')) || 0,
         fadeIn: parseInt(formData.get('fade-in')) || 3000,
         fadeOut: parseInt(formData.get('fade-out')) || 6000,
+        ducking: formData.get('ducking') || 'off',
+        duckingAmount: readNumber(formData, 'ducking-amount', DUCKING_DEFAULTS.amount),
+        duckingAttack: readNumber(formData, 'ducking-attack', DUCKING_DEFAULTS.attack),
+        duckingRelease: readNumber(formData, 'ducking-release', DUCKING_DEFAULTS.release),
+        loopCrossfade: parseInt(formData.get('loop-crossfade')) || 0,
+        loopStart: parseFloat(formData.get('loop-start')) || 0,
+        loopEnd: parseFloat(formData.get('loop-end')) || null,
       };
+      const soundSettings = {
+        gain: parseFloat(formData.get('effects-gain')) || 0,
+      };
+      const phraseKeys = new Set(this.currentPhrases.map(phraseGainKey));
 
       const projectData = {
         name: this.currentPhraseFileName,
         programDescription,
         phraseFileContent,
+        variables: this.currentVariablesText || '',
+        seed: this.currentSeed,
         backgroundMusic: this.currentBackgroundMusicFile,
         backgroundMusicName: this.currentBackgroundMusicFile?.name,
         backgroundSettings,
+        soundSettings,
+        // Only the gains of this program's phrases
+        phraseGains: Object.fromEntries(Object.entries(this.phraseGains).filter(([key]) => phraseKeys.has(key))),
         ttsEngine,
         ttsOptions,
         exportSettings,
@@ -533,12 +1013,73 @@ export class AppController {
       });
     }
 
+    const loopSeamBtn = document.getElementById('loop-seam-preview-btn');
+    if (loopSeamBtn) {
+      loopSeamBtn.addEventListener('click', () => this.previewLoopSeam());
+    }
+
     // Clear TTS cache
     const clearCacheBtn = document.getElementById('clear-cache-btn');
     if (clearCacheBtn) {
       clearCacheBtn.addEventListener('click', () => this.handleClearCache());
     }
 
+    // Pronunciation lexicon
+    const lexiconSaveBtn = document.getElementById('lexicon-save-btn');
+    if (lexiconSaveBtn) {
+      lexiconSaveBtn.addEventListener('click', () => this.handleLexiconSave());
+    }
+
+    // Fragment library: add files by picking or dropping them
+    const fragmentInput = document.getElementById('fragment-files');
+    if (fragmentInput) {
+      fragmentInput.addEventListener('change', async () => {
+        await this.handleFragmentFiles(fragmentInput.files);
+        fragmentInput.value = '';
+      });
+    }
+
+    const fragmentDropZone = document.getElementById('fragment-drop-zone');
+    if (fragmentDropZone) {
+      fragmentDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        fragmentDropZone.classList.add('dragover');
+      });
+      fragmentDropZone.addEventListener('dragleave', () => {
+        fragmentDropZone.classList.remove('dragover');
+      });
+      fragmentDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        fragmentDropZone.classList.remove('dragover');
+        this.handleFragmentFiles(e.dataTransfer.files);
+      });
+    }
+
+    // Sound library: add audio files by picking or dropping them
+    const soundFilesInput = document.getElementById('sound-files');
+    if (soundFilesInput) {
+      soundFilesInput.addEventListener('change', async () => {
+        await this.handleSoundFiles(soundFilesInput.files);
+        soundFilesInput.value = '';
+      });
+    }
+
+    const soundDropZone = document.getElementById('sound-drop-zone');
+    if (soundDropZone) {
+      soundDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        soundDropZone.classList.add('dragover');
+      });
+      soundDropZone.addEventListener('dragleave', () => {
+        soundDropZone.classList.remove('dragover');
+      });
+      soundDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        soundDropZone.classList.remove('dragover');
+        this.handleSoundFiles(e.dataTransfer.files);
+      });
+    }
+
     // Clear all projects
     const clearProjectsBtn = document.getElementById('clear-projects-btn');
     if (clearProjectsBtn) {
@@ -1222,7 +1763,7 @@ export class AppController {
     }
 
     // Not in cache, generate new speech
-    const speechBlob = await this.ttsService.generatePhrase(phrase, ttsOptions);
+    const speechBlob = await this.ttsService.generatePhrase(phrase, ttsOptions, engine);
     
     // Store in cache for future use (don't fail if caching fails)
     try {
@@ -1234,415 +1775,868 @@ export class AppController {
     return speechBlob;
   }
 
-  async handleSubmit(event) {
-    event.preventDefault();
+  /**
+   * Build engine-specific TTS options from the form
+   * Program header directives (@voice, @speed, @lang) take precedence over form values
+   * @param {string} engine - TTS engine name
+   * @param {FormData} formData - Form data
+   * @param {Object} header - Parsed program header
+   * @returns {Object} TTS options
+   */
+  buildTTSOptions(engine, formData, header = {}) {
+    if (engine === 'web-speech') {
+      const webSpeechOptions = {
+        voiceName: header.voice || formData.get('web-speech-voice') || '',
+        rate: header.speed || parseFloat(formData.get('web-speech-rate')) || 1.0,
+        pitch: parseFloat(formData.get('web-speech-pitch')) || 1.0,
+        volume: parseFloat(formData.get('web-speech-volume')) || 1.0,
+      };
+      if (header.lang) webSpeechOptions.lang = header.lang;
+      return webSpeechOptions;
+    }
 
-    // Reset cancellation flag
-    this.generationCancelled = false;
-    this.isGenerating = true;
+    if (engine === 'gtts') {
+      return {
+        tld: formData.get('gtts-accent') || 'com',
+        lang: header.lang || 'en',
+        slow: formData.get('gtts-slow-speech') === 'on',
+      };
+    }
 
-    try {
-      // Show output section with progress
-      this.outputSection.style.display = 'block';
-      this.progressContainer.style.display = 'block';
-      document.getElementById('playback-controls').style.display = 'none';
-      document.getElementById('download-controls').style.display = 'none';
-      this.generateBtn.disabled = true;
-      this.stopGenerationBtn.style.display = 'block';
+    if (engine === 'google-cloud') {
+      const voiceName = header.voice || formData.get('google-voice') || 'en-US-Neural2-C';
+      return {
+        voiceName,
+        // The voice name carries its language ("es-ES-Neural2-A")
+        languageCode: voiceLanguage(voiceName),
+        speakingRate: header.speed || parseFloat(formData.get('speaking-rate')) || 1.0,
+        pitch: parseFloat(formData.get('pitch')) || 0.0,
+        volumeGainDb: parseFloat(formData.get('volume-gain')) || 0.0,
+        audioEncoding: 'LINEAR16',
+        sampleRateHertz: 24000,
+      };
+    }
 
-      // Get form data
-      const formData = new FormData(this.form);
-      const phraseFile = formData.get('phrase-file');
-      const soundFile = formData.get('sound-file');
-      const ttsEngine = formData.get('tts-engine');
+    if (engine === 'openai') {
+      const model = formData.get('openai-model') || 'tts-1';
+      const ttsOptions = {
+        voice: header.voice || formData.get('openai-voice') || 'nova',
+        model,
+        speed: header.speed || parseFloat(formData.get('openai-speed')) || 1.0,
+        format: 'wav',
+      };
+      if (model === 'gpt-4o-mini-tts') {
+        const instructions = formData.get('openai-voice-instructions') || '';
+        if (instructions.trim()) ttsOptions.instructions = instructions.trim();
+      }
+      return ttsOptions;
+    }
 
-      // Get phrase content based on input mode
-      let phraseContent;
-      let phraseFileName;
+    return {};
+  }
 
-      if (this.inputMode === 'editor') {
-        // Get content from editor
-        const editor = document.getElementById('apg-editor');
-        phraseContent = editor ? editor.value : '';
-        
-        if (!phraseContent || !phraseContent.trim()) {
-          this.showError('Please enter program text in the editor');
-          return;
-        }
-        
-        phraseFileName = 'editor-program.txt';
-      } else {
-        // Get content from file upload
-        if (!phraseFile || phraseFile.size === 0) {
-          this.showError('Please select a phrase file');
-          return;
-        }
+  /**
+   * Resolve the engine and TTS options for a single phrase
+   * Inline [key=value] overrides win over the header; when a phrase switches
+   * engine, the header voice/speed (meant for the program engine) are dropped
+   * but its language is kept
+   * @param {Object} phrase - Parsed phrase
+   * @param {string} programEngine - Engine for the program as a whole
+   * @param {Object} programOptions - TTS options for the program as a whole
+   * @param {FormData} formData - Form data
+   * @param {Object} header - Parsed program header
+   * @returns {{engine: string, options: Object, effects?: Object}} Engine and
+   *   options for the phrase, and any modifiers to apply while rendering
+   */
+  resolvePhraseTTS(phrase, programEngine, programOptions, formData, header = {}) {
+    const overrides = phrase.overrides;
+    const engine = overrides?.engine || programEngine;
+    let baseSettings = header;
+    if (engine !== programEngine) {
+      baseSettings = header.lang ? { lang: header.lang } : {};
+    }
+    const options = overrides
+      ? this.buildTTSOptions(engine, formData, { ...baseSettings, ...overrides })
+      : programOptions;
+
+    // SSML is rendered differently from the same text spoken plainly, so it
+    // is part of the options (and the cache key)
+    const phraseOptions = phrase.ssml ? { ...options, ssml: true } : options;
+    if (!phrase.modifiers) {
+      return { engine, options: phraseOptions };
+    }
+
+    // {speed gain pitch} modifiers go to the engine where it supports them;
+    // the rest are applied to the decoded audio
+    const { options: modified, remaining } = this.ttsService.applyModifiers(
+      engine,
+      phraseOptions,
+      phrase.modifiers
+    );
+    return Object.keys(remaining).length > 0
+      ? { engine, options: modified, effects: remaining }
+      : { engine, options: modified };
+  }
 
-        // Validate files BEFORE generating any TTS (to avoid wasting API calls)
-        this.updateProgress(5, 'Validating files...');
-        this.fileService.validateFileSize(phraseFile, 10);
-        
-        // Read phrase file
-        this.updateProgress(10, 'Reading phrase file...');
-        phraseContent = await this.fileService.readTextFile(phraseFile);
-        phraseFileName = phraseFile.name;
-      }
-      
-      // Validate background audio file format early (before TTS generation)
-      if (soundFile && soundFile.size > 0) {
+  /**
+   * Give a program in another language ("@lang", [lang=es-ES]) voices that speak it
+   * A voice set along with the language is checked; otherwise one is picked
+   * from the engine's voice list, as close as possible to the voice the
+   * phrase would have had. Picked voices are written into the header or the
+   * phrase's overrides, so the render uses them as if they had been written.
+   * @param {Array<Object>} phrases - Parsed phrases
+   * @param {string} programEngine - Engine for the program as a whole
+   * @param {FormData} formData - Form data
+   * @param {Object} header - Parsed program header
+   * @returns {Promise<{header: Object, phrases: Array<Object>, errors: Array<{line: number|null, message: string}>}>}
+   *   Header and phrases with voices filled in, and any language problems
+   */
+  async resolveLanguageVoices(phrases, programEngine, formData, header) {
+    const errors = [];
+    const formVoice = (engine) => formData.get(FORM_VOICE_FIELDS[engine]) || undefined;
+
+    // Repeated lines ask the same question, so each is only asked once
+    const choices = new Map();
+    const choose = async (engine, language, voice, preferred) => {
+      const key = JSON.stringify([engine, language, voice, preferred]);
+      if (!choices.has(key)) {
         try {
-          await this.fileService.readAudioFile(soundFile);
+          choices.set(key, { voice: await this.ttsService.selectVoice(engine, language, voice, preferred) });
         } catch (error) {
-          this.showError(error.message);
-          return;
+          choices.set(key, { error: error.message });
         }
       }
+      return choices.get(key);
+    };
 
-      // Parse phrase content
-      this.updateProgress(10, 'Parsing program...');
-      const phrases = parseTextFile(phraseContent);
-
-      // Store file names for project saving
-      this.currentPhraseFileName = phraseFileName;
-      this.currentPhrases = phrases;
-      this.currentBackgroundMusicFile = soundFile && soundFile.size > 0 ? soundFile : null;
+    let programHeader = header;
+    if (header.lang) {
+      const { voice, error } = await choose(programEngine, header.lang, header.voice, formVoice(programEngine));
+      if (error) {
+        errors.push({ line: null, message: `@lang ${header.lang}: ${error}` });
+      } else if (voice) {
+        programHeader = { ...header, voice };
+      }
+    }
 
-      // Set TTS engine
-      this.ttsService.setEngine(ttsEngine);
+    const resolved = [];
+    const reported = new Set();
+    for (const phrase of phrases) {
+      const overrides = phrase.overrides;
+      const engine = overrides?.engine || programEngine;
+      // Other phrases use the program's voice
+      const needsVoice = overrides && (overrides.lang || (engine !== programEngine && header.lang));
+      if (!needsVoice || phrase.beep || phrase.phrase === '*') {
+        resolved.push(phrase);
+        continue;
+      }
 
-      // Check if mixing/export is requested with Web Speech API (safety check)
-      if (ttsEngine === 'web-speech' && soundFile && soundFile.size > 0) {
-        this.showError(
-          'Background mixing is not supported with Web Speech API. Please use a premium TTS engine (e.g. OpenAI or Google Cloud) for mixing and export features.'
-        );
-        return;
+      const language = overrides.lang || header.lang;
+      const preferred = overrides.voice || (engine === programEngine ? programHeader.voice : undefined) || formVoice(engine);
+      const { voice, error } = await choose(engine, language, overrides.voice, preferred);
+      if (error) {
+        if (!reported.has(`${phrase.line}:${error}`)) {
+          reported.add(`${phrase.line}:${error}`);
+          errors.push({ line: phrase.line, message: error });
+        }
+        resolved.push(phrase);
+      } else {
+        resolved.push(voice ? { ...phrase, overrides: { ...overrides, voice } } : phrase);
       }
+    }
 
-      // Handle Web Speech API (playback only)
-      if (ttsEngine === 'web-speech') {
-        this.updateProgress(100, 'Ready to play!');
+    return { header: programHeader, phrases: resolved, errors };
+  }
 
-        // Get Web Speech API settings
-        const voiceName = formData.get('web-speech-voice') || '';
-        const rate = parseFloat(formData.get('web-speech-rate')) || 1.0;
-        const pitch = parseFloat(formData.get('web-speech-pitch')) || 1.0;
-        const volume = parseFloat(formData.get('web-speech-volume')) || 1.0;
-
-        // Store phrases and options for playback
-        this.currentPhrases = phrases;
-        this.currentOptions = {
-          voiceName,
-          rate,
-          pitch,
-          volume
-        };
+  /**
+   * Work out how to place a phrase that has an absolute cue time (@at)
+   * @param {{at: number, line: number}} phrase - Cued phrase
+   * @param {number} elapsed - Seconds of audio rendered before the phrase
+   * @returns {{silence: number, warning: string|null}} Silence to insert
+   *   before the phrase, and a warning if earlier audio overruns the cue
+   */
+  resolveCue(phrase, elapsed) {
+    const gap = phrase.at - elapsed;
+    if (gap >= -CUE_TOLERANCE_SECONDS) {
+      return { silence: Math.max(gap, 0), warning: null };
+    }
 
-        this.showWebSpeechControls();
-        return;
+    return {
+      silence: 0,
+      warning: `Line ${phrase.line}: Earlier audio overruns the @at ${formatClockTime(phrase.at)} cue by ${(-gap).toFixed(1)}s`,
+    };
+  }
+
+  /**
+   * Work out the pause after a generated phrase (@countdown, @interval) so
+   * that it fills its slot
+   * @param {{slot: number, line: number, phrase: string}} phrase - Generated phrase
+   * @param {number} spoken - Seconds of audio for the phrase
+   * @returns {{silence: number, warning: string|null}} Silence to insert after
+   *   the phrase, and a warning if the speech is longer than its slot
+   */
+  resolveSlot(phrase, spoken) {
+    const gap = phrase.slot - spoken;
+    if (gap >= -CUE_TOLERANCE_SECONDS) {
+      return { silence: Math.max(gap, 0), warning: null };
+    }
+
+    return {
+      silence: 0,
+      warning: `Line ${phrase.line}: "${phrase.phrase}" runs ${(-gap).toFixed(1)}s past its ${phrase.slot}s slot`,
+    };
+  }
+
+  /**
+   * Read the background audio for a render
+   * A program's @background directive overrides the form's file/sample selection
+   * @param {File|null} soundFile - Background file from the form
+   * @param {Object} header - Parsed program header
+   * @returns {Promise<ArrayBuffer|null>} Background audio data, or null for none
+   */
+  async readBackgroundAudio(soundFile, header = {}) {
+    if (header.background === 'none') {
+      return null;
+    }
+
+    if (header.background) {
+      await this.sampleAudioService.loadAvailableSamples();
+      const sample = this.sampleAudioService.findSample(header.background);
+      if (!sample) {
+        throw new Error(`Unknown background sample: "${header.background}"`);
       }
+      return this.sampleAudioService.loadSample(sample.id);
+    }
 
-      // Handle gTTS (Google Translate TTS)
-      if (ttsEngine === 'gtts') {
-        const tld = formData.get('gtts-accent') || 'com';
-        const slowSpeech = formData.get('gtts-slow-speech') === 'on';
+    if (soundFile && soundFile.size > 0) {
+      return this.fileService.readAudioFile(soundFile);
+    }
 
-        const ttsOptions = {
-          tld,
-          lang: 'en',
-          slow: slowSpeech,
-        };
+    return null;
+  }
 
-        // Generate speech for each phrase
-        this.updateProgress(20, 'Generating speech...');
-        const audioBuffers = [];
+  /**
+   * Read the samples for a program's "@background" changes
+   * @param {Array<{name: string, fade: number, line: number, index: number}>} backgrounds - Changes from the parser
+   * @returns {Promise<Array<{name: string, fade: number, line: number, index: number, audio: ArrayBuffer|null}>>}
+   *   Changes with their audio data (null for "none")
+   */
+  async readBackgroundChanges(backgrounds) {
+    const changes = [];
+    for (const change of backgrounds) {
+      try {
+        const audio = await this.readBackgroundAudio(null, { background: change.name });
+        changes.push({ ...change, audio });
+      } catch (error) {
+        throw new Error(`Line ${change.line}: ${error.message}`);
+      }
+    }
+    return changes;
+  }
 
-        for (let i = 0; i < phrases.length; i++) {
-          // Check for cancellation
-          if (this.generationCancelled) {
-            throw new Error('Generation cancelled by user');
-          }
+  /**
+   * Build the background layer of a render: the starting background, then
+   * each "@background" change from the time it was reached
+   * @param {Array<{name?: string, audio: ArrayBuffer|null, start: number, fade: number, loop?: Object}>} segments - Backgrounds in start order
+   * @param {AudioBuffer} speech - Rendered speech, which sets the layer's length
+   * @returns {Promise<AudioBuffer>} Background layer
+   */
+  async buildBackgroundLayer(segments, speech) {
+    // Samples used more than once are only decoded once
+    const decoded = new Map();
+    const beds = [];
+    for (const { name = '', audio, start, fade, loop } of segments) {
+      if (audio && !decoded.has(name)) {
+        decoded.set(name, await this.audioService.decodeAudioData(audio));
+      }
+      beds.push({ buffer: audio ? decoded.get(name) : null, start, fade, loop });
+    }
+    return this.audioService.createBackgroundLayer(beds, speech.length, speech.sampleRate);
+  }
 
-          const phrase = phrases[i];
-          const progress = 20 + (60 * (i + 1)) / phrases.length;
-          this.updateProgress(
-            progress,
-            `Generating phrase ${i + 1}/${phrases.length}...`
-          );
+  /**
+   * Read how the background loops from the form
+   * @param {FormData} formData - Form data
+   * @returns {{overlap: number, start: number, end?: number}} Loop settings in seconds
+   */
+  readLoopSettings(formData) {
+    const loop = {
+      overlap: Math.max(0, parseInt(formData.get('loop-crossfade')) || 0) / 1000,
+      start: Math.max(0, parseFloat(formData.get('loop-start')) || 0),
+    };
+    const end = parseFloat(formData.get('loop-end'));
+    if (end > 0) {
+      if (end <= loop.start) {
+        throw new Error('Loop end must be after loop start');
+      }
+      loop.end = end;
+    }
+    return loop;
+  }
 
-          // Generate speech (with caching)
-          const speechBlob = await this.generateOrGetCachedSpeech(
-            phrase,
-            ttsEngine,
-            ttsOptions
-          );
+  /**
+   * Parse the header of the program in the editor or phrase file, for
+   * settings needed before a render (e.g. its "@background")
+   * @returns {Promise<Object>} Program header ({} without a program)
+   */
+  async readProgramHeader() {
+    let content = '';
+    if (this.inputMode === 'editor') {
+      content = document.getElementById('apg-editor')?.value || '';
+    } else {
+      const phraseFile = document.getElementById('phrase-file')?.files?.[0];
+      if (phraseFile) content = await this.fileService.readTextFile(phraseFile);
+    }
+    if (!content.trim()) {
+      return {};
+    }
+    return parseProgram(content, { fragments: this.fragments, sounds: Object.keys(this.sounds) }).header;
+  }
 
-          // Convert to AudioBuffer
-          const phraseText = phrase.phrase || phrase.text || '';
-          // eslint-disable-next-line no-console
-          console.log(`🎵 About to decode phrase: "${phraseText.substring(0, 50)}"`);
-          const arrayBuffer = await speechBlob.arrayBuffer();
-          const audioBuffer =
-            await this.audioService.decodeAudioData(arrayBuffer);
-          audioBuffers.push(audioBuffer);
-
-          // Add silence after phrase
-          if (phrase.duration > 0) {
-            const silence = this.audioService.createSilence(phrase.duration);
-            audioBuffers.push(silence);
-          }
-        }
+  /**
+   * Play the seconds around the background's loop seam, with the current
+   * loop settings
+   * The background is resolved as for a render, so a program's
+   * "@background" sample is previewed over the form's file
+   */
+  async previewLoopSeam() {
+    try {
+      const formData = new FormData(this.form);
+      const header = await this.readProgramHeader();
+      const audio = await this.readBackgroundAudio(formData.get('sound-file'), header);
+      if (!audio) {
+        alert('Choose a background file or sample first');
+        return;
+      }
 
-        // Concatenate all audio
-        this.updateProgress(85, 'Combining audio...');
-        let finalBuffer = this.audioService.concatenateBuffers(audioBuffers);
+      // Loop points belong to the form's background; a program's sample
+      // only shares its crossfade (as when rendering)
+      const formLoop = this.readLoopSettings(formData);
+      const loop = header.background ? { overlap: formLoop.overlap } : formLoop;
+      const buffer = await this.audioService.decodeAudioData(audio);
+      const preview = this.audioService.createLoopSeamPreview(buffer, loop);
 
-        // Mix with background sound if provided
-        if (soundFile && soundFile.size > 0) {
-          this.updateProgress(90, 'Mixing with background sound...');
-          const soundArrayBuffer =
-            await this.fileService.readAudioFile(soundFile);
-          const backgroundBuffer =
-            await this.audioService.decodeAudioData(soundArrayBuffer);
+      if (this.loopSeamUrl) {
+        URL.revokeObjectURL(this.loopSeamUrl);
+      }
+      this.loopSeamUrl = URL.createObjectURL(this.audioService.audioBufferToWav(preview));
+      const player = document.getElementById('loop-seam-player');
+      if (player) {
+        player.src = this.loopSeamUrl;
+        player.style.display = 'block';
+        await player.play();
+      }
+    } catch (error) {
+      console.error('Failed to preview loop seam:', error);
+      alert(`Failed to preview loop: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the background ducking settings from the form
+   * "phrases" ducks under each rendered phrase; "speech" leaves the mixer to
+   * follow the level of the speech itself
+   * @param {FormData} formData - Form data
+   * @param {Array<[number, number]>} phraseRegions - Start and end of each phrase in seconds
+   * @returns {Object|null} Ducking options for mixBuffers, or null when ducking is off
+   */
+  buildDuckingOptions(formData, phraseRegions) {
+    const mode = formData.get('ducking') || 'off';
+    if (mode === 'off') {
+      return null;
+    }
+
+    const ducking = {
+      amount: readNumber(formData, 'ducking-amount', DUCKING_DEFAULTS.amount),
+      attack: readNumber(formData, 'ducking-attack', DUCKING_DEFAULTS.attack),
+      release: readNumber(formData, 'ducking-release', DUCKING_DEFAULTS.release),
+    };
+    if (mode === 'phrases') {
+      ducking.regions = phraseRegions;
+    }
+    return ducking;
+  }
 
+  /**
+   * Read the loudness target from the form
+   * @param {FormData} formData - Form data
+   * @returns {number|null} Target in LUFS, or null when normalisation is off
+   */
+  readLoudnessTarget(formData) {
+    const mode = formData.get('loudness') || 'off';
+    if (mode === 'off') {
+      return null;
+    }
+    if (Object.prototype.hasOwnProperty.call(LOUDNESS_PRESETS, mode)) {
+      return LOUDNESS_PRESETS[mode];
+    }
 
-          const attenuation = parseInt(formData.get('attenuation')) || 0;
-          const fadeIn = parseInt(formData.get('fade-in')) || 3000;
-          const fadeOut = parseInt(formData.get('fade-out')) || 6000;
+    const target = parseFloat(formData.get('loudness-custom'));
+    if (Number.isNaN(target) || target < -40 || target > -5) {
+      throw new Error('Custom loudness must be between -40 and -5 LUFS');
+    }
+    return target;
+  }
 
-          finalBuffer = this.audioService.mixBuffers(
-            finalBuffer,
-            backgroundBuffer,
-            { attenuation }
-          );
+  /**
+   * Read the random seed for a render from the form
+   * A seed restored with a project only applies to that project's program:
+   * rendering anything else clears it from the field, so picks vary again.
+   * @param {FormData} formData - Form data
+   * @param {string} content - Program about to be rendered
+   * @returns {number|undefined} Seed, or undefined to let the parser pick a fresh one
+   */
+  readSeed(formData, content) {
+    const seed = parseInt(formData.get('random-seed'));
+    if (this.restoredSeed && content !== this.restoredSeed.content) {
+      const restored = this.restoredSeed.seed;
+      this.restoredSeed = null;
+      if (seed === restored) {
+        const seedField = document.getElementById('random-seed');
+        if (seedField) seedField.value = '';
+        return undefined;
+      }
+    }
+    return Number.isNaN(seed) ? undefined : seed;
+  }
 
-          // Apply fades to mixed audio
-          finalBuffer = this.audioService.applyFades(finalBuffer, {
-            fadeIn,
-            fadeOut,
-          });
-        }
+  /**
+   * Read the silence trimming settings from the form
+   * @param {FormData} formData - Form data
+   * @returns {{threshold: number, padding: number}|null} Options for
+   *   trimSilence, or null when trimming is off
+   */
+  readTrimSettings(formData) {
+    if (formData.get('trim-silence') !== 'on') {
+      return null;
+    }
 
-        // Store audio buffer and convert to WAV blob
-        this.updateProgress(95, 'Finalizing...');
-        this.currentAudioBuffer = finalBuffer;
-        this.currentAudioBlob = this.audioService.audioBufferToWav(finalBuffer);
+    const trim = {
+      threshold: readNumber(formData, 'trim-threshold', TRIM_DEFAULTS.threshold),
+      padding: readNumber(formData, 'trim-padding', TRIM_DEFAULTS.padding),
+    };
+    if (trim.threshold < -90 || trim.threshold > -20) {
+      throw new Error('Silence threshold must be between -90 and -20 dB');
+    }
+    if (trim.padding < 0) {
+      throw new Error('Silence padding cannot be negative');
+    }
+    return trim;
+  }
 
-        // Show output
-        this.updateProgress(100, 'Complete!');
-        
-        // Save project for future restoration
-        await this.saveCurrentProject();
-        
-        this.showOutput();
-        return;
+  /**
+   * Level a decoded speech clip, before the line's modifiers are applied
+   * Matching brings clips from different sessions, engines and voices to one
+   * speech loudness. Gain the engine already applied for a {gain=...}
+   * modifier is put back, so modifiers stay relative to the matched level.
+   * The manual gain set for the phrase's source line comes on top.
+   * @param {AudioBuffer} buffer - Decoded speech
+   * @param {Object} phrase - Parsed phrase
+   * @param {Object} [effects] - Modifiers left to apply while rendering
+   * @param {boolean} match - Whether to match the clip's loudness
+   * @returns {{buffer: AudioBuffer, measured: number|null, gain: number, manual: number}} Levelled
+   *   clip, its loudness in LUFS (null when not matched), the total gain and the manual gain in dB
+   */
+  levelPhrase(buffer, phrase, effects, match) {
+    const manual = this.phraseGains[phraseGainKey(phrase)] || 0;
+    let gain = manual;
+    let measured = null;
+    if (match) {
+      measured = this.audioService.measureSpeechLoudness(buffer);
+      if (Number.isFinite(measured)) {
+        const engineGain = (phrase.modifiers?.gain || 0) - (effects?.gain || 0);
+        const matched = Math.min(Math.max(PHRASE_LOUDNESS_TARGET - measured, -PHRASE_MATCH_LIMIT), PHRASE_MATCH_LIMIT);
+        gain += matched + engineGain;
       }
+    }
+    if (gain === 0) {
+      return { buffer, measured, gain, manual };
+    }
 
-      // Handle Google Cloud TTS (with mixing/export support)
-      if (ttsEngine === 'google-cloud') {
-        // Get Google Cloud TTS options
-        const voiceName = formData.get('google-voice') || 'en-US-Neural2-C';
-        const speakingRate =
-          parseFloat(formData.get('speaking-rate')) || 1.0;
-        const pitch = parseFloat(formData.get('pitch')) || 0.0;
-        const volumeGainDb = parseFloat(formData.get('volume-gain')) || 0.0;
-
-        const ttsOptions = {
-          voiceName,
-          languageCode: 'en-US',
-          speakingRate,
-          pitch,
-          volumeGainDb,
-          audioEncoding: 'LINEAR16',
-          sampleRateHertz: 24000,
-        };
+    const levelled = this.audioService.applyPhraseEffects(buffer, { gain });
+    if (gain > 0) {
+      this.audioService.applyTruePeakLimiter(levelled);
+    }
+    return { buffer: levelled, measured, gain, manual };
+  }
 
-        // Generate speech for each phrase
-        this.updateProgress(20, 'Generating speech...');
-        const audioBuffers = [];
+  async handleSubmit(event) {
+    event.preventDefault();
 
-        for (let i = 0; i < phrases.length; i++) {
-          // Check for cancellation
-          if (this.generationCancelled) {
-            throw new Error('Generation cancelled by user');
-          }
+    // Reset cancellation flag
+    this.generationCancelled = false;
+    this.isGenerating = true;
 
-          const phrase = phrases[i];
-          const progress = 20 + (60 * (i + 1)) / phrases.length;
-          this.updateProgress(
-            progress,
-            `Generating phrase ${i + 1}/${phrases.length}...`
-          );
+    try {
+      // Show output section with progress
+      this.outputSection.style.display = 'block';
+      this.progressContainer.style.display = 'block';
+      document.getElementById('playback-controls').style.display = 'none';
+      document.getElementById('download-controls').style.display = 'none';
+      this.generateBtn.disabled = true;
+      this.stopGenerationBtn.style.display = 'block';
 
-          // Generate speech (with caching)
-          const speechBlob = await this.generateOrGetCachedSpeech(
-            phrase,
-            ttsEngine,
-            ttsOptions
-          );
+      // Get form data
+      const formData = new FormData(this.form);
+      const phraseFile = formData.get('phrase-file');
+      const soundFile = formData.get('sound-file');
 
-          // Convert to AudioBuffer
-          const phraseText = phrase.phrase || phrase.text || '';
-          // eslint-disable-next-line no-console
-          console.log(`🎵 About to decode phrase: "${phraseText.substring(0, 50)}"`);
-          const arrayBuffer = await speechBlob.arrayBuffer();
-          const audioBuffer =
-            await this.audioService.decodeAudioData(arrayBuffer);
-          audioBuffers.push(audioBuffer);
-
-          // Add silence after phrase
-          if (phrase.duration > 0) {
-            const silence = this.audioService.createSilence(phrase.duration);
-            audioBuffers.push(silence);
-          }
+      // Get phrase content based on input mode
+      let phraseContent;
+      let phraseFileName;
+
+      if (this.inputMode === 'editor') {
+        // Get content from editor
+        const editor = document.getElementById('apg-editor');
+        phraseContent = editor ? editor.value : '';
+
+        if (!phraseContent || !phraseContent.trim()) {
+          this.showError('Please enter program text in the editor');
+          return;
         }
 
-        // Concatenate all audio
-        this.updateProgress(85, 'Combining audio...');
-        let finalBuffer = this.audioService.concatenateBuffers(audioBuffers);
+        phraseFileName = 'editor-program.txt';
+      } else {
+        // Get content from file upload
+        if (!phraseFile || phraseFile.size === 0) {
+          this.showError('Please select a phrase file');
+          return;
+        }
 
-        // Mix with background sound if provided
-        if (soundFile && soundFile.size > 0) {
-          this.updateProgress(90, 'Mixing with background sound...');
-          const soundArrayBuffer =
-            await this.fileService.readAudioFile(soundFile);
-          const backgroundBuffer =
-            await this.audioService.decodeAudioData(soundArrayBuffer);
+        // Validate files BEFORE generating any TTS (to avoid wasting API calls)
+        this.updateProgress(5, 'Validating files...');
+        this.fileService.validateFileSize(phraseFile, 10);
 
+        // Read phrase file
+        this.updateProgress(10, 'Reading phrase file...');
+        phraseContent = await this.fileService.readTextFile(phraseFile);
+        phraseFileName = phraseFile.name;
+      }
+
+      // Parse phrase content
+      // Variables from the form override "@set" definitions in the program
+      this.updateProgress(10, 'Parsing program...');
+      const variablesText = formData.get('program-variables') || '';
+      const variables = parseVariableList(variablesText);
+      const program = parseProgram(phraseContent, {
+        variables,
+        fragments: this.fragments,
+        seed: this.readSeed(formData, phraseContent),
+        sounds: Object.keys(this.sounds),
+      });
+      const { sections, backgrounds, seed } = program;
+      if (program.errors.length > 0) {
+        this.showParseErrors(program.errors);
+        return;
+      }
 
-          const attenuation = parseInt(formData.get('attenuation')) || 0;
-          const fadeIn = parseInt(formData.get('fade-in')) || 3000;
-          const fadeOut = parseInt(formData.get('fade-out')) || 6000;
+      // Header directives in the program take precedence over the form
+      const ttsEngine = program.header.engine || formData.get('tts-engine');
 
-          finalBuffer = this.audioService.mixBuffers(
-            finalBuffer,
-            backgroundBuffer,
-            { attenuation }
-          );
+      // Phrases in other languages need voices that speak them
+      const { header, phrases, errors } = await this.resolveLanguageVoices(
+        program.phrases,
+        ttsEngine,
+        formData,
+        program.header
+      );
+      if (errors.length > 0) {
+        this.showParseErrors(errors);
+        return;
+      }
+      const ttsOptions = this.buildTTSOptions(ttsEngine, formData, header);
+
+      // Read background audio early (before TTS generation) so an invalid
+      // file or unknown sample fails without wasting API calls
+      let backgroundAudio;
+      let backgroundChanges;
+      let loop;
+      let loudnessTarget;
+      let trim;
+      try {
+        backgroundAudio = await this.readBackgroundAudio(soundFile, header);
+        backgroundChanges = await this.readBackgroundChanges(backgrounds);
+        loop = this.readLoopSettings(formData);
+        loudnessTarget = this.readLoudnessTarget(formData);
+        trim = this.readTrimSettings(formData);
+      } catch (error) {
+        this.showError(error.message);
+        return;
+      }
 
-          // Apply fades to mixed audio
-          finalBuffer = this.audioService.applyFades(finalBuffer, {
-            fadeIn,
-            fadeOut,
-          });
-        }
+      // Store file names for project saving
+      this.currentPhraseFileName = phraseFileName;
+      this.currentPhraseContent = phraseContent;
+      this.currentVariablesText = variablesText;
+      this.currentSeed = seed;
+      this.currentPhrases = phrases;
+      this.currentChapters = [];
+      this.currentTTSEngine = ttsEngine;
+      this.currentTTSOptions = ttsOptions;
+      this.currentBackgroundMusicFile = soundFile && soundFile.size > 0 ? soundFile : null;
 
-        // Store audio buffer and convert to WAV blob
-        this.updateProgress(95, 'Finalizing...');
-        this.currentAudioBuffer = finalBuffer;
-        this.currentAudioBlob = this.audioService.audioBufferToWav(finalBuffer);
+      // Set TTS engine
+      this.ttsService.setEngine(ttsEngine);
 
-        // Show output
-        this.updateProgress(100, 'Complete!');
-        
-        // Save project for future restoration
-        await this.saveCurrentProject();
-        
-        this.showOutput();
+      // Check if mixing/export is requested with Web Speech API (safety check)
+      const hasBackground = Boolean(backgroundAudio) || backgroundChanges.some((change) => change.audio);
+      if (ttsEngine === 'web-speech' && hasBackground) {
+        this.showError(
+          'Background mixing is not supported with Web Speech API. Please use a premium TTS engine (e.g. OpenAI or Google Cloud) for mixing and export features.'
+        );
         return;
       }
 
-      // Handle OpenAI TTS (with mixing/export support)
-      if (ttsEngine === 'openai') {
-        // Get OpenAI TTS options
-        const voice = formData.get('openai-voice') || 'nova';
-        const model = formData.get('openai-model') || 'tts-1';
-        const speed = parseFloat(formData.get('openai-speed')) || 1.0;
+      // Resolve per-phrase engine and options from inline overrides
+      const phraseTTS = phrases.map((phrase) =>
+        this.resolvePhraseTTS(phrase, ttsEngine, ttsOptions, formData, header)
+      );
 
-        const ttsOptions = {
-          voice,
-          model,
-          speed,
-          format: 'wav',
-        };
-        if (model === 'gpt-4o-mini-tts') {
-          const instructions = formData.get('openai-voice-instructions') || '';
-          if (instructions.trim()) ttsOptions.instructions = instructions.trim();
-        }
+      // Web Speech API plays through the speakers and cannot be mixed with
+      // engines that render audio
+      const usesWebSpeech = phraseTTS.some(({ engine }) => engine === 'web-speech');
+      if (usesWebSpeech && phraseTTS.some(({ engine }) => engine !== 'web-speech')) {
+        this.showError(
+          'Web Speech API cannot be combined with other engines in one program.'
+        );
+        return;
+      }
 
-        // Generate speech for each phrase
-        this.updateProgress(20, 'Generating speech...');
-        const audioBuffers = [];
+      // Live playback cannot be placed on an absolute timeline
+      if (usesWebSpeech && phrases.some((phrase) => phrase.at !== undefined)) {
+        this.showError(
+          'Cue times (@at) need an engine that renders audio. They cannot be used with the Web Speech API.'
+        );
+        return;
+      }
+      if (usesWebSpeech && phrases.some((phrase) => phrase.slot !== undefined || phrase.beep)) {
+        this.showError(
+          '@countdown and @interval need an engine that renders audio. They cannot be used with the Web Speech API.'
+        );
+        return;
+      }
+      if (usesWebSpeech && phrases.some((phrase) => phrase.sound)) {
+        this.showError(
+          '@sound needs an engine that renders audio. It cannot be used with the Web Speech API.'
+        );
+        return;
+      }
 
-        for (let i = 0; i < phrases.length; i++) {
-          // Check for cancellation
-          if (this.generationCancelled) {
-            throw new Error('Generation cancelled by user');
-          }
+      // Handle Web Speech API (playback only)
+      if (ttsEngine === 'web-speech') {
+        this.updateProgress(100, 'Ready to play!');
 
-          const phrase = phrases[i];
-          const progress = 20 + (60 * (i + 1)) / phrases.length;
-          this.updateProgress(
-            progress,
-            `Generating phrase ${i + 1}/${phrases.length}...`
-          );
+        // Store phrases and options for playback (with lexicon respellings)
+        this.currentPhrases = phrases.map((phrase, i) => {
+          const spoken = this.applyPronunciations(phrase, ttsEngine, phraseTTS[i].options).phrase;
+          return phraseTTS[i].options !== ttsOptions ? { ...spoken, ttsOptions: phraseTTS[i].options } : spoken;
+        });
+        this.currentOptions = ttsOptions;
 
-          // Generate speech (with caching)
+        this.showWebSpeechControls();
+        return;
+      }
+
+      // Generate speech for each phrase (gTTS, Google Cloud, OpenAI)
+      this.updateProgress(20, 'Generating speech...');
+      const audioBuffers = [];
+      const decodedSpeech = new Map();
+      const renderWarnings = [];
+      let elapsed = 0; // Seconds rendered so far, for placing @at cues and sections
+      // Sections by the index of their first phrase
+      const sectionStarts = new Map(sections.map((section) => [section.index, section]));
+      const chapters = [];
+      // Background changes by the index of the phrase they start at
+      const backgroundStarts = new Map(backgroundChanges.map((change) => [change.index, change]));
+      // Loop points belong to the form's background; samples named in the
+      // program only share its crossfade
+      const sampleLoop = { overlap: loop.overlap };
+      const backgroundSegments = [
+        { audio: backgroundAudio, start: 0, fade: 0, loop: header.background ? sampleLoop : loop },
+      ];
+      // Where speech, beeps and sound effects play, for ducking the background
+      const phraseRegions = [];
+      const effectsGain = parseFloat(formData.get('effects-gain')) || 0;
+      // Loudness of each decoded clip and of each spoken line, and the gain that levelled it
+      const matchPhrases = formData.get('match-phrases') === 'on';
+      const speechLevels = new Map();
+      const phraseLevels = new Map();
+
+      for (let i = 0; i < phrases.length; i++) {
+        // Check for cancellation
+        if (this.generationCancelled) {
+          throw new Error('Generation cancelled by user');
+        }
+
+        const phrase = phrases[i];
+        const progress = 20 + (60 * (i + 1)) / phrases.length;
+        this.updateProgress(
+          progress,
+          `Generating phrase ${i + 1}/${phrases.length}...`
+        );
+
+        // Generate speech (with caching), using the phrase's own engine/options.
+        // Repeated lines (e.g. from @repeat blocks) are only generated and
+        // decoded once per render
+        const { engine, options, effects } = phraseTTS[i];
+        const phraseText = phrase.phrase || phrase.text || '';
+        const manualGain = this.phraseGains[phraseGainKey(phrase)] || 0;
+        let speechKey = `${engine}:${phraseText}:${JSON.stringify(options)}:${JSON.stringify(effects)}:${manualGain}`;
+        if (phrase.beep) {
+          speechKey = `beep:${phrase.beep.frequency}:${phrase.beep.duration}`;
+        } else if (phrase.sound) {
+          speechKey = `sound:${JSON.stringify(phrase.sound)}`;
+        }
+        let audioBuffer = decodedSpeech.get(speechKey);
+
+        if (!audioBuffer && phrase.beep) {
+          audioBuffer = this.audioService.createBeep(phrase.beep.frequency, phrase.beep.duration);
+          decodedSpeech.set(speechKey, audioBuffer);
+        } else if (!audioBuffer && phrase.sound) {
+          // Sound effects take the place of speech, so their length counts
+          // toward cue times and section starts like any phrase
+          audioBuffer = await this.loadSoundEffect(phrase.sound, effectsGain);
+          decodedSpeech.set(speechKey, audioBuffer);
+        } else if (!audioBuffer) {
+          const spoken = this.applyPronunciations(phrase, engine, options);
           const speechBlob = await this.generateOrGetCachedSpeech(
-            phrase,
-            ttsEngine,
-            ttsOptions
+            spoken.phrase,
+            engine,
+            spoken.options
           );
 
           // Convert to AudioBuffer
-          const phraseText = phrase.phrase || phrase.text || '';
           // eslint-disable-next-line no-console
           console.log(`🎵 About to decode phrase: "${phraseText.substring(0, 50)}"`);
           const arrayBuffer = await speechBlob.arrayBuffer();
-          const audioBuffer =
-            await this.audioService.decodeAudioData(arrayBuffer);
-          audioBuffers.push(audioBuffer);
-
-          // Add silence after phrase
-          if (phrase.duration > 0) {
-            const silence = this.audioService.createSilence(phrase.duration);
-            audioBuffers.push(silence);
-          }
-        }
+          audioBuffer = await this.audioService.decodeAudioData(arrayBuffer);
 
-        // Concatenate all audio
-        this.updateProgress(85, 'Combining audio...');
-        let finalBuffer = this.audioService.concatenateBuffers(audioBuffers);
+          // Trim the engine's own silence so the program's pauses are exact
+          // (the cached clip keeps it)
+          if (trim) {
+            audioBuffer = this.audioService.trimSilence(audioBuffer, trim);
+          }
 
-        // Mix with background sound if provided
-        if (soundFile && soundFile.size > 0) {
-          this.updateProgress(90, 'Mixing with background sound...');
-          const soundArrayBuffer =
-            await this.fileService.readAudioFile(soundFile);
-          const backgroundBuffer =
-            await this.audioService.decodeAudioData(soundArrayBuffer);
+          const { buffer: levelled, ...level } = this.levelPhrase(audioBuffer, phrase, effects, matchPhrases);
+          audioBuffer = levelled;
+          speechLevels.set(speechKey, level);
 
+          // Modifiers the engine could not apply itself
+          if (effects) {
+            audioBuffer = this.audioService.applyPhraseEffects(audioBuffer, effects);
+          }
+          decodedSpeech.set(speechKey, audioBuffer);
+        }
 
-          const attenuation = parseInt(formData.get('attenuation')) || 0;
-          const fadeIn = parseInt(formData.get('fade-in')) || 3000;
-          const fadeOut = parseInt(formData.get('fade-out')) || 6000;
+        // Each spoken line and text is listed once, with the level of its first clip
+        const level = speechLevels.get(speechKey);
+        const gainKey = phraseGainKey(phrase);
+        if (level && phrase.phrase !== '*' && !phraseLevels.has(gainKey)) {
+          phraseLevels.set(gainKey, { text: phrase.phrase, line: phrase.line, ...level });
+        }
 
-          finalBuffer = this.audioService.mixBuffers(
-            finalBuffer,
-            backgroundBuffer,
-            { attenuation }
-          );
+        // Pad with silence up to an absolute cue time
+        if (phrase.at !== undefined) {
+          const { silence, warning } = this.resolveCue(phrase, elapsed);
+          if (silence > 0) {
+            const padding = this.audioService.createSilence(silence);
+            audioBuffers.push(padding);
+            elapsed += padding.duration;
+          }
+          if (warning) renderWarnings.push(warning);
+        }
 
-          // Apply fades to mixed audio
-          finalBuffer = this.audioService.applyFades(finalBuffer, {
-            fadeIn,
-            fadeOut,
+        // A section starts where its first phrase does (after any cue padding)
+        const section = sectionStarts.get(i);
+        if (section) {
+          chapters.push({ title: section.title, line: section.line, start: elapsed });
+        }
+        const change = backgroundStarts.get(i);
+        if (change) {
+          backgroundSegments.push({
+            name: change.name,
+            audio: change.audio,
+            start: elapsed,
+            fade: change.fade,
+            loop: sampleLoop,
           });
         }
 
-        // Store audio buffer and convert to WAV blob
-        this.updateProgress(95, 'Finalizing...');
-        this.currentAudioBuffer = finalBuffer;
-        this.currentAudioBlob = this.audioService.audioBufferToWav(finalBuffer);
+        if (phrase.phrase !== '*' || phrase.beep || phrase.sound) {
+          phraseRegions.push([elapsed, elapsed + audioBuffer.duration]);
+        }
+        audioBuffers.push(audioBuffer);
+        elapsed += audioBuffer.duration;
+
+        // Add silence after phrase (generated phrases fill a fixed slot instead)
+        let pause = phrase.duration;
+        if (phrase.slot !== undefined) {
+          const { silence, warning } = this.resolveSlot(phrase, audioBuffer.duration);
+          pause = silence;
+          if (warning) renderWarnings.push(warning);
+        }
+        if (pause > 0) {
+          const silence = this.audioService.createSilence(pause);
+          audioBuffers.push(silence);
+          elapsed += silence.duration;
+        }
+      }
 
-        // Show output
-        this.updateProgress(100, 'Complete!');
-        
-        // Save project for future restoration
-        await this.saveCurrentProject();
-        
-        this.showOutput();
-        return;
+      // Concatenate all audio
+      this.updateProgress(85, 'Combining audio...');
+      let finalBuffer = this.audioService.concatenateBuffers(audioBuffers);
+
+      // Mix with background sound if provided, switching beds where the
+      // program changes background
+      if (hasBackground) {
+        this.updateProgress(90, 'Mixing with background sound...');
+        const backgroundBuffer = await this.buildBackgroundLayer(backgroundSegments, finalBuffer);
+
+        const attenuation =
+          header.attenuation ?? (parseInt(formData.get('attenuation')) || 0);
+        const fadeIn = parseInt(formData.get('fade-in')) || 3000;
+        const fadeOut = parseInt(formData.get('fade-out')) || 6000;
+
+        finalBuffer = this.audioService.mixBuffers(
+          finalBuffer,
+          backgroundBuffer,
+          { attenuation, ducking: this.buildDuckingOptions(formData, phraseRegions) }
+        );
+
+        // Apply fades to mixed audio
+        finalBuffer = this.audioService.applyFades(finalBuffer, {
+          fadeIn,
+          fadeOut,
+        });
+      }
+
+      // Normalise last, so the export has the loudness the report shows
+      let loudness;
+      if (loudnessTarget !== null) {
+        this.updateProgress(93, 'Normalising loudness...');
+        const { measured, final } = this.audioService.normalizeLoudness(finalBuffer, loudnessTarget);
+        loudness = { measured, final, target: loudnessTarget };
+      } else {
+        loudness = { measured: this.audioService.measureLoudness(finalBuffer) };
       }
+
+      // Store audio buffer and convert to WAV blob
+      this.updateProgress(95, 'Finalizing...');
+      this.currentAudioBuffer = finalBuffer;
+      this.currentAudioBlob = this.audioService.audioBufferToWav(finalBuffer);
+      this.currentChapters = chapters;
+
+      // Show output
+      this.updateProgress(100, 'Complete!');
+
+      // Save project for future restoration
+      await this.saveCurrentProject();
+
+      this.showOutput();
+      this.showLoudnessReport(loudness);
+      this.showPhraseLevels([...phraseLevels.values()]);
+      this.showChapters(chapters);
+      this.showRenderWarnings(renderWarnings);
     } catch (error) {
       if (error.message !== 'Generation cancelled by user') {
         this.showError(error.message);
@@ -1673,6 +2667,131 @@ export class AppController {
     }, { once: true });
   }
   
+  /**
+   * Show warnings from the last render (e.g. overrun cues) above the player
+   * @param {Array<string>} warnings - Warning messages, "Line N: ..." links to the editor
+   */
+  showRenderWarnings(warnings) {
+    const container = document.getElementById('render-warnings');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = warnings.length > 0 ? 'block' : 'none';
+    if (warnings.length === 0) return;
+
+    const title = document.createElement('strong');
+    title.textContent = `⚠️ ${warnings.length} warning${warnings.length > 1 ? 's' : ''}:`;
+    const list = document.createElement('ul');
+
+    warnings.forEach((warning) => {
+      console.warn(warning);
+      const item = document.createElement('li');
+      item.textContent = warning;
+      const lineMatch = warning.match(/^Line (\d+):/);
+      if (lineMatch) {
+        item.dataset.line = lineMatch[1];
+        item.title = `Go to line ${lineMatch[1]}`;
+        item.addEventListener('click', () => this.selectEditorLine(parseInt(lineMatch[1])));
+      }
+      list.appendChild(item);
+    });
+
+    container.appendChild(title);
+    container.appendChild(list);
+  }
+
+  /**
+   * Show the loudness of the last render under the player
+   * @param {Object} loudness
+   * @param {{integrated: number, truePeak: number}} loudness.measured - Loudness of the mix
+   * @param {{integrated: number, truePeak: number}} [loudness.final] - Loudness after normalising
+   * @param {number} [loudness.target] - Normalisation target in LUFS
+   */
+  showLoudnessReport({ measured, final, target }) {
+    const report = document.getElementById('loudness-report');
+    if (!report) return;
+
+    const level = (value, unit) => (Number.isFinite(value) ? `${value.toFixed(1)} ${unit}` : `-∞ ${unit}`);
+    const result = final || measured;
+    report.textContent = final
+      ? `Loudness: ${level(measured.integrated, 'LUFS')} measured → ${level(final.integrated, 'LUFS')} (target ${target}), `
+      : `Loudness: ${level(measured.integrated, 'LUFS')} (not normalised), `;
+    report.textContent += `true peak ${level(result.truePeak, 'dBTP')}`;
+    report.style.display = 'block';
+  }
+
+  /**
+   * List the spoken lines of the last render with their level, and a manual
+   * gain for each that applies from the next render
+   * @param {Array<{text: string, line: number, measured: number|null, gain: number, manual: number}>} levels
+   *   Level of each spoken line (see levelPhrase)
+   */
+  showPhraseLevels(levels) {
+    const panel = document.getElementById('phrase-levels');
+    const list = document.getElementById('phrase-level-list');
+    if (!panel || !list) return;
+
+    list.innerHTML = '';
+    panel.style.display = levels.length > 0 ? 'block' : 'none';
+
+    levels.forEach(({ text, line, measured, gain, manual }) => {
+      const row = document.createElement('label');
+      const title = document.createElement('span');
+      title.textContent = `Line ${line}: ${text.length > 60 ? `${text.substring(0, 57)}...` : text}`;
+      title.title = text;
+
+      const detail = document.createElement('small');
+      const sign = gain >= 0 ? '+' : '';
+      detail.textContent = measured === null
+        ? `${sign}${gain.toFixed(1)} dB`
+        : `${Number.isFinite(measured) ? measured.toFixed(1) : '-∞'} LUFS, ${sign}${gain.toFixed(1)} dB`;
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = '0.5';
+      input.min = '-24';
+      input.max = '24';
+      input.value = manual;
+      input.setAttribute('aria-label', `Manual gain for line ${line} (dB)`);
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (value) {
+          this.phraseGains[phraseGainKey({ line, phrase: text })] = value;
+        } else {
+          delete this.phraseGains[phraseGainKey({ line, phrase: text })];
+        }
+      });
+
+      row.append(title, detail, input);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Show a jump-to button for each section of the rendered program
+   * @param {Array<{title: string, start: number}>} chapters - Sections with their start time in seconds
+   */
+  showChapters(chapters) {
+    const container = document.getElementById('chapter-list');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = chapters.length > 0 ? 'flex' : 'none';
+
+    chapters.forEach((chapter) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'secondary';
+      button.textContent = `${formatClockTime(Math.floor(chapter.start))} ${chapter.title}`;
+      button.title = `Jump to "${chapter.title}"`;
+      button.addEventListener('click', () => {
+        this.audioPlayer.currentTime = chapter.start;
+        this.audioPlayer.play();
+      });
+      container.appendChild(button);
+    });
+  }
+
   /**
    * Initialize EQ for the audio player
    */
@@ -1778,7 +2897,7 @@ export class AppController {
     if (engine === 'openai') {
       voice = document.getElementById('openai-voice')?.value || 'nova';
     } else if (engine === 'google-cloud') {
-      const raw = document.getElementById('voice-name')?.value || 'google';
+      const raw = document.getElementById('google-voice')?.value || 'google';
       voice = toKebab(raw.replace(/[^a-z0-9]/gi, '-'), 24) || 'google';
     } else {
       voice = toKebab(engine, 20) || 'voice';
@@ -1837,14 +2956,17 @@ export class AppController {
           bitrate,
           (progress) => {
             this.updateProgress(progress, `Encoding MP3... ${progress}%`);
-          }
+          },
+          { chapters: this.currentChapters }
         );
 
         filename = this.buildDownloadFilename('mp3');
         this.updateProgress(100, 'MP3 encoding complete!');
       } else {
         // Export as WAV (instant, no progress needed)
-        blob = this.audioService.audioBufferToWav(this.currentAudioBuffer);
+        blob = this.audioService.audioBufferToWav(this.currentAudioBuffer, {
+          chapters: this.currentChapters,
+        });
         filename = this.buildDownloadFilename('wav');
       }
 
@@ -1893,6 +3015,41 @@ export class AppController {
     }
   }
 
+  /**
+   * Report program parse errors with their line numbers
+   * In editor mode, the first offending line is selected in the editor
+   * @param {Array<{line: number|null, message: string}>} errors - Parse errors
+   */
+  showParseErrors(errors) {
+    const maxShown = 5;
+    const lines = errors.slice(0, maxShown).map(formatParseError);
+    if (errors.length > maxShown) {
+      lines.push(`...and ${errors.length - maxShown} more`);
+    }
+
+    if (this.inputMode === 'editor' && errors[0].line) {
+      this.selectEditorLine(errors[0].line);
+    }
+
+    this.showError(`Program has ${errors.length} error${errors.length > 1 ? 's' : ''}:\n${lines.join('\n')}`);
+  }
+
+  /**
+   * Select a 1-based line in the program editor
+   * @param {number} lineNum - Line number
+   */
+  selectEditorLine(lineNum) {
+    const editor = document.getElementById('apg-editor');
+    if (!editor) return;
+
+    const lines = editor.value.split('\n');
+    if (lineNum < 1 || lineNum > lines.length) return;
+
+    const start = lines.slice(0, lineNum - 1).reduce((sum, l) => sum + l.length + 1, 0);
+    editor.focus();
+    editor.setSelectionRange(start, start + lines[lineNum - 1].length);
+  }
+
   showError(message) {
     this.updateProgress(0, `Error: ${message}`);
     alert(`Error: ${message}`);
@@ -1910,6 +3067,231 @@ export class AppController {
     }
   }
 
+  /**
+   * Load program text into the text editor and switch to editor mode
+   * @param {string} content - Program text (the editor is left as is when empty)
+   */
+  openInEditor(content) {
+    const editor = document.getElementById('apg-editor');
+    const inputModeSelect = document.getElementById('input-mode');
+    const fileUploadMode = document.getElementById('file-upload-mode');
+    const textEditorMode = document.getElementById('text-editor-mode');
+    if (editor && content) {
+      editor.value = content;
+      this.editorService.saveToLocalStorage(content);
+      this.updateEditorUI();
+    }
+    if (inputModeSelect) inputModeSelect.value = 'editor';
+    if (fileUploadMode) fileUploadMode.style.display = 'none';
+    if (textEditorMode) textEditorMode.style.display = 'block';
+    this.inputMode = 'editor';
+  }
+
+  /**
+   * Import an SRT/VTT subtitle file into the text editor
+   * @param {File} file - Subtitle file
+   */
+  async handleSubtitleImport(file) {
+    if (!file) return;
+
+    try {
+      this.fileService.validateFileSize(file, 1);
+      const timing = document.getElementById('subtitle-timing')?.value || 'pauses';
+      const program = await this.fileService.importSubtitles(file, { timing });
+      this.openInEditor(program);
+      // eslint-disable-next-line no-console
+      console.log(`📥 Imported subtitles: "${file.name}"`);
+    } catch (error) {
+      console.error('Failed to import subtitles:', error);
+      alert(`Failed to import subtitles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a CSV/TSV spreadsheet and show its column mapping and preview
+   * @param {File} file - Spreadsheet file
+   */
+  async handleSpreadsheetFile(file) {
+    if (!file) return;
+
+    try {
+      this.fileService.validateFileSize(file, 1);
+      const { headers, rows } = await this.fileService.readSpreadsheet(file);
+      const { mapping, remembered } = this.fileService.getColumnMapping(headers);
+      this.pendingSpreadsheet = { name: file.name, headers, rows };
+      this.showSpreadsheetImport(mapping, remembered);
+    } catch (error) {
+      console.error('Failed to read spreadsheet:', error);
+      alert(`Failed to read spreadsheet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the column pickers and preview for the pending spreadsheet
+   * @param {Object<string, number|null>} mapping - Column index per field
+   * @param {boolean} remembered - Whether the mapping was saved from an earlier import
+   */
+  showSpreadsheetImport(mapping, remembered) {
+    const panel = document.getElementById('spreadsheet-import');
+    const mappingDiv = document.getElementById('spreadsheet-mapping');
+    const title = document.getElementById('spreadsheet-import-title');
+    const status = document.getElementById('spreadsheet-import-status');
+    if (!panel || !mappingDiv || !this.pendingSpreadsheet) return;
+
+    const { name, headers, rows } = this.pendingSpreadsheet;
+    if (title) title.textContent = `Import ${name}`;
+    if (status) {
+      status.textContent = `${rows.length} row${rows.length === 1 ? '' : 's'}` +
+        (remembered ? ' · using the mapping from your last import' : '');
+    }
+
+    mappingDiv.innerHTML = '';
+    IMPORT_FIELDS.forEach((field) => {
+      const label = document.createElement('label');
+      label.textContent = IMPORT_FIELD_LABELS[field];
+
+      const select = document.createElement('select');
+      select.dataset.field = field;
+      select.add(new Option(field === 'text' ? 'Choose a column' : '(none)', ''));
+      headers.forEach((header, index) => select.add(new Option(header || `Column ${index + 1}`, index)));
+      select.value = mapping[field] ?? '';
+      select.addEventListener('change', () => this.updateSpreadsheetPreview());
+
+      label.appendChild(select);
+      mappingDiv.appendChild(label);
+    });
+
+    panel.style.display = 'flex';
+    this.updateSpreadsheetPreview();
+  }
+
+  /**
+   * Read the column mapping from the import panel
+   * @returns {Object<string, number|null>} Column index per field
+   */
+  getSpreadsheetMapping() {
+    const mapping = {};
+    document.querySelectorAll('#spreadsheet-mapping select').forEach((select) => {
+      mapping[select.dataset.field] = select.value === '' ? null : parseInt(select.value);
+    });
+    return mapping;
+  }
+
+  /**
+   * Show the program lines for the first rows of the pending spreadsheet
+   */
+  updateSpreadsheetPreview() {
+    const preview = document.getElementById('spreadsheet-preview');
+    if (!preview || !this.pendingSpreadsheet) return;
+
+    const { rows } = this.pendingSpreadsheet;
+    const mapping = this.getSpreadsheetMapping();
+    if (mapping.text === null) {
+      preview.textContent = 'Choose the column that holds the phrase text.';
+      return;
+    }
+
+    const remaining = rows.length - SPREADSHEET_PREVIEW_ROWS;
+    preview.textContent = spreadsheetToProgram(rows.slice(0, SPREADSHEET_PREVIEW_ROWS), mapping) +
+      (remaining > 0 ? `\n… and ${remaining} more row${remaining === 1 ? '' : 's'}` : '');
+  }
+
+  /**
+   * Import the pending spreadsheet with the chosen mapping and remember it
+   * for spreadsheets with the same headers
+   */
+  confirmSpreadsheetImport() {
+    if (!this.pendingSpreadsheet) return;
+
+    const { name, headers, rows } = this.pendingSpreadsheet;
+    const mapping = this.getSpreadsheetMapping();
+    if (mapping.text === null) {
+      alert('Choose the column that holds the phrase text.');
+      return;
+    }
+
+    this.fileService.saveColumnMapping(headers, mapping);
+    this.openInEditor(spreadsheetToProgram(rows, mapping, { source: name }));
+    this.closeSpreadsheetImport();
+    // eslint-disable-next-line no-console
+    console.log(`📊 Imported spreadsheet: "${name}" (${rows.length} rows)`);
+  }
+
+  /**
+   * Hide the spreadsheet import panel and drop the pending spreadsheet
+   */
+  closeSpreadsheetImport() {
+    const panel = document.getElementById('spreadsheet-import');
+    if (panel) panel.style.display = 'none';
+    this.pendingSpreadsheet = null;
+  }
+
+  /**
+   * Show the prose conversion settings and preview for the editor text
+   */
+  openProseConverter() {
+    const editor = document.getElementById('apg-editor');
+    const panel = document.getElementById('prose-convert');
+    if (!editor || !panel) return;
+
+    if (!editor.value.trim()) {
+      alert('Paste some prose into the editor first.');
+      return;
+    }
+
+    this.pendingProse = editor.value;
+    const pauses = this.editorService.loadProsePauses();
+    panel.querySelectorAll('input[data-pause]').forEach((input) => {
+      input.value = pauses[input.dataset.pause];
+    });
+    panel.style.display = 'flex';
+    this.updateProsePreview();
+  }
+
+  /**
+   * Read the pause settings from the prose panel
+   * Blank or invalid values fall back to the saved defaults
+   * @returns {Object} Pause per kind of sentence
+   */
+  getProsePauses() {
+    const pauses = this.editorService.loadProsePauses();
+    document.querySelectorAll('#prose-convert input[data-pause]').forEach((input) => {
+      const value = parseFloat(input.value);
+      if (value >= 0) pauses[input.dataset.pause] = value;
+    });
+    return pauses;
+  }
+
+  /**
+   * Show the program the pending prose converts to
+   */
+  updateProsePreview() {
+    const preview = document.getElementById('prose-preview');
+    if (!preview || this.pendingProse === null) return;
+    preview.textContent = proseToProgram(this.pendingProse, this.getProsePauses());
+  }
+
+  /**
+   * Replace the editor text with its conversion and keep the pauses as defaults
+   */
+  confirmProseConversion() {
+    if (this.pendingProse === null) return;
+
+    const pauses = this.getProsePauses();
+    this.editorService.saveProsePauses(pauses);
+    this.openInEditor(proseToProgram(this.pendingProse, pauses));
+    this.closeProseConverter();
+  }
+
+  /**
+   * Hide the prose conversion panel
+   */
+  closeProseConverter() {
+    const panel = document.getElementById('prose-convert');
+    if (panel) panel.style.display = 'none';
+    this.pendingProse = null;
+  }
+
   /**
    * Setup text editor functionality
    */
@@ -1961,8 +3343,13 @@ export class AppController {
       }
     }
 
-    // Auto-populate program description from uploaded filename (when field is blank)
+    // A new program file starts without the manual gains of the last one
     const phraseFileInput = document.getElementById('phrase-file');
+    phraseFileInput?.addEventListener('change', () => {
+      this.phraseGains = {};
+    });
+
+    // Auto-populate program description from uploaded filename (when field is blank)
     const descField = document.getElementById('program-description');
     if (phraseFileInput && descField) {
       phraseFileInput.addEventListener('change', () => {
@@ -1978,6 +3365,9 @@ export class AppController {
       this.scheduleAutoSave();
     });
 
+    // Form variables fill {{name}} placeholders, so they change what is valid
+    document.getElementById('program-variables')?.addEventListener('input', () => this.updateEditorUI());
+
     // Clear button
     if (clearEditorBtn) {
       clearEditorBtn.addEventListener('click', () => {
@@ -1989,6 +3379,43 @@ export class AppController {
       });
     }
 
+    // Subtitle import
+    const importSubtitlesBtn = document.getElementById('import-subtitles-btn');
+    const subtitleFileInput = document.getElementById('subtitle-file');
+    if (importSubtitlesBtn && subtitleFileInput) {
+      importSubtitlesBtn.addEventListener('click', () => subtitleFileInput.click());
+      subtitleFileInput.addEventListener('change', async (e) => {
+        await this.handleSubtitleImport(e.target.files[0]);
+        e.target.value = ''; // Allow importing the same file again
+      });
+    }
+
+    // Spreadsheet import
+    const importSpreadsheetBtn = document.getElementById('import-spreadsheet-btn');
+    const spreadsheetFileInput = document.getElementById('spreadsheet-file');
+    if (importSpreadsheetBtn && spreadsheetFileInput) {
+      importSpreadsheetBtn.addEventListener('click', () => spreadsheetFileInput.click());
+      spreadsheetFileInput.addEventListener('change', async (e) => {
+        await this.handleSpreadsheetFile(e.target.files[0]);
+        e.target.value = '';
+      });
+    }
+    document.getElementById('spreadsheet-import-confirm')
+      ?.addEventListener('click', () => this.confirmSpreadsheetImport());
+    document.getElementById('spreadsheet-import-cancel')
+      ?.addEventListener('click', () => this.closeSpreadsheetImport());
+
+    // Prose conversion
+    document.getElementById('convert-prose-btn')
+      ?.addEventListener('click', () => this.openProseConverter());
+    document.querySelectorAll('#prose-convert input[data-pause]').forEach((input) => {
+      input.addEventListener('input', () => this.updateProsePreview());
+    });
+    document.getElementById('prose-convert-confirm')
+      ?.addEventListener('click', () => this.confirmProseConversion());
+    document.getElementById('prose-convert-cancel')
+      ?.addEventListener('click', () => this.closeProseConverter());
+
     // Initial update
     this.updateEditorUI();
   }
@@ -2007,6 +3434,11 @@ export class AppController {
 
     const text = editor.value;
 
+    // Lexicon entries show which lines they change
+    if (this.lexicon.length > 0) {
+      this.renderLexiconList();
+    }
+
     // Update stats
     const stats = this.editorService.getStats(text);
     if (statLines) statLines.textContent = stats.lines;
@@ -2016,30 +3448,61 @@ export class AppController {
     // Validate syntax
     if (validationDiv && text.trim()) {
       const maxPause = parseFloat(document.getElementById('max-pause-duration')?.value) || 120;
-      const validation = this.editorService.validateSyntax(text, maxPause);
+      // A bad variables line is reported when rendering; until then the
+      // program is checked without the form's variables
+      let variables = {};
+      try {
+        variables = parseVariableList(document.getElementById('program-variables')?.value);
+      } catch {
+        // Keep the program's own "@set" values
+      }
+      const validation = this.editorService.validateSyntax(text, maxPause, {
+        variables,
+        fragments: this.fragments,
+        sounds: Object.keys(this.sounds),
+      });
       const hasErrors = validation.errors.length > 0;
       const hasWarnings = validation.warnings && validation.warnings.length > 0;
       
-      if (!hasErrors && !hasWarnings) {
-        validationDiv.className = 'editor-validation valid';
-        validationDiv.innerHTML = '✓ Syntax valid';
-        validationDiv.style.display = 'block';
-      } else if (hasErrors) {
+      // Messages quote program text, so they are set as text, never HTML.
+      // Those that start with "Line N:" become links to that line
+      const toList = (messages, style) => {
+        const list = document.createElement('ul');
+        if (style) list.style.cssText = style;
+        messages.forEach((msg) => {
+          const item = document.createElement('li');
+          item.textContent = msg;
+          const lineMatch = msg.match(/^Line (\d+):/);
+          if (lineMatch) {
+            item.dataset.line = lineMatch[1];
+            item.title = `Go to line ${lineMatch[1]}`;
+            item.addEventListener('click', () => this.selectEditorLine(parseInt(lineMatch[1])));
+          }
+          list.appendChild(item);
+        });
+        return list;
+      };
+      const heading = (text, style) => {
+        const title = document.createElement('strong');
+        title.textContent = text;
+        if (style) title.style.cssText = style;
+        return title;
+      };
+      const warningStyle = 'color: #f0ad4e;';
+
+      validationDiv.innerHTML = '';
+      validationDiv.style.display = 'block';
+      if (hasErrors) {
         validationDiv.className = 'editor-validation invalid';
-        const errorList = validation.errors.map(err => `<li>${err}</li>`).join('');
-        let html = `<strong>Syntax errors:</strong><ul>${errorList}</ul>`;
-        if (hasWarnings) {
-          const warningList = validation.warnings.map(w => `<li>${w}</li>`).join('');
-          html += `<strong style="color: #f0ad4e;">Warnings:</strong><ul style="color: #f0ad4e;">${warningList}</ul>`;
-        }
-        validationDiv.innerHTML = html;
-        validationDiv.style.display = 'block';
-      } else if (hasWarnings) {
-        // Only warnings, no errors - still valid
+        validationDiv.append(heading('Syntax errors:'), toList(validation.errors));
+      } else {
+        // Only warnings (or nothing) - still valid
         validationDiv.className = 'editor-validation valid';
-        const warningList = validation.warnings.map(w => `<li>${w}</li>`).join('');
-        validationDiv.innerHTML = `✓ Syntax valid<br><strong style="color: #f0ad4e;">Warnings:</strong><ul style="color: #f0ad4e;">${warningList}</ul>`;
-        validationDiv.style.display = 'block';
+        validationDiv.append('✓ Syntax valid');
+        if (hasWarnings) validationDiv.append(document.createElement('br'));
+      }
+      if (hasWarnings) {
+        validationDiv.append(heading('Warnings:', warningStyle), toList(validation.warnings, warningStyle));
       }
     } else if (validationDiv) {
       validationDiv.style.display = 'none';
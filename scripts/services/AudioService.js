@@ -103,9 +103,15 @@ export class AudioService {
 
   /**
    * Mix two audio buffers
+   * With `ducking`, the background drops while speech is present: during
+   * the given regions, or where an envelope follower hears speech in buffer1
    * @param {AudioBuffer} buffer1 - First buffer (speech)
    * @param {AudioBuffer} buffer2 - Second buffer (background)
    * @param {Object} options - Mix options
+   * @param {number} [options.attenuation] - Background gain in dB
+   * @param {Object} [options.ducking] - Ducking settings (see createDuckingCurve),
+   *   plus `regions` of speech in seconds
+   * @param {Object} [options.loop] - How to loop the background (see createLoopReader)
    * @returns {AudioBuffer} Mixed audio buffer
    */
   mixBuffers(buffer1, buffer2, options = {}) {
@@ -120,14 +126,21 @@ export class AudioService {
     const attenuation = options.attenuation || 0;
     const attenuationFactor = Math.pow(10, attenuation / 20);
 
+    let duckingCurve = null;
+    if (options.ducking) {
+      const regions = options.ducking.regions || this.detectSpeechRegions(buffer1);
+      duckingCurve = this.createDuckingCurve(regions, length, sampleRate, options.ducking);
+    }
+
     // Loop or truncate buffer2 to match buffer1 length
     const buffer2Data = [];
     for (let channel = 0; channel < buffer2.numberOfChannels; channel++) {
       const sourceData = buffer2.getChannelData(channel);
       const loopedData = new Float32Array(length);
+      const { read } = this.createLoopReader(sourceData, buffer2.sampleRate, options.loop);
 
       for (let i = 0; i < length; i++) {
-        loopedData[i] = sourceData[i % sourceData.length];
+        loopedData[i] = read(i);
       }
 
       buffer2Data.push(loopedData);
@@ -146,13 +159,226 @@ export class AudioService {
       const mixedData = mixed.getChannelData(channel);
 
       for (let i = 0; i < length; i++) {
-        mixedData[i] = data1[i] + data2[i] * attenuationFactor;
+        const gain = duckingCurve ? attenuationFactor * duckingCurve[i] : attenuationFactor;
+        mixedData[i] = data1[i] + data2[i] * gain;
       }
     }
 
     return mixed;
   }
 
+  /**
+   * Find where speech is present, with a peak envelope follower
+   * Gaps shorter than `hold` (between words and breaths) count as speech,
+   * so the background does not pump
+   * @param {AudioBuffer} buffer - Speech
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Level in dB above which audio is speech
+   * @param {number} [options.hold] - Shortest pause in ms that ends a region
+   * @returns {Array<[number, number]>} Speech start and end times in seconds
+   */
+  detectSpeechRegions(buffer, { threshold = -40, hold = 300 } = {}) {
+    const sampleRate = buffer.sampleRate;
+    const level = Math.pow(10, threshold / 20);
+    const decay = Math.exp(-1 / (0.01 * sampleRate)); // 10ms release
+    const holdSamples = (hold / 1000) * sampleRate;
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) =>
+      buffer.getChannelData(channel)
+    );
+
+    const regions = [];
+    let envelope = 0;
+    let start = -1;
+    let lastActive = -1;
+    for (let i = 0; i < buffer.length; i++) {
+      let peak = 0;
+      for (const data of channels) {
+        peak = Math.max(peak, Math.abs(data[i]));
+      }
+      envelope = Math.max(peak, envelope * decay);
+
+      if (envelope > level) {
+        if (start === -1) {
+          start = i;
+        } else if (i - lastActive > holdSamples) {
+          regions.push([start / sampleRate, (lastActive + 1) / sampleRate]);
+          start = i;
+        }
+        lastActive = i;
+      }
+    }
+    if (start !== -1) {
+      regions.push([start / sampleRate, (lastActive + 1) / sampleRate]);
+    }
+
+    return regions;
+  }
+
+  /**
+   * Gain curve that ducks the background under speech
+   * The gain ramps down (in dB) over `attack` ms, finishing as each region
+   * starts, and back up over `release` ms once it ends. Mixing is offline,
+   * so the ramp can start before the speech does.
+   * @param {Array<[number, number]>} regions - Speech start and end times in seconds
+   * @param {number} length - Curve length in samples
+   * @param {number} sampleRate - Sample rate
+   * @param {Object} [options]
+   * @param {number} [options.amount] - Gain change under speech in dB
+   * @param {number} [options.attack] - Ramp down time in ms
+   * @param {number} [options.release] - Ramp up time in ms
+   * @returns {Float32Array} Linear gain per sample
+   */
+  createDuckingCurve(regions, length, sampleRate, { amount = -12, attack = 100, release = 600 } = {}) {
+    const curve = new Float32Array(length);
+    const depth = Math.abs(amount);
+    const attackSamples = Math.round((attack / 1000) * sampleRate);
+    const downStep = attackSamples > 0 ? depth / attackSamples : depth;
+    const upStep = release > 0 ? depth / ((release / 1000) * sampleRate) : depth;
+    const spans = regions
+      .map(([start, end]) => [Math.round(start * sampleRate) - attackSamples, Math.round(end * sampleRate)])
+      .sort((a, b) => a[0] - b[0]);
+
+    let span = 0;
+    let reduction = 0; // dB below full level
+    let lastReduction = 0;
+    let gain = 1;
+    for (let i = 0; i < length; i++) {
+      while (span < spans.length && spans[span][1] <= i) span++;
+      const ducked = span < spans.length && spans[span][0] <= i;
+
+      reduction = ducked ? Math.min(depth, reduction + downStep) : Math.max(0, reduction - upStep);
+      if (reduction !== lastReduction) {
+        gain = Math.pow(10, -reduction / 20);
+        lastReduction = reduction;
+      }
+      curve[i] = gain;
+    }
+
+    return curve;
+  }
+
+  /**
+   * Read audio as an endless loop
+   * The loop plays from `start` to `end` and each repeat crossfades with the
+   * tail of the one before over `overlap` seconds, so there is no click at
+   * the wrap. Without an overlap the audio simply wraps around.
+   * @param {Float32Array} source - Channel data
+   * @param {number} sampleRate - Sample rate
+   * @param {Object} [loop]
+   * @param {number} [loop.overlap] - Crossfade between repeats in seconds (at most half the loop)
+   * @param {number} [loop.start] - Loop start in seconds
+   * @param {number} [loop.end] - Loop end in seconds (default: end of the audio)
+   * @returns {{read: function(number): number, period: number, fade: number}} Sample
+   *   reader by position in the loop, with the repeat length and crossfade in samples
+   */
+  createLoopReader(source, sampleRate, { overlap = 0, start = 0, end } = {}) {
+    const from = Math.max(0, Math.round(start * sampleRate));
+    const to = end ? Math.min(source.length, Math.round(end * sampleRate)) : source.length;
+    if (from >= source.length) {
+      throw new Error('Loop start is past the end of the background audio');
+    }
+    if (to <= from) {
+      throw new Error('Loop end must be after loop start');
+    }
+
+    const size = to - from;
+    const fade = Math.min(Math.round(overlap * sampleRate), Math.floor(size / 2));
+    const period = size - fade;
+
+    const read = (index) => {
+      const repeat = Math.floor(index / period);
+      const position = index - repeat * period;
+      if (repeat === 0 || position >= fade) {
+        return source[from + position];
+      }
+      // Equal-power crossfade from the previous repeat's tail
+      const t = (position / fade) * (Math.PI / 2);
+      return source[from + position] * Math.sin(t) + source[from + period + position] * Math.cos(t);
+    };
+
+    return { read, period, fade };
+  }
+
+  /**
+   * Render the seconds either side of a loop's first wrap, to check that
+   * the seam cannot be heard
+   * @param {AudioBuffer} buffer - Background audio
+   * @param {Object} [loop] - Loop settings (see createLoopReader)
+   * @param {number} [context] - Seconds before and after the seam
+   * @returns {AudioBuffer} Preview audio
+   */
+  createLoopSeamPreview(buffer, loop = {}, context = 3) {
+    const sampleRate = buffer.sampleRate;
+    const readers = Array.from({ length: buffer.numberOfChannels }, (_, channel) =>
+      this.createLoopReader(buffer.getChannelData(channel), sampleRate, loop)
+    );
+    const { period, fade } = readers[0];
+    const seam = period + Math.floor(fade / 2);
+    const from = Math.max(0, seam - Math.round(context * sampleRate));
+    const length = seam + Math.round(context * sampleRate) - from;
+
+    const preview = this.getAudioContext().createBuffer(buffer.numberOfChannels, length, sampleRate);
+    readers.forEach(({ read }, channel) => {
+      const data = preview.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        data[i] = read(from + i);
+      }
+    });
+    return preview;
+  }
+
+  /**
+   * Build a background layer from beds that take over from each other
+   * Each bed loops from its start time, fading in over its `fade` seconds
+   * while the bed before it fades out (an equal-power crossfade). A segment
+   * without a buffer is silence, so switching to it fades the background out.
+   * Each bed's `loop` settings say how it repeats (see createLoopReader).
+   * @param {Array<{buffer: AudioBuffer|null, start: number, fade?: number, loop?: Object}>} segments - Beds in start order
+   * @param {number} length - Layer length in samples
+   * @param {number} sampleRate - Layer sample rate
+   * @returns {AudioBuffer} Background layer
+   */
+  createBackgroundLayer(segments, length, sampleRate) {
+    const context = this.getAudioContext();
+    const numChannels = Math.max(
+      1,
+      ...segments.filter(segment => segment.buffer).map(segment => segment.buffer.numberOfChannels)
+    );
+    const layer = context.createBuffer(numChannels, length, sampleRate);
+
+    segments.forEach((segment, index) => {
+      if (!segment.buffer) return;
+
+      const start = Math.round(segment.start * sampleRate);
+      const fadeIn = Math.round((segment.fade || 0) * sampleRate);
+      const next = segments[index + 1];
+      const fadeOutStart = next ? Math.round(next.start * sampleRate) : length;
+      const fadeOut = next ? Math.round((next.fade || 0) * sampleRate) : 0;
+      const end = Math.min(length, fadeOutStart + fadeOut);
+
+      for (let channel = 0; channel < numChannels; channel++) {
+        const source = segment.buffer.getChannelData(
+          Math.min(channel, segment.buffer.numberOfChannels - 1)
+        );
+        const { read } = this.createLoopReader(source, segment.buffer.sampleRate, segment.loop);
+        const data = layer.getChannelData(channel);
+
+        for (let i = start; i < end; i++) {
+          let gain = 1;
+          if (i - start < fadeIn) {
+            gain *= Math.sin(((i - start) / fadeIn) * (Math.PI / 2));
+          }
+          if (i >= fadeOutStart) {
+            gain *= Math.cos(((i - fadeOutStart) / fadeOut) * (Math.PI / 2));
+          }
+          data[i] += read(i - start) * gain;
+        }
+      }
+    });
+
+    return layer;
+  }
+
   /**
    * Apply fade in/out to audio buffer
    * @param {AudioBuffer} buffer - Audio buffer
@@ -188,12 +414,443 @@ export class AudioService {
     return buffer;
   }
 
+  /**
+   * Create the K-weighting filter of ITU-R BS.1770 for a sample rate
+   * A high-shelf (head effects) followed by a high-pass (RLB curve), with
+   * coefficients derived from the analog prototypes so any rate works
+   * @param {number} sampleRate - Sample rate
+   * @returns {function(number): number} Filter for one channel, one sample at a time
+   */
+  createKWeightingFilter(sampleRate) {
+    const biquad = (b, a) => {
+      let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+      return (x) => {
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        return y;
+      };
+    };
+
+    // Stage 1: +4dB high shelf around 1.7kHz
+    let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = biquad(
+      [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+      [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+    );
+
+    // Stage 2: high-pass around 38Hz
+    K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = biquad([1, -2, 1], [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]);
+
+    return (x) => highPass(shelf(x));
+  }
+
+  /**
+   * Measure loudness as in ITU-R BS.1770-4 / EBU R128
+   * Integrated loudness is the K-weighted level of 400ms blocks (75%
+   * overlap), gated at -70 LUFS and then 10 LU below the level of the
+   * blocks left
+   * @param {AudioBuffer} buffer - Audio
+   * @returns {{integrated: number, truePeak: number}} Integrated loudness in
+   *   LUFS (-Infinity for silence) and true peak in dBTP
+   */
+  measureLoudness(buffer) {
+    const step = Math.round(buffer.sampleRate * 0.1);
+    const steps = Math.floor(buffer.length / step);
+    const energy = this.kWeightedEnergy(buffer, step);
+
+    const blocks = [];
+    for (let i = 0; i + 4 <= steps; i++) {
+      blocks.push((energy[i] + energy[i + 1] + energy[i + 2] + energy[i + 3]) / (4 * step));
+    }
+
+    const loudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const truePeak = this.measureTruePeak(buffer);
+
+    const audible = blocks.filter(block => loudness(block) > -70);
+    if (audible.length === 0) {
+      return { integrated: -Infinity, truePeak };
+    }
+    const relativeGate = loudness(mean(audible)) - 10;
+    const gated = audible.filter(block => loudness(block) > relativeGate);
+    return { integrated: loudness(mean(gated)), truePeak };
+  }
+
+  /**
+   * Sum the K-weighted energy of audio in steps, over all channels
+   * @param {AudioBuffer} buffer - Audio
+   * @param {number} step - Samples per step (a partial last step is dropped)
+   * @returns {Float64Array} Energy of each step
+   */
+  kWeightedEnergy(buffer, step) {
+    const steps = Math.floor(buffer.length / step);
+    const energy = new Float64Array(steps);
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      const filter = this.createKWeightingFilter(buffer.sampleRate);
+      for (let i = 0; i < steps * step; i++) {
+        const y = filter(data[i]);
+        energy[Math.floor(i / step)] += y * y;
+      }
+    }
+    return energy;
+  }
+
+  /**
+   * Measure the loudness of a speech clip
+   * Clips too short for a gated measurement ("Go!") are measured as a whole
+   * @param {AudioBuffer} buffer - Speech
+   * @returns {number} Loudness in LUFS (-Infinity for silence)
+   */
+  measureSpeechLoudness(buffer) {
+    if (buffer.length >= Math.round(buffer.sampleRate * 0.4)) {
+      return this.measureLoudness(buffer).integrated;
+    }
+    if (buffer.length === 0) {
+      return -Infinity;
+    }
+    const [energy] = this.kWeightedEnergy(buffer, buffer.length);
+    return energy > 0 ? -0.691 + 10 * Math.log10(energy / buffer.length) : -Infinity;
+  }
+
+  /**
+   * Interpolate the peak between two samples (4x oversampling with a
+   * windowed sinc), to catch peaks that land between samples
+   * @param {Float32Array} data - Channel data
+   * @param {number} index - Sample before the gap
+   * @returns {number} Largest absolute value at the three points in between
+   */
+  interSamplePeak(data, index) {
+    if (!this.oversamplingKernels) {
+      // 16 taps for each of the positions 1/4, 2/4 and 3/4
+      this.oversamplingKernels = [0.25, 0.5, 0.75].map(fraction =>
+        Array.from({ length: 16 }, (_, tap) => {
+          const x = tap - 7 - fraction;
+          const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / 8);
+          return (Math.sin(Math.PI * x) / (Math.PI * x)) * window;
+        })
+      );
+    }
+
+    let peak = 0;
+    for (const kernel of this.oversamplingKernels) {
+      let value = 0;
+      for (let tap = 0; tap < 16; tap++) {
+        const sample = data[index - 7 + tap];
+        if (sample !== undefined) value += sample * kernel[tap];
+      }
+      peak = Math.max(peak, Math.abs(value));
+    }
+    return peak;
+  }
+
+  /**
+   * Measure the true peak (the peak of the audio between samples too)
+   * Only gaps next to samples within 6dB of the sample peak are
+   * oversampled, since quieter ones cannot hold the peak
+   * @param {AudioBuffer} buffer - Audio
+   * @returns {number} True peak in dBTP (-Infinity for silence)
+   */
+  measureTruePeak(buffer) {
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) =>
+      buffer.getChannelData(channel)
+    );
+
+    let samplePeak = 0;
+    for (const data of channels) {
+      for (let i = 0; i < data.length; i++) {
+        samplePeak = Math.max(samplePeak, Math.abs(data[i]));
+      }
+    }
+
+    let peak = samplePeak;
+    for (const data of channels) {
+      for (let i = 0; i < data.length - 1; i++) {
+        if (Math.max(Math.abs(data[i]), Math.abs(data[i + 1])) >= samplePeak / 2) {
+          peak = Math.max(peak, this.interSamplePeak(data, i));
+        }
+      }
+    }
+
+    return 20 * Math.log10(peak);
+  }
+
+  /**
+   * Limit the true peak of audio to a ceiling (in place)
+   * The gain drops over the look-ahead time so it is down by the time a
+   * peak arrives, then recovers over the release time
+   * @param {AudioBuffer} buffer - Audio
+   * @param {number} [ceiling] - Highest true peak in dBTP
+   * @param {Object} [options]
+   * @param {number} [options.lookahead] - Look-ahead in ms
+   * @param {number} [options.release] - Time in ms to recover from full reduction
+   * @returns {AudioBuffer} The same buffer, limited
+   */
+  applyTruePeakLimiter(buffer, ceiling = -1, { lookahead = 5, release = 200 } = {}) {
+    const limit = Math.pow(10, ceiling / 20);
+    const length = buffer.length;
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) =>
+      buffer.getChannelData(channel)
+    );
+
+    // Gain each sample needs, counting peaks on either side of it
+    const gain = new Float32Array(length).fill(1);
+    let limited = false;
+    for (const data of channels) {
+      for (let i = 0; i < length; i++) {
+        let peak = Math.abs(data[i]);
+        if (peak > limit / 2 && i < length - 1) {
+          peak = Math.max(peak, this.interSamplePeak(data, i));
+        }
+        if (peak > limit) {
+          gain[i] = Math.min(gain[i], limit / peak);
+          if (i + 1 < length) gain[i + 1] = Math.min(gain[i + 1], limit / peak);
+          limited = true;
+        }
+      }
+    }
+    if (!limited) {
+      return buffer;
+    }
+
+    // Ramp down ahead of each peak, then recover slowly after it
+    const attackStep = 1 / Math.max(1, (lookahead / 1000) * buffer.sampleRate);
+    const releaseStep = 1 / Math.max(1, (release / 1000) * buffer.sampleRate);
+    for (let i = length - 2; i >= 0; i--) {
+      gain[i] = Math.min(gain[i], gain[i + 1] + attackStep);
+    }
+    for (let i = 1; i < length; i++) {
+      gain[i] = Math.min(gain[i], gain[i - 1] + releaseStep);
+    }
+
+    for (const data of channels) {
+      for (let i = 0; i < length; i++) {
+        data[i] *= gain[i];
+      }
+    }
+    return buffer;
+  }
+
+  /**
+   * Normalise audio to a target integrated loudness (in place)
+   * A true-peak limiter then keeps the boosted audio under the ceiling, so
+   * normalising never clips; silence is left alone.
+   * @param {AudioBuffer} buffer - Audio
+   * @param {number} target - Integrated loudness in LUFS
+   * @param {Object} [options]
+   * @param {number} [options.ceiling] - Highest true peak in dBTP
+   * @returns {{buffer: AudioBuffer, measured: Object, final: Object}} The
+   *   buffer, with its loudness (see measureLoudness) before and after
+   */
+  normalizeLoudness(buffer, target, { ceiling = -1 } = {}) {
+    const measured = this.measureLoudness(buffer);
+    if (!Number.isFinite(measured.integrated)) {
+      return { buffer, measured, final: measured };
+    }
+
+    const gain = Math.pow(10, (target - measured.integrated) / 20);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        data[i] *= gain;
+      }
+    }
+    this.applyTruePeakLimiter(buffer, ceiling);
+
+    return { buffer, measured, final: this.measureLoudness(buffer) };
+  }
+
+  /**
+   * Apply per-phrase modifiers that the TTS engine could not apply itself
+   * Returns a new buffer; the source (which may be shared by repeated
+   * phrases) is left untouched.
+   * @param {AudioBuffer} buffer - Decoded speech
+   * @param {Object} effects - Effects to apply
+   * @param {number} [effects.speed] - Tempo multiplier (pitch is kept)
+   * @param {number} [effects.pitch] - Pitch change in semitones (tempo is kept)
+   * @param {number} [effects.gain] - Gain change in dB
+   * @returns {AudioBuffer} Processed buffer
+   */
+  applyPhraseEffects(buffer, { speed = 1, pitch = 0, gain = 0 } = {}) {
+    const pitchRatio = Math.pow(2, pitch / 12);
+    let result = buffer;
+
+    // Resampling shifts pitch and tempo together; the time stretch then
+    // brings the tempo to the requested speed
+    if (pitchRatio !== 1) {
+      result = this.resampleBuffer(result, pitchRatio);
+    }
+    if (pitchRatio / speed !== 1) {
+      result = this.timeStretch(result, pitchRatio / speed);
+    }
+    if (gain !== 0) {
+      result = this.scaleBuffer(result, Math.pow(10, gain / 20));
+    }
+
+    return result;
+  }
+
+  /**
+   * Resample a buffer by linear interpolation, like playing a tape faster
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @param {number} ratio - Playback rate (2 = an octave up at half the length)
+   * @returns {AudioBuffer} Resampled buffer
+   */
+  resampleBuffer(buffer, ratio) {
+    const context = this.getAudioContext();
+    const length = Math.max(1, Math.round(buffer.length / ratio));
+    const resampled = context.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const source = buffer.getChannelData(channel);
+      const output = resampled.getChannelData(channel);
+      const last = source.length - 1;
+
+      for (let i = 0; i < length; i++) {
+        const position = Math.min(i * ratio, last);
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const next = source[Math.min(index + 1, last)];
+        output[i] = source[index] * (1 - fraction) + next * fraction;
+      }
+    }
+
+    return resampled;
+  }
+
+  /**
+   * Change the length of a buffer without changing its pitch
+   * Uses a simple windowed overlap-add, which is clean enough for speech at
+   * moderate changes
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @param {number} factor - Length multiplier (2 = twice as long)
+   * @returns {AudioBuffer} Stretched buffer
+   */
+  timeStretch(buffer, factor) {
+    const context = this.getAudioContext();
+    const length = Math.max(1, Math.round(buffer.length * factor));
+    const stretched = context.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+
+    // 40ms Hann-windowed grains at 50% overlap
+    const grain = 2 * Math.round(buffer.sampleRate * 0.02);
+    const hop = grain / 2;
+    const window = new Float32Array(grain);
+    for (let k = 0; k < grain; k++) {
+      window[k] = 0.5 - 0.5 * Math.cos((2 * Math.PI * k) / grain);
+    }
+
+    const weights = new Float32Array(length);
+    for (let start = -hop; start < length; start += hop) {
+      for (let k = 0; k < grain; k++) {
+        const o = start + k;
+        if (o >= 0 && o < length) weights[o] += window[k];
+      }
+    }
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const source = buffer.getChannelData(channel);
+      const output = stretched.getChannelData(channel);
+
+      for (let start = -hop; start < length; start += hop) {
+        const from = Math.round(start / factor);
+        for (let k = 0; k < grain; k++) {
+          const o = start + k;
+          const s = from + k;
+          if (o >= 0 && o < length && s >= 0 && s < source.length) {
+            output[o] += source[s] * window[k];
+          }
+        }
+      }
+
+      for (let i = 0; i < length; i++) {
+        if (weights[i] > 1e-3) output[i] /= weights[i];
+      }
+    }
+
+    return stretched;
+  }
+
+  /**
+   * Copy a buffer with every sample multiplied by a factor
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @param {number} factor - Linear gain
+   * @returns {AudioBuffer} Scaled buffer
+   */
+  scaleBuffer(buffer, factor) {
+    const context = this.getAudioContext();
+    const scaled = context.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const source = buffer.getChannelData(channel);
+      const output = scaled.getChannelData(channel);
+      for (let i = 0; i < source.length; i++) {
+        output[i] = source[i] * factor;
+      }
+    }
+
+    return scaled;
+  }
+
+  /**
+   * Trim leading and trailing silence from a clip
+   * Returns a new buffer; the source is left untouched. A clip with nothing
+   * above the threshold is returned as is.
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Level in dBFS below which audio counts as silence
+   * @param {number} [options.padding] - Silence to keep at each end, in ms
+   * @returns {AudioBuffer} Trimmed buffer
+   */
+  trimSilence(buffer, { threshold = -50, padding = 50 } = {}) {
+    const level = Math.pow(10, threshold / 20);
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) =>
+      buffer.getChannelData(channel)
+    );
+    const audible = (i) => channels.some(data => Math.abs(data[i]) > level);
+
+    let first = 0;
+    while (first < buffer.length && !audible(first)) first++;
+    if (first === buffer.length) {
+      return buffer;
+    }
+    let last = buffer.length - 1;
+    while (last > first && !audible(last)) last--;
+
+    const pad = Math.round((padding / 1000) * buffer.sampleRate);
+    const start = Math.max(0, first - pad);
+    const end = Math.min(buffer.length, last + 1 + pad);
+    if (start === 0 && end === buffer.length) {
+      return buffer;
+    }
+
+    const trimmed = this.getAudioContext().createBuffer(buffer.numberOfChannels, end - start, buffer.sampleRate);
+    channels.forEach((data, channel) => {
+      trimmed.getChannelData(channel).set(data.subarray(start, end));
+    });
+    return trimmed;
+  }
+
   /**
    * Convert AudioBuffer to WAV blob
+   * Chapters are written as cue points with labels ("cue " and "LIST adtl"
+   * chunks), which audio editors show as markers.
    * @param {AudioBuffer} buffer - Audio buffer
+   * @param {Object} [options]
+   * @param {Array<{title: string, start: number}>} [options.chapters] - Chapter markers (start in seconds)
    * @returns {Blob} WAV blob
    */
-  audioBufferToWav(buffer) {
+  audioBufferToWav(buffer, { chapters = [] } = {}) {
     const numChannels = buffer.numberOfChannels;
     const sampleRate = buffer.sampleRate;
     const format = 1; // PCM
@@ -209,12 +866,13 @@ export class AudioService {
 
     const dataLength = data[0].length * numChannels * bytesPerSample;
     const bufferLength = 44 + dataLength;
+    const markers = chapters.length > 0 ? this.createWavCueChunks(chapters, sampleRate) : new Uint8Array(0);
     const arrayBuffer = new ArrayBuffer(bufferLength);
     const view = new DataView(arrayBuffer);
 
     // WAV header
     this.writeString(view, 0, 'RIFF');
-    view.setUint32(4, 36 + dataLength, true);
+    view.setUint32(4, 36 + dataLength + markers.length, true);
     this.writeString(view, 8, 'WAVE');
     this.writeString(view, 12, 'fmt ');
     view.setUint32(16, 16, true);
@@ -238,7 +896,112 @@ export class AudioService {
       }
     }
 
-    return new Blob([arrayBuffer], { type: 'audio/wav' });
+    return new Blob([arrayBuffer, markers], { type: 'audio/wav' });
+  }
+
+  /**
+   * Build WAV "cue " and "LIST adtl" chunks marking chapter starts
+   * @param {Array<{title: string, start: number}>} chapters - Chapters (start in seconds)
+   * @param {number} sampleRate - Sample rate of the audio
+   * @returns {Uint8Array} Chunk bytes, to append after the data chunk
+   */
+  createWavCueChunks(chapters, sampleRate) {
+    const encoder = new TextEncoder();
+    const labels = chapters.map((chapter) => encoder.encode(chapter.title));
+    // Label chunks hold a cue id and a null-terminated string, padded to an even size
+    const labelSizes = labels.map((label) => 4 + label.length + 1);
+    const cueSize = 4 + 24 * chapters.length;
+    const listSize = 4 + labelSizes.reduce((sum, size) => sum + 8 + size + (size % 2), 0);
+    const bytes = new Uint8Array(8 + cueSize + 8 + listSize);
+    const view = new DataView(bytes.buffer);
+
+    this.writeString(view, 0, 'cue ');
+    view.setUint32(4, cueSize, true);
+    view.setUint32(8, chapters.length, true);
+    chapters.forEach((chapter, index) => {
+      const offset = 12 + index * 24;
+      const sample = Math.round(chapter.start * sampleRate);
+      view.setUint32(offset, index + 1, true); // Cue id
+      view.setUint32(offset + 4, sample, true);
+      this.writeString(view, offset + 8, 'data');
+      view.setUint32(offset + 12, 0, true); // Chunk start
+      view.setUint32(offset + 16, 0, true); // Block start
+      view.setUint32(offset + 20, sample, true);
+    });
+
+    let offset = 8 + cueSize;
+    this.writeString(view, offset, 'LIST');
+    view.setUint32(offset + 4, listSize, true);
+    this.writeString(view, offset + 8, 'adtl');
+    offset += 12;
+    labels.forEach((label, index) => {
+      this.writeString(view, offset, 'labl');
+      view.setUint32(offset + 4, labelSizes[index], true);
+      view.setUint32(offset + 8, index + 1, true);
+      bytes.set(label, offset + 12);
+      offset += 8 + labelSizes[index] + (labelSizes[index] % 2);
+    });
+
+    return bytes;
+  }
+
+  /**
+   * Build an ID3v2.3 tag with chapter frames (CTOC and CHAP), which podcast
+   * players use for chapter navigation
+   * @param {Array<{title: string, start: number}>} chapters - Chapters (start in seconds)
+   * @param {number} duration - Length of the audio in seconds, where the last chapter ends
+   * @returns {Uint8Array} Tag bytes, to put before the MP3 frames
+   */
+  createId3Chapters(chapters, duration) {
+    // The table of contents counts its entries in one byte
+    const listed = chapters.slice(0, 255);
+    const ascii = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+    const concat = (parts) => {
+      const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+      let offset = 0;
+      parts.forEach((part) => {
+        bytes.set(part, offset);
+        offset += part.length;
+      });
+      return bytes;
+    };
+    const uint32 = (value) => {
+      const bytes = new Uint8Array(4);
+      new DataView(bytes.buffer).setUint32(0, value);
+      return bytes;
+    };
+    const frame = (id, body) => concat([ascii(id), uint32(body.length), new Uint8Array(2), body]);
+    // UTF-16 with a byte order mark, the Unicode encoding ID3v2.3 supports
+    const text = (value) => {
+      const units = Array.from({ length: value.length }, (_, index) => value.charCodeAt(index));
+      const utf16 = new Uint8Array(units.length * 2);
+      units.forEach((unit, index) => new DataView(utf16.buffer).setUint16(index * 2, unit, true));
+      return concat([Uint8Array.of(1, 0xff, 0xfe), utf16, new Uint8Array(2)]);
+    };
+
+    const ids = listed.map((_, index) => ascii(`ch${index}\0`));
+    const toc = frame('CTOC', concat([ascii('toc\0'), Uint8Array.of(0x03, listed.length), ...ids]));
+    const chapterFrames = listed.map((chapter, index) => {
+      const end = index + 1 < listed.length ? listed[index + 1].start : duration;
+      return frame('CHAP', concat([
+        ids[index],
+        uint32(Math.round(chapter.start * 1000)),
+        uint32(Math.round(end * 1000)),
+        uint32(0xffffffff), // No byte offsets
+        uint32(0xffffffff),
+        frame('TIT2', text(chapter.title)),
+      ]));
+    });
+
+    const body = concat([toc, ...chapterFrames]);
+    // Tag size is "syncsafe": 7 bits per byte
+    const size = Uint8Array.of(
+      (body.length >> 21) & 0x7f,
+      (body.length >> 14) & 0x7f,
+      (body.length >> 7) & 0x7f,
+      body.length & 0x7f
+    );
+    return concat([ascii('ID3'), Uint8Array.of(3, 0, 0), size, body]);
   }
 
   /**
@@ -254,9 +1017,11 @@ export class AudioService {
    * @param {AudioBuffer} buffer - Audio buffer
    * @param {number} bitrate - MP3 bitrate (128, 192, 256, 320)
    * @param {Function} onProgress - Progress callback (percent)
+   * @param {Object} [options]
+   * @param {Array<{title: string, start: number}>} [options.chapters] - Chapters, written as ID3 chapter frames
    * @returns {Promise<Blob>} MP3 blob
    */
-  async audioBufferToMP3(buffer, bitrate = 192, onProgress = null) {
+  async audioBufferToMP3(buffer, bitrate = 192, onProgress = null, { chapters = [] } = {}) {
     // Check if lamejs is available
     if (!this.isLameAvailable()) {
       throw new Error('MP3 encoder not available. Please check your internet connection and reload the page.');
@@ -331,6 +1096,10 @@ export class AudioService {
       onProgress(100);
     }
 
+    if (chapters.length > 0) {
+      mp3Data.unshift(this.createId3Chapters(chapters, buffer.duration));
+    }
+
     return new Blob(mp3Data, { type: 'audio/mp3' });
   }
 
@@ -380,6 +1149,60 @@ export class AudioService {
     return context.createBuffer(1, numSamples, sampleRate);
   }
 
+  /**
+   * Create a sine beep with short fades to avoid clicks
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} duration - Duration in seconds
+   * @returns {AudioBuffer} Beep buffer
+   */
+  createBeep(frequency, duration) {
+    const context = this.getAudioContext();
+    const sampleRate = context.sampleRate;
+    const numSamples = Math.floor(sampleRate * duration);
+    const fadeSamples = Math.min(Math.floor(sampleRate * 0.005), Math.floor(numSamples / 2));
+
+    const buffer = context.createBuffer(1, numSamples, sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < numSamples; i++) {
+      const fade = Math.min(1, i / fadeSamples, (numSamples - 1 - i) / fadeSamples);
+      data[i] = 0.5 * fade * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Synthesise a built-in sound effect ("@sound bell") as a sum of
+   * exponentially decaying partials
+   * @param {{frequency: number, length: number, attack?: number, partials: Array<Array<number>>}} effect -
+   *   Effect from SOUND_EFFECTS: base frequency (Hz), length (seconds), attack
+   *   (seconds) and [frequency ratio, level, decay] partials
+   * @returns {AudioBuffer} Effect buffer, peaking near 0.5 like beeps
+   */
+  createSoundEffect({ frequency, length, attack = 0.005, partials }) {
+    const context = this.getAudioContext();
+    const sampleRate = context.sampleRate;
+    const numSamples = Math.floor(sampleRate * length);
+    const attackSamples = Math.max(1, Math.floor(sampleRate * attack));
+    const releaseSamples = Math.floor(sampleRate * 0.05);
+    const totalLevel = partials.reduce((sum, [, level]) => sum + level, 0);
+
+    const buffer = context.createBuffer(1, numSamples, sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < numSamples; i++) {
+      const time = i / sampleRate;
+      let sample = 0;
+      for (const [ratio, level, decay] of partials) {
+        sample += level * Math.exp(-time / decay) * Math.sin(2 * Math.PI * frequency * ratio * time);
+      }
+      // Fade in over the attack and out over the last 50ms, so the tail ends cleanly
+      const fade = Math.min(1, i / attackSamples, (numSamples - 1 - i) / releaseSamples);
+      data[i] = (0.5 * fade * sample) / totalLevel;
+    }
+
+    return buffer;
+  }
+
   /**
    * Initialize 3-band parametric EQ for audio player
    * @param {HTMLAudioElement} audioElement - Audio element to apply EQ to
@@ -3,19 +3,27 @@
  * Manages file uploads and validation
  */
 
+import { guessColumnMapping, headerSignature, parseSpreadsheet } from '../utils/spreadsheet.js';
+import { parseSubtitles, subtitlesToProgram } from '../utils/subtitles.js';
+
 export class FileService {
+  constructor() {
+    this.MAPPINGS_KEY = 'apg_import_mappings';
+  }
+
   /**
    * Read text file content
    * @param {File} file - File object from input
+   * @param {Array<string>} [extensions] - Accepted file extensions
    * @returns {Promise<string>} File content as text
    */
-  async readTextFile(file) {
+  async readTextFile(file, extensions = ['.txt']) {
     if (!file) {
       throw new Error('No file provided');
     }
 
-    if (!file.name.endsWith('.txt')) {
-      throw new Error('File must be a .txt file');
+    if (!extensions.some(extension => file.name.endsWith(extension))) {
+      throw new Error(`File must be a ${extensions.join(' or ')} file`);
     }
 
     return new Promise((resolve, reject) => {
@@ -33,6 +41,62 @@ export class FileService {
     });
   }
 
+  /**
+   * Import an SRT or WebVTT subtitle file as program text
+   * @param {File} file - Subtitle file
+   * @param {Object} [options]
+   * @param {string} [options.timing] - "pauses" (gaps become pauses) or "cues" (@at times)
+   * @returns {Promise<string>} Program text
+   */
+  async importSubtitles(file, { timing = 'pauses' } = {}) {
+    const content = await this.readTextFile(file, ['.srt', '.vtt']);
+    return subtitlesToProgram(parseSubtitles(content), { timing, source: file.name });
+  }
+
+  /**
+   * Read a CSV or TSV spreadsheet
+   * @param {File} file - Spreadsheet file
+   * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>} Table
+   */
+  async readSpreadsheet(file) {
+    const content = await this.readTextFile(file, ['.csv', '.tsv']);
+    return parseSpreadsheet(content, file.name.endsWith('.tsv') ? '\t' : undefined);
+  }
+
+  /**
+   * Column mapping for a spreadsheet layout: the one last used with the
+   * same headers, or a guess from the header names
+   * @param {Array<string>} headers - Header row
+   * @returns {{mapping: Object<string, number|null>, remembered: boolean}} Mapping
+   */
+  getColumnMapping(headers) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.MAPPINGS_KEY) || '{}');
+      const mapping = saved[headerSignature(headers)];
+      if (mapping) {
+        return { mapping, remembered: true };
+      }
+    } catch (error) {
+      console.error('Failed to load import mappings:', error);
+    }
+    return { mapping: guessColumnMapping(headers), remembered: false };
+  }
+
+  /**
+   * Remember a column mapping for spreadsheets with these headers
+   * @param {Array<string>} headers - Header row
+   * @param {Object<string, number|null>} mapping - Column index per field
+   */
+  saveColumnMapping(headers, mapping) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.MAPPINGS_KEY) || '{}');
+      saved[headerSignature(headers)] = mapping;
+      localStorage.setItem(this.MAPPINGS_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.error('Failed to save import mapping:', error);
+    }
+  }
+
   /**
    * Read audio file as ArrayBuffer
    * @param {File} file - File object from input
@@ -0,0 +1,51 @@
+/**
+ * Fragment Library Service
+ * Stores shared program fragments (intros, outros, disclaimers) that
+ * programs pull in with "@include name"
+ */
+
+import { KeyedStoreService } from './KeyedStoreService.js';
+
+export class FragmentLibraryService extends KeyedStoreService {
+  constructor() {
+    super('apg-fragments', 'fragments', 'name');
+  }
+
+  /**
+   * Save a fragment, replacing any fragment with the same name
+   * @param {string} name - Fragment name used in "@include" (e.g. "intro.txt")
+   * @param {string} content - Fragment program text
+   */
+  async saveFragment(name, content) {
+    const fragmentName = (name || '').trim();
+    if (!fragmentName) {
+      throw new Error('Fragment name is required');
+    }
+
+    await this.put({
+      name: fragmentName,
+      content: content || '',
+      timestamp: Date.now(),
+    });
+    // eslint-disable-next-line no-console
+    console.log(`🧩 Saved fragment: "${fragmentName}"`);
+  }
+
+  /**
+   * List all fragments, sorted by name
+   * @returns {Promise<Array<{name: string, content: string, timestamp: number}>>}
+   */
+  async listFragments() {
+    return this.list();
+  }
+
+  /**
+   * Delete a fragment
+   * @param {string} name - Fragment name
+   */
+  async deleteFragment(name) {
+    await this.delete(name);
+    // eslint-disable-next-line no-console
+    console.log(`🗑️ Deleted fragment: ${name}`);
+  }
+}
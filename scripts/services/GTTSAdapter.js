@@ -21,6 +21,15 @@ export class GTTSAdapter extends TTSEngineAdapter {
       US: { tld: 'com', name: 'United States' },
       ZA: { tld: 'co.za', name: 'South Africa' },
     };
+
+    // Languages Google Translate speaks (same as Python gTTS)
+    this.languages = [
+      'af', 'ar', 'bg', 'bn', 'bs', 'ca', 'cs', 'cy', 'da', 'de', 'el', 'en', 'es', 'et',
+      'eu', 'fi', 'fr', 'gl', 'gu', 'ha', 'hi', 'hr', 'hu', 'id', 'is', 'it', 'iw', 'ja',
+      'jw', 'km', 'kn', 'ko', 'la', 'lt', 'lv', 'ml', 'mr', 'ms', 'my', 'ne', 'nl', 'no',
+      'pa', 'pl', 'pt', 'ro', 'ru', 'si', 'sk', 'sq', 'sr', 'su', 'sv', 'sw', 'ta', 'te',
+      'th', 'tl', 'tr', 'uk', 'ur', 'vi', 'yue', 'zh-CN', 'zh-TW',
+    ];
   }
 
   getName() {
@@ -38,13 +47,42 @@ export class GTTSAdapter extends TTSEngineAdapter {
   async getCapabilities() {
     return {
       accents: this.accents,
-      languages: ['en'], // Currently only English
+      languages: this.languages,
       parameters: {
         slow: { type: 'boolean', default: false },
       },
     };
   }
 
+  /**
+   * Map a language code to one Google Translate accepts
+   * "es-ES" becomes "es"; listed regional codes ("zh-TW") are kept
+   * @param {string} language - Language code
+   * @returns {string|null} gTTS language, or null if not spoken
+   */
+  toTranslateLanguage(language) {
+    const primary = (code) => code.split('-')[0].toLowerCase();
+    return (
+      this.languages.find(entry => entry.toLowerCase() === language.toLowerCase()) ||
+      this.languages.find(entry => primary(entry) === primary(language)) ||
+      null
+    );
+  }
+
+  /**
+   * Check that Google Translate speaks a language
+   * gTTS has no voices to pick; the language is sent with each request
+   * @param {string} language - Language code, e.g. "es-ES"
+   * @returns {Promise<null>} No voice
+   * @throws {Error} If the language is not spoken
+   */
+  async selectVoice(language) {
+    if (!this.toTranslateLanguage(language)) {
+      throw new Error(`${this.getName()} does not speak ${language}`);
+    }
+    return null;
+  }
+
   /**
    * Generate speech using Google Translate TTS
    * @param {string} text - Text to speak
@@ -58,7 +96,7 @@ export class GTTSAdapter extends TTSEngineAdapter {
     }
 
     const tld = options.tld || 'com';
-    const lang = options.lang || 'en';
+    const lang = this.toTranslateLanguage(options.lang || 'en') || 'en';
     const slow = options.slow || false;
 
     // Build URL with parameters
@@ -3,7 +3,17 @@
  * Implements dynamic voice discovery and full parameter support
  */
 
-import { TTSEngineAdapter } from './TTSEngineAdapter.js';
+import { TTSEngineAdapter, chooseVoice } from './TTSEngineAdapter.js';
+import { isSsml } from '../utils/parser.js';
+
+/**
+ * Language of a voice, from its name ("es-ES-Neural2-A" → "es-ES")
+ * @param {string} voiceName - Voice name
+ * @returns {string} Language code
+ */
+export function voiceLanguage(voiceName) {
+  return voiceName.split('-').slice(0, 2).join('-');
+}
 
 export class GoogleCloudTTSAdapter extends TTSEngineAdapter {
   constructor() {
@@ -56,6 +66,41 @@ export class GoogleCloudTTSAdapter extends TTSEngineAdapter {
     return true;
   }
 
+  supportsSsml() {
+    return true;
+  }
+
+  /**
+   * Apply modifiers through speakingRate, pitch and volumeGainDb
+   * Values outside the API's ranges are finished off while rendering
+   * @param {Object} options - Generation options for the line
+   * @param {Object} modifiers - Relative modifiers
+   * @returns {{options: Object, remaining: Object}} Updated options and leftover modifiers
+   */
+  applyModifiers(options, modifiers) {
+    const ranges = this.defaultCapabilities.parameters;
+    const updated = { ...options };
+    const remaining = {};
+
+    if (modifiers.speed !== undefined) {
+      const wanted = (options.speakingRate || 1.0) * modifiers.speed;
+      updated.speakingRate = this.clampToRange(wanted, ranges.speakingRate);
+      if (updated.speakingRate !== wanted) remaining.speed = wanted / updated.speakingRate;
+    }
+    if (modifiers.pitch !== undefined) {
+      const wanted = (options.pitch || 0.0) + modifiers.pitch;
+      updated.pitch = this.clampToRange(wanted, ranges.pitch);
+      if (updated.pitch !== wanted) remaining.pitch = wanted - updated.pitch;
+    }
+    if (modifiers.gain !== undefined) {
+      const wanted = (options.volumeGainDb || 0.0) + modifiers.gain;
+      updated.volumeGainDb = this.clampToRange(wanted, ranges.volumeGainDb);
+      if (updated.volumeGainDb !== wanted) remaining.gain = wanted - updated.volumeGainDb;
+    }
+
+    return { options: updated, remaining };
+  }
+
   setApiKey(apiKey) {
     this.apiKey = apiKey;
     // Clear cache when API key changes
@@ -124,6 +169,23 @@ export class GoogleCloudTTSAdapter extends TTSEngineAdapter {
     }
   }
 
+  /**
+   * Check that a voice speaks a language, or pick one from the voice list
+   * Voice names start with their language ("es-ES-Neural2-A"), so voices
+   * missing from the list are checked by name
+   * @param {string} language - Language code, e.g. "es-ES"
+   * @param {string} [voice] - Voice asked for explicitly
+   * @param {string} [preferred] - Voice to resemble when picking
+   * @returns {Promise<string>} Voice name
+   */
+  async selectVoice(language, voice, preferred) {
+    const { voices } = await this.getCapabilities();
+    const listed = voice && !voices.some(entry => entry.name === voice)
+      ? [...voices, { name: voice, languageCodes: [voiceLanguage(voice)] }]
+      : voices;
+    return chooseVoice(listed, language, { voice, preferred, engineName: this.getName() });
+  }
+
   /**
    * Validate API key by making a test request
    * @param {string} apiKey - API key to validate
@@ -140,7 +202,7 @@ export class GoogleCloudTTSAdapter extends TTSEngineAdapter {
 
   /**
    * Generate speech using Google Cloud TTS API
-   * @param {string} text - Text to speak
+   * @param {string} text - Text to speak (SSML when options.ssml is set)
    * @param {Object} options - Generation options
    * @returns {Promise<Blob>} Audio blob
    */
@@ -156,7 +218,10 @@ export class GoogleCloudTTSAdapter extends TTSEngineAdapter {
 
     // Build request body with Phase 3 parameters
     const requestBody = {
-      input: { text },
+      // SSML phrases may omit the <speak> wrapper the API requires
+      input: options.ssml
+        ? { ssml: isSsml(text) ? text : `<speak>${text}</speak>` }
+        : { text },
       voice: {
         languageCode: options.languageCode || 'en-US',
         name: options.voiceName || 'en-US-Neural2-C',
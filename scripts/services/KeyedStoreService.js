@@ -0,0 +1,97 @@
+/**
+ * Keyed Store Service
+ * One IndexedDB object store of records keyed by a field, shared by the
+ * fragment library, sound library and pronunciation lexicon
+ */
+
+export class KeyedStoreService {
+  /**
+   * @param {string} dbName - IndexedDB database name
+   * @param {string} storeName - Object store name
+   * @param {string} keyPath - Record field the store is keyed by
+   */
+  constructor(dbName, storeName, keyPath) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.keyPath = keyPath;
+    this.db = null;
+  }
+
+  /**
+   * Initialize IndexedDB
+   */
+  async init() {
+    if (this.db) return;
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+        }
+      };
+    });
+  }
+
+  /**
+   * Save a record, replacing any record with the same key
+   * @param {Object} record - Record holding its key field
+   */
+  async put(record) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.put(record);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * List all records, sorted by key
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readonly');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const records = request.result || [];
+        resolve(records.sort((a, b) => a[this.keyPath].localeCompare(b[this.keyPath])));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - Record key
+   */
+  async delete(key) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.delete(key);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
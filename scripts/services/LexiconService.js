@@ -0,0 +1,61 @@
+/**
+ * Lexicon Service
+ * Stores the pronunciation lexicon: words the TTS engines mispronounce,
+ * with a respelling and/or an IPA phoneme
+ */
+
+import { KeyedStoreService } from './KeyedStoreService.js';
+
+export class LexiconService extends KeyedStoreService {
+  constructor() {
+    super('apg-lexicon', 'entries', 'word');
+  }
+
+  /**
+   * Save an entry, replacing any entry for the same word
+   * @param {Object} entry
+   * @param {string} entry.word - Word or phrase as written in programs
+   * @param {string} [entry.respelling] - How to write it so engines say it right
+   * @param {string} [entry.phoneme] - IPA pronunciation, for engines that read SSML
+   * @param {boolean} [entry.wholeWord] - Only match whole words (default true)
+   * @param {boolean} [entry.matchCase] - Only match the same capitalisation (default false)
+   */
+  async saveEntry({ word, respelling = '', phoneme = '', wholeWord = true, matchCase = false }) {
+    const entryWord = (word || '').trim();
+    if (!entryWord) {
+      throw new Error('Word is required');
+    }
+    if (!respelling.trim() && !phoneme.trim()) {
+      throw new Error('Enter a respelling or an IPA phoneme');
+    }
+
+    await this.put({
+      word: entryWord,
+      respelling: respelling.trim(),
+      phoneme: phoneme.trim(),
+      wholeWord,
+      matchCase,
+      timestamp: Date.now(),
+    });
+    // eslint-disable-next-line no-console
+    console.log(`🗣️ Saved lexicon entry: "${entryWord}"`);
+  }
+
+  /**
+   * List all entries, sorted by word
+   * @returns {Promise<Array<{word: string, respelling: string, phoneme: string, wholeWord: boolean, matchCase: boolean, timestamp: number}>>}
+   */
+  async listEntries() {
+    return this.list();
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} word - Entry word
+   */
+  async deleteEntry(word) {
+    await this.delete(word);
+    // eslint-disable-next-line no-console
+    console.log(`🗑️ Deleted lexicon entry: ${word}`);
+  }
+}
@@ -65,6 +65,25 @@ export class OpenAITTSAdapter extends TTSEngineAdapter {
     return true;
   }
 
+  /**
+   * Apply a speed modifier through the API's speed parameter
+   * Speeds outside the API's range are finished off while rendering
+   * @param {Object} options - Generation options for the line
+   * @param {Object} modifiers - Relative modifiers
+   * @returns {{options: Object, remaining: Object}} Updated options and leftover modifiers
+   */
+  applyModifiers(options, { speed, ...remaining }) {
+    if (speed === undefined) {
+      return { options, remaining };
+    }
+
+    const wanted = (options.speed || 1.0) * speed;
+    const applied = this.clampToRange(wanted, this.defaultCapabilities.parameters.speed);
+    if (applied !== wanted) remaining.speed = wanted / applied;
+
+    return { options: { ...options, speed: applied }, remaining };
+  }
+
   setApiKey(apiKey) {
     this.apiKey = apiKey;
   }
@@ -50,6 +50,8 @@ export class ProjectCacheService {
    * @param {Object} project - Project data
    * @param {string} project.name - Project name (from phrase file name)
    * @param {string} project.phraseFileContent - Content of phrase file
+   * @param {string} project.variables - Template variable values, one "name = value" per line (optional)
+   * @param {number} project.seed - Random seed used for @shuffle/@choose (optional)
    * @param {Blob} project.backgroundMusic - Background music blob (optional)
    * @param {string} project.ttsEngine - TTS engine used
    * @param {Object} project.ttsOptions - TTS options (voice, speed, etc.)
@@ -64,9 +66,13 @@ export class ProjectCacheService {
       name: project.name || 'Untitled Project',
       programDescription: project.programDescription || '',
       phraseFileContent: project.phraseFileContent,
+      variables: project.variables || '',
+      seed: project.seed ?? null,
       backgroundMusic: project.backgroundMusic || null,
       backgroundMusicName: project.backgroundMusicName || null,
       backgroundSettings: project.backgroundSettings || null,
+      soundSettings: project.soundSettings || null,
+      phraseGains: project.phraseGains || {},
       ttsEngine: project.ttsEngine,
       ttsOptions: project.ttsOptions,
       exportSettings: project.exportSettings || { format: 'mp3', bitrate: 192 },
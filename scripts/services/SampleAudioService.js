@@ -134,6 +134,22 @@ export class SampleAudioService {
     return this.samples.find(s => s.id === sampleId) || null;
   }
 
+  /**
+   * Find a sample by ID or filename, ignoring case, extension and -/_ differences
+   * e.g. "river_and_birds", "surf-waves-and-sea-foam", "brilliance.mp3"
+   * @param {string} name - Sample ID or filename
+   * @returns {Object|null} Sample metadata
+   */
+  findSample(name) {
+    if (!name) return null;
+
+    const normalize = (s) =>
+      s.toLowerCase().replace(/\.[^/.]+$/, '').replace(/[^a-z0-9]/g, '_');
+    const target = normalize(name);
+
+    return this.samples.find(s => normalize(s.filename) === target) || null;
+  }
+
   /**
    * Check if sample files exist
    * @returns {Promise<Object>} Status of each sample file
@@ -0,0 +1,54 @@
+/**
+ * Sound Library Service
+ * Stores user-uploaded sound effects (bells, chimes, gongs) that programs
+ * play with "@sound name"
+ */
+
+import { KeyedStoreService } from './KeyedStoreService.js';
+
+export class SoundLibraryService extends KeyedStoreService {
+  constructor() {
+    super('apg-sounds', 'sounds', 'name');
+  }
+
+  /**
+   * Save a sound, replacing any sound with the same name
+   * @param {string} name - Sound name used in "@sound" (e.g. "temple bell.wav")
+   * @param {Blob} audio - Audio file
+   */
+  async saveSound(name, audio) {
+    const soundName = (name || '').trim();
+    if (!soundName) {
+      throw new Error('Sound name is required');
+    }
+    if (!audio || audio.size === 0) {
+      throw new Error('Sound file is empty');
+    }
+
+    await this.put({
+      name: soundName,
+      audio,
+      timestamp: Date.now(),
+    });
+    // eslint-disable-next-line no-console
+    console.log(`🔔 Saved sound: "${soundName}"`);
+  }
+
+  /**
+   * List all sounds, sorted by name
+   * @returns {Promise<Array<{name: string, audio: Blob, timestamp: number}>>}
+   */
+  async listSounds() {
+    return this.list();
+  }
+
+  /**
+   * Delete a sound
+   * @param {string} name - Sound name
+   */
+  async deleteSound(name) {
+    await this.delete(name);
+    // eslint-disable-next-line no-console
+    console.log(`🗑️ Deleted sound: ${name}`);
+  }
+}
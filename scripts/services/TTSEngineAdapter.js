@@ -3,6 +3,61 @@
  * Defines interface for all TTS engines
  */
 
+/**
+ * Check whether a voice's language code covers a requested language
+ * "es" is covered by any Spanish voice; "es-ES" only by Spanish (Spain) ones
+ * @param {string} code - Voice language code, e.g. "es-ES" or "es_ES"
+ * @param {string} language - Requested language, e.g. "es" or "es-ES"
+ * @returns {boolean} True if the voice speaks the language
+ */
+export function speaksLanguage(code, language) {
+  const [voiceCode, wanted] = [code, language].map(value => value.replace(/_/g, '-').toLowerCase());
+  return voiceCode === wanted || (!wanted.includes('-') && voiceCode.split('-')[0] === wanted);
+}
+
+/**
+ * Check a voice against a language, or pick a voice that speaks it
+ * When picking, the preferred voice is used if it speaks the language;
+ * otherwise the voice most like it (same family, e.g. "Neural2", and gender)
+ * @param {Array<{name: string, languageCodes: Array<string>, ssmlGender?: string}>} voices - Engine voices
+ * @param {string} language - Requested language
+ * @param {Object} options
+ * @param {string} [options.voice] - Voice asked for explicitly, to check
+ * @param {string} [options.preferred] - Voice to resemble when picking
+ * @param {string} options.engineName - Engine name, for error messages
+ * @returns {string} Voice name
+ * @throws {Error} If the voice does not speak the language, or no voice does
+ */
+export function chooseVoice(voices, language, { voice, preferred, engineName }) {
+  const speaks = (entry) => entry.languageCodes.some(code => speaksLanguage(code, language));
+
+  if (voice) {
+    const known = voices.find(entry => entry.name === voice);
+    if (known && !speaks(known)) {
+      throw new Error(`Voice "${voice}" does not speak ${language}`);
+    }
+    return voice;
+  }
+
+  const candidates = voices.filter(speaks);
+  if (candidates.length === 0) {
+    throw new Error(`No ${engineName} voice speaks ${language}`);
+  }
+
+  const model = voices.find(entry => entry.name === preferred);
+  if (!model) {
+    return candidates[0].name;
+  }
+  if (speaks(model)) {
+    return model.name;
+  }
+  const family = (name) => name.split('-')[2];
+  const likeness = (entry) =>
+    (family(entry.name) === family(model.name) ? 2 : 0) +
+    (entry.ssmlGender && entry.ssmlGender === model.ssmlGender ? 1 : 0);
+  return candidates.reduce((best, entry) => (likeness(entry) > likeness(best) ? entry : best)).name;
+}
+
 export class TTSEngineAdapter {
   constructor() {
     this.capabilities = null;
@@ -35,6 +90,50 @@ export class TTSEngineAdapter {
     throw new Error('getName must be implemented by subclass');
   }
 
+  /**
+   * Apply per-line modifiers ({speed=0.8 gain=-6dB}) the engine supports
+   * natively; the rest are applied to the decoded audio while rendering
+   * @param {Object} options - Generation options for the line
+   * @param {{speed?: number, gain?: number, pitch?: number}} modifiers - Relative modifiers
+   * @returns {{options: Object, remaining: Object}} Updated options, and modifiers left for rendering
+   */
+  applyModifiers(options, modifiers) {
+    return { options, remaining: { ...modifiers } };
+  }
+
+  /**
+   * Check that a voice speaks a language, or pick one that does
+   * By default voices speak any language (as OpenAI's do), so the voice is
+   * kept as it is
+   * @param {string} _language - Language code, e.g. "es-ES"
+   * @param {string} [voice] - Voice asked for explicitly
+   * @param {string} [_preferred] - Voice to resemble when picking
+   * @returns {Promise<string|null>} Voice name, or null to keep the default voice
+   * @throws {Error} If the engine cannot speak the language
+   */
+  async selectVoice(_language, voice, _preferred) {
+    return voice || null;
+  }
+
+  /**
+   * Clamp a parameter value to the range the engine accepts
+   * @param {number} value - Requested value
+   * @param {{min: number, max: number}} range - Accepted range
+   * @returns {number} Clamped value
+   */
+  clampToRange(value, range) {
+    return Math.min(Math.max(value, range.min), range.max);
+  }
+
+  /**
+   * Check if engine accepts SSML input
+   * Engines without SSML support are sent SSML phrases with the tags removed
+   * @returns {boolean} True if SSML is supported
+   */
+  supportsSsml() {
+    return false;
+  }
+
   /**
    * Check if engine requires API key
    * @returns {boolean} True if API key required
@@ -6,6 +6,8 @@
 import { GoogleCloudTTSAdapter } from './GoogleCloudTTSAdapter.js';
 import { GTTSAdapter } from './GTTSAdapter.js';
 import { OpenAITTSAdapter } from './OpenAITTSAdapter.js';
+import { chooseVoice, speaksLanguage } from './TTSEngineAdapter.js';
+import { stripSsml } from '../utils/parser.js';
 
 export class TTSService {
   constructor() {
@@ -87,24 +89,108 @@ export class TTSService {
   }
 
   /**
-   * Generate speech for a phrase using current engine
-   * @param {Object} phrase - Phrase object {phrase, duration}
+   * Generate speech for a phrase
+   * @param {Object} phrase - Phrase object {phrase, duration, ssml?}
    * @param {Object} options - Generation options
+   * @param {string} engine - Engine to use (defaults to current engine)
    * @returns {Promise<Blob>} Audio blob
    */
-  async generatePhrase(phrase, options = {}) {
-    if (this.engine === 'web-speech') {
+  async generatePhrase(phrase, options = {}, engine = this.engine) {
+    if (engine === 'web-speech') {
       // Web Speech API handled separately (playback only)
-      return this.generateSpeechWebAPI(phrase.phrase, options);
+      return this.generateSpeechWebAPI(this.getSpokenText(phrase), options);
     }
 
     // Use adapter for other engines
-    const adapter = this.getCurrentAdapter();
+    const adapter = this.adapters[engine];
+    if (!adapter) {
+      throw new Error(`No adapter found for engine: ${engine}`);
+    }
+
+    const text = adapter.supportsSsml() ? phrase.phrase : this.getSpokenText(phrase);
+    return adapter.generateSpeech(text, options);
+  }
+
+  /**
+   * Apply per-line modifiers ({speed=0.8 gain=-6dB}) to an engine's options
+   * @param {string} engine - Engine name
+   * @param {Object} options - Generation options for the line
+   * @param {Object} modifiers - Relative modifiers (speed multiplier, gain dB, pitch semitones)
+   * @returns {{options: Object, remaining: Object}} Updated options, and modifiers
+   *   the engine cannot apply (to be applied to the rendered audio)
+   */
+  applyModifiers(engine, options, modifiers) {
+    if (engine === 'web-speech') {
+      // Live playback cannot be post-processed, so values are clamped to
+      // what the browser accepts
+      const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+      const updated = { ...options };
+      if (modifiers.speed !== undefined) {
+        updated.rate = clamp((options.rate || 1.0) * modifiers.speed, 0.1, 10);
+      }
+      if (modifiers.pitch !== undefined) {
+        updated.pitch = clamp((options.pitch || 1.0) * Math.pow(2, modifiers.pitch / 12), 0, 2);
+      }
+      if (modifiers.gain !== undefined) {
+        updated.volume = clamp((options.volume ?? 1.0) * Math.pow(10, modifiers.gain / 20), 0, 1);
+      }
+      return { options: updated, remaining: {} };
+    }
+
+    const adapter = this.adapters[engine];
     if (!adapter) {
-      throw new Error(`No adapter found for engine: ${this.engine}`);
+      return { options, remaining: { ...modifiers } };
+    }
+    return adapter.applyModifiers(options, modifiers);
+  }
+
+  /**
+   * Get the plain text of a phrase, with the tags of SSML phrases removed
+   * @param {Object} phrase - Phrase object {phrase, ssml?}
+   * @returns {string} Plain text
+   */
+  getSpokenText(phrase) {
+    return phrase.ssml ? stripSsml(phrase.phrase) : phrase.phrase;
+  }
+
+  /**
+   * Check whether an engine reads SSML
+   * @param {string} engine - Engine name
+   * @returns {boolean} True if SSML is sent to the engine as is
+   */
+  supportsSsml(engine) {
+    return this.adapters[engine]?.supportsSsml() ?? false;
+  }
+
+  /**
+   * Check that a voice speaks a language, or pick one that does, from the
+   * engine's voice list
+   * @param {string} engine - Engine name
+   * @param {string} language - Language code, e.g. "es-ES"
+   * @param {string} [voice] - Voice asked for explicitly
+   * @param {string} [preferred] - Voice to resemble when picking (the form's voice)
+   * @returns {Promise<string|null>} Voice name, or null to keep the default voice
+   * @throws {Error} If the voice does not speak the language, or no voice does
+   */
+  async selectVoice(engine, language, voice, preferred) {
+    if (engine === 'web-speech') {
+      const voices = 'speechSynthesis' in window ? speechSynthesis.getVoices() : [];
+      // Without a voice list the browser picks a voice from the utterance's lang
+      if (voices.length === 0) {
+        return voice || null;
+      }
+      return chooseVoice(
+        voices.map(entry => ({ name: entry.name, languageCodes: [entry.lang] })),
+        language,
+        { voice, preferred, engineName: 'Web Speech API' }
+      );
     }
 
-    return adapter.generateSpeech(phrase.phrase, options);
+    const adapter = this.adapters[engine];
+    if (!adapter) {
+      throw new Error(`No adapter found for engine: ${engine}`);
+    }
+    return adapter.selectVoice(language, voice, preferred);
   }
 
   /**
@@ -155,6 +241,9 @@ export class TTSService {
     utterance.rate = options.rate || 1.0;
     utterance.pitch = options.pitch || 1.0;
     utterance.volume = options.volume !== undefined ? options.volume : 1.0;
+    if (options.lang) {
+      utterance.lang = options.lang;
+    }
 
     // Get available voices
     const voices = speechSynthesis.getVoices();
@@ -166,6 +255,11 @@ export class TTSService {
         selectedVoice = voices.find(v => v.name === options.voiceName);
       }
 
+      // Then a voice for the phrase's language
+      if (!selectedVoice && options.lang) {
+        selectedVoice = voices.find(v => speaksLanguage(v.lang, options.lang));
+      }
+
       // Fallback to default voice selection if not found
       if (!selectedVoice) {
         if (this.isFirefox) {
@@ -229,8 +323,11 @@ export class TTSService {
         continue;
       }
 
-      // Generate and speak utterance
-      const utterance = await this.generateSpeechWebAPI(phrase.phrase, options);
+      // Generate and speak utterance (phrases may carry their own voice/rate)
+      const utterance = await this.generateSpeechWebAPI(
+        this.getSpokenText(phrase),
+        phrase.ttsOptions || options
+      );
 
       await new Promise((resolve, reject) => {
         // Check for cancellation before speaking
@@ -4,9 +4,13 @@
  * Features: syntax highlighting, localStorage auto-save
  */
 
+import { DURATION_SOURCE, formatParseError, parseProgram } from '../utils/parser.js';
+import { PROSE_PAUSES } from '../utils/prose.js';
+
 export class TextEditorService {
   constructor() {
     this.STORAGE_KEY = 'apg_editor_content';
+    this.PROSE_PAUSES_KEY = 'apg_prose_pauses';
   }
 
   /**
@@ -49,9 +53,35 @@ export class TextEditorService {
     }
   }
 
+  /**
+   * Load the pauses used for prose conversion
+   * @returns {Object} Pause per kind of sentence (defaults for any not saved)
+   */
+  loadProsePauses() {
+    try {
+      return { ...PROSE_PAUSES, ...JSON.parse(localStorage.getItem(this.PROSE_PAUSES_KEY) || '{}') };
+    } catch (error) {
+      console.error('Failed to load prose pauses:', error);
+      return { ...PROSE_PAUSES };
+    }
+  }
+
+  /**
+   * Save the pauses used for prose conversion as the new defaults
+   * @param {Object} pauses - Pause per kind of sentence
+   */
+  saveProsePauses(pauses) {
+    try {
+      localStorage.setItem(this.PROSE_PAUSES_KEY, JSON.stringify(pauses));
+    } catch (error) {
+      console.error('Failed to save prose pauses:', error);
+    }
+  }
+
   /**
    * Apply syntax highlighting to text
    * Highlights text and duration in format: text;seconds
+   * Durations with units ("1m30s") or clock times ("00:02:30") are coloured like plain seconds
    * @param {string} text - Raw text
    * @returns {string} HTML with syntax highlighting
    */
@@ -66,7 +96,7 @@ export class TextEditorService {
     
     // Highlight lines in format: text;duration
     const highlighted = escaped.replace(
-      /^(.+?)(;\s*)(\d+(?:\.\d+)?)\s*$/gm,
+      new RegExp(`^(.+?)(;\\s*)(${DURATION_SOURCE})\\s*$`, 'gm'),
       '<span class="syntax-text">$1</span><span class="syntax-separator">$2</span><span class="syntax-duration">$3</span>'
     );
     
@@ -94,50 +124,34 @@ export class TextEditorService {
   }
 
   /**
-   * Validate APG syntax
-   * Format: text;seconds
+   * Validate a program
+   * Errors are the ones parseProgram reports, so the editor flags exactly
+   * what a render would reject. Pauses longer than maxPauseDuration are
+   * valid but reported as warnings, once per line.
    * @param {string} text - Text to validate
+   * @param {number} maxPauseDuration - Pause length (seconds) above which to warn
+   * @param {Object} [options] - Options for parseProgram (variables, fragments, sounds)
    * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>}}
    */
-  validateSyntax(text, maxPauseDuration = 120) {
-    const errors = [];
+  validateSyntax(text, maxPauseDuration = 120, options = {}) {
+    if (!text) {
+      return { valid: true, errors: [], warnings: [] };
+    }
+
+    const { phrases, errors } = parseProgram(text, options);
     const warnings = [];
-    const lines = text.split('\n');
-    
-    lines.forEach((line, index) => {
-      const trimmed = line.trim();
-      if (!trimmed) return; // Skip empty lines
-      
-      const lineNum = index + 1;
-      
-      // Check for correct format: text;duration
-      const match = trimmed.match(/^(.+?);\s*(\d+(?:\.\d+)?)\s*$/);
-      
-      if (!match) {
-        errors.push(`Line ${lineNum}: Invalid format. Expected: text;seconds (e.g., "Hello world;2")`);
-      } else {
-        const [, phrase, duration] = match;
-        
-        // Validate phrase is not empty
-        if (!phrase || phrase.trim().length === 0) {
-          errors.push(`Line ${lineNum}: Text cannot be empty`);
-        }
-        
-        // Validate duration is reasonable
-        const durationNum = parseFloat(duration);
-        if (durationNum < 0) {
-          errors.push(`Line ${lineNum}: Duration cannot be negative`);
-        } else if (durationNum > maxPauseDuration) {
-          // Long durations are warnings, not errors - they're valid syntax
-          warnings.push(`Line ${lineNum}: Duration is quite long (${durationNum}s > ${maxPauseDuration}s). This is valid but consider if it's intentional.`);
-        }
+    const warnedLines = new Set();
+    phrases.forEach(({ duration, line }) => {
+      if (duration > maxPauseDuration && !warnedLines.has(line)) {
+        warnedLines.add(line);
+        warnings.push(`Line ${line}: Duration is quite long (${duration}s > ${maxPauseDuration}s). This is valid but consider if it's intentional.`);
       }
     });
-    
+
     return {
       valid: errors.length === 0,
-      errors,
-      warnings
+      errors: errors.map(formatParseError),
+      warnings,
     };
   }
 
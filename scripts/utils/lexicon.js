@@ -0,0 +1,93 @@
+/**
+ * Pronunciation lexicon
+ * Replaces words the engines mispronounce with a respelling ("Patanjali" →
+ * "puh-TAHN-juh-lee") or, for engines that read SSML, an IPA phoneme.
+ */
+
+import { parseSectionLine, stripComment } from './parser.js';
+
+/**
+ * Escape text for use in SSML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Pattern matching an entry's word in phrase text
+ * @param {{word: string, wholeWord?: boolean, matchCase?: boolean}} entry - Lexicon entry
+ * @returns {RegExp} Global pattern
+ */
+export function entryPattern(entry) {
+  const word = entry.word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const source = entry.wholeWord === false ? word : `(?<![\\p{L}\\p{N}_])${word}(?![\\p{L}\\p{N}_])`;
+  return new RegExp(source, entry.matchCase ? 'gu' : 'giu');
+}
+
+/**
+ * Apply lexicon entries to phrase text
+ * Longer words are replaced first, so "Ashtanga Vinyasa" wins over
+ * "Vinyasa". With `phonemes`, entries with an IPA phoneme become SSML
+ * <phoneme> tags (turning plain text into SSML); otherwise their respelling
+ * is used, and entries with neither are skipped. In SSML, only text outside
+ * tags is replaced.
+ * @param {string} text - Phrase text
+ * @param {Array<Object>} entries - Lexicon entries
+ * @param {Object} [options]
+ * @param {boolean} [options.ssml] - Whether the text is already SSML
+ * @param {boolean} [options.phonemes] - Whether the engine reads SSML phonemes
+ * @returns {{text: string, ssml: boolean}} Replaced text, and whether it is SSML
+ */
+export function applyLexicon(text, entries, { ssml = false, phonemes = false } = {}) {
+  const usable = entries
+    .filter(entry => (phonemes && entry.phoneme) || entry.respelling)
+    .sort((a, b) => b.word.length - a.word.length);
+  const usesPhoneme = (entry) => phonemes && Boolean(entry.phoneme);
+
+  let output = text;
+  let isSsml = ssml;
+  if (!isSsml && usable.some(entry => usesPhoneme(entry) && entryPattern(entry).test(text))) {
+    output = escapeXml(text);
+    isSsml = true;
+  }
+
+  for (const entry of usable) {
+    const replacement = usesPhoneme(entry)
+      ? (match) => `<phoneme alphabet="ipa" ph="${escapeXml(entry.phoneme)}">${match}</phoneme>`
+      : () => (isSsml ? escapeXml(entry.respelling) : entry.respelling);
+    const pattern = entryPattern(entry);
+    output = isSsml
+      ? output
+        .split(/(<[^>]*>)/)
+        .map(part => (part.startsWith('<') ? part : part.replace(pattern, replacement)))
+        .join('')
+      : output.replace(pattern, replacement);
+  }
+
+  return { text: output, ssml: isSsml };
+}
+
+/**
+ * Find the program lines an entry would change
+ * Only spoken lines are checked: comments, sections and directives (other
+ * than "@at" cues of phrases) are skipped.
+ * @param {string} content - Program text
+ * @param {Object} entry - Lexicon entry
+ * @returns {Array<number>} 1-based line numbers
+ */
+export function findAffectedLines(content, entry) {
+  const pattern = entryPattern(entry);
+  const lines = [];
+  content.split('\n').forEach((line, index) => {
+    const code = stripComment(line.trim()).trim();
+    const directive = code.startsWith('@') && !/^@at\b/.test(code);
+    if (!code || parseSectionLine(line) !== null || directive || /^@at\b\s*\S*\s*@/.test(code)) {
+      return;
+    }
+    pattern.lastIndex = 0;
+    if (pattern.test(code)) lines.push(index + 1);
+  });
+  return lines;
+}
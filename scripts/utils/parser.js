@@ -2,42 +2,1319 @@
  * Parse phrase file content
  * Format: "phrase text; duration_in_seconds"
  * Example: "Hello world; 2" or "*; 3" for silence
+ * Durations may also use units ("500ms", "1.5s", "2m", "1m30s") or a
+ * clock time ("2:30", "00:02:30").
+ *
+ * Lines starting with "#" are comments, as is anything after " # ".
+ * Write "\;" or "\#" for a literal semicolon or hash in phrase text.
+ * "## Title" lines (two hashes and a space) start a section instead.
+ *
+ * A program may start with a header block of directives that override
+ * the form settings for this render:
+ *   @engine openai
+ *   @voice onyx
+ *   @speed 0.9
+ *   @background river_and_birds
+ *   @attenuation -12
+ *   @lang es-ES
+ *
+ * A phrase may start with inline overrides for its own voice, engine or
+ * language:
+ *   [voice=echo] Breathe in; 4
+ *   [engine=google-cloud voice=en-US-Neural2-D] Hold; 2
+ *   [lang=es-ES] Respira; 4
+ * A section line may carry overrides for all of its phrases:
+ *   ## [lang=es-ES] Spanish
+ *
+ * and, after any overrides, modifiers relative to its voice settings:
+ *   {speed=0.8 gain=-6dB} Sleep now; 5
+ *
+ * Lines between "@repeat N" and "@end" are repeated N times. "@shuffle"
+ * ... "@end" plays its lines in random order and "@choose N" ... "@end"
+ * picks N of its lines. Blocks may be nested; a nested block or an
+ * "@include" counts as one line of its parent. "@seed 42" makes the random
+ * choices reproducible.
+ *
+ * A phrase written as "<speak>...</speak>" (or every phrase, after "@ssml on")
+ * is SSML; engines without SSML support speak it with the tags removed.
+ *
+ * "@countdown 5" and "@interval work=40 rest=20 rounds=8" generate timed
+ * phrases (spoken numbers, or beeps with "beep").
+ *
+ * "@sound bell" (or "@sound "temple bell.wav" gain=-6dB; 2") plays a sound
+ * effect, built in or from the sound library, in place of speech.
+ *
+ * "@at 05:00 Switch sides; 2" starts a phrase at an absolute time in the
+ * program; the renderer pads with silence up to the cue.
+ *
+ * "@background surf-waves-and-sea-foam fade=5s" after the first phrase
+ * crossfades to another background from that point on.
+ *
+ * "@include intro.txt" inserts a fragment from the fragment library in
+ * place. Fragments may include other fragments.
+ *
+ * Phrase text may use {{name}} variables, defined with "@set name = Alex"
+ * or supplied by the caller. Built-ins: {{i}} and {{total}} (round number
+ * and rounds of the innermost @repeat) and {{date}}.
  */
 
-export function parseTextFile(content) {
-  if (!content || typeof content !== 'string') {
-    throw new Error('Content must be a non-empty string');
+export const SUPPORTED_ENGINES = ['openai', 'google-cloud', 'gtts', 'web-speech'];
+
+const HEADER_DIRECTIVES = {
+  engine: (value) => {
+    if (!SUPPORTED_ENGINES.includes(value)) {
+      throw new Error(
+        `Unknown engine "${value}". Expected one of: ${SUPPORTED_ENGINES.join(', ')}`
+      );
+    }
+    return value;
+  },
+  voice: (value) => value,
+  speed: (value) => {
+    const speed = parseFloat(value);
+    if (!/^\d*\.?\d+$/.test(value) || speed <= 0) {
+      throw new Error(`Speed must be a positive number, got "${value}"`);
+    }
+    return speed;
+  },
+  lang: (value) => {
+    if (!/^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*$/i.test(value)) {
+      throw new Error(`Language must be a code like "es" or "es-ES", got "${value}"`);
+    }
+    // Canonical case: "es-ES", "zh-Hant-TW"
+    return value
+      .split(/[-_]/)
+      .map((part, index) => {
+        if (index === 0) return part.toLowerCase();
+        if (part.length === 2) return part.toUpperCase();
+        return part.length === 4 ? part[0].toUpperCase() + part.slice(1).toLowerCase() : part;
+      })
+      .join('-');
+  },
+  background: (value) => value,
+  attenuation: (value) => {
+    if (!/^[-+]?\d*\.?\d+$/.test(value)) {
+      throw new Error(`Attenuation must be a number of dB, got "${value}"`);
+    }
+    return parseFloat(value);
+  },
+  seed: (value) => {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`Seed must be a whole number, got "${value}"`);
+    }
+    return parseInt(value);
+  },
+  ssml: (value) => {
+    if (value !== 'on' && value !== 'off') {
+      throw new Error(`SSML must be "on" or "off", got "${value}"`);
+    }
+    return value === 'on';
+  },
+};
+
+/**
+ * Parse a single header directive line
+ * @param {string} line - Trimmed line starting with "@"
+ * @returns {{key: string, value: *}} Directive name and parsed value
+ */
+function parseHeaderDirective(line) {
+  const match = line.match(/^@(\w+)(?:\s+(.*))?$/);
+  if (!match) {
+    throw new Error(`Invalid directive: "${line}"`);
+  }
+
+  const [, key, rawValue = ''] = match;
+  const value = rawValue.trim();
+  const parse = HEADER_DIRECTIVES[key];
+
+  if (!parse) {
+    throw new Error(`Unknown directive "@${key}"`);
+  }
+  if (!value) {
+    throw new Error(`Directive "@${key}" requires a value`);
+  }
+
+  return { key, value: parse(value) };
+}
+
+// Pause durations: plain seconds ("90"), units ("500ms", "1.5s", "2m",
+// "1m30s", "1h") or clock time ("2:30", "00:02:30")
+const NUMBER = '\\d+(?:\\.\\d+)?';
+const UNIT_DURATION = `(?=\\d)(?:(${NUMBER})h)?(?:(${NUMBER})m(?!s))?(?:(${NUMBER})s)?(?:(${NUMBER})ms)?`;
+const CLOCK_DURATION = `(?:(\\d+):)?(\\d{1,2}):(\\d{1,2}(?:\\.\\d+)?)`;
+
+/**
+ * Regular expression source matching any pause duration syntax
+ * (used by the editor's syntax highlighter)
+ */
+export const DURATION_SOURCE = `(?:${NUMBER}|${UNIT_DURATION}|${CLOCK_DURATION})`;
+
+/**
+ * Parse a pause duration into seconds
+ * @param {string} value - Duration, e.g. "90", "500ms", "1m30s" or "00:02:30"
+ * @returns {number|null} Seconds, or null if the value is not a valid duration
+ */
+export function parseDuration(value) {
+  const text = String(value).trim();
+
+  if (new RegExp(`^${NUMBER}$`).test(text)) {
+    return parseFloat(text);
+  }
+
+  const units = text.match(new RegExp(`^${UNIT_DURATION}$`));
+  if (units) {
+    const [hours, minutes, seconds, millis] = units.slice(1).map(part => parseFloat(part) || 0);
+    // Round away floating point noise (e.g. 1.1m → 66.00000000000001)
+    return Math.round((hours * 3600 + minutes * 60 + seconds + millis / 1000) * 1000) / 1000;
+  }
+
+  const clock = text.match(new RegExp(`^${CLOCK_DURATION}$`));
+  if (clock) {
+    const [, hours, minutes, seconds] = clock;
+    if (parseFloat(seconds) >= 60 || (hours !== undefined && parseInt(minutes) >= 60)) {
+      return null;
+    }
+    return (parseInt(hours) || 0) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+  }
+
+  return null;
+}
+
+/**
+ * Format seconds as a clock time, e.g. 330 → "05:30", 3725 → "1:02:05"
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Clock time
+ */
+export function formatClockTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  const secText = Number.isInteger(secs) ? pad(secs) : secs.toFixed(1).padStart(4, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${secText}` : `${pad(minutes)}:${secText}`;
+}
+
+/**
+ * Split an "@at" cue line into its time and phrase
+ * @param {string} line - Trimmed line starting with "@at"
+ * @returns {{at: number, code: string}|null} Cue time in seconds and the
+ *   remaining phrase line, or null if the line is not a cue
+ */
+function parseCue(line) {
+  const match = line.match(/^@at\b\s*(\S*)\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, time, code] = match;
+  if (!time) {
+    throw new Error('"@at" needs a time, e.g. "@at 05:00 Switch sides; 2"');
+  }
+  const at = parseDuration(time);
+  if (at === null) {
+    throw new Error(`Invalid cue time "${time}"`);
+  }
+  return { at, code };
+}
+
+// Settings that may also be overridden per line with [key=value]
+const LINE_OVERRIDE_KEYS = ['engine', 'voice', 'speed', 'lang'];
+
+/**
+ * Split a leading [key=value ...] override block from phrase text
+ * Brackets without "=" are left alone as ordinary phrase text
+ * @param {string} text - Phrase text
+ * @returns {{overrides: Object|null, text: string}} Overrides and remaining text
+ */
+function parseLineOverrides(text) {
+  const match = text.match(/^\[([^\]]*=[^\]]*)\]\s*(.*)$/);
+  if (!match) {
+    return { overrides: null, text };
+  }
+
+  const [, body, rest] = match;
+  const overrides = {};
+
+  for (const pair of body.trim().split(/\s+/)) {
+    const [key, value] = pair.split('=');
+    if (!key || !value) {
+      throw new Error(`Invalid override "${pair}". Expected key=value`);
+    }
+    if (!LINE_OVERRIDE_KEYS.includes(key)) {
+      throw new Error(
+        `"${key}" cannot be set per line. Expected one of: ${LINE_OVERRIDE_KEYS.join(', ')}`
+      );
+    }
+    overrides[key] = HEADER_DIRECTIVES[key](value);
+  }
+
+  return { overrides, text: rest };
+}
+
+// Modifiers are relative to the line's voice settings: speed is a
+// multiplier, gain a change in dB and pitch a change in semitones
+const LINE_MODIFIERS = {
+  speed: (value) => {
+    const speed = parseFloat(value);
+    if (!/^\d*\.?\d+$/.test(value) || speed <= 0) {
+      throw new Error(`Speed must be a positive number, got "${value}"`);
+    }
+    return speed;
+  },
+  gain: (value) => {
+    if (!/^[-+]?\d*\.?\d+(?:dB)?$/i.test(value)) {
+      throw new Error(`Gain must be a number of dB (e.g. "-6dB"), got "${value}"`);
+    }
+    return parseFloat(value);
+  },
+  pitch: (value) => {
+    if (!/^[-+]?\d*\.?\d+(?:st)?$/.test(value)) {
+      throw new Error(`Pitch must be a number of semitones (e.g. "-2st"), got "${value}"`);
+    }
+    return parseFloat(value);
+  },
+};
+
+/**
+ * Split a leading {key=value ...} modifier block from phrase text
+ * Variable placeholders ("{{name}}") are left alone
+ * @param {string} text - Phrase text, after any [key=value] overrides
+ * @returns {{modifiers: Object|null, text: string}} Modifiers and remaining text
+ */
+function parseLineModifiers(text) {
+  const match = text.match(/^\{([^{}]*=[^{}]*)\}\s*(.*)$/);
+  if (!match) {
+    return { modifiers: null, text };
+  }
+
+  const [, body, rest] = match;
+  const modifiers = {};
+
+  for (const pair of body.trim().split(/\s+/)) {
+    const [key, value] = pair.split('=');
+    if (!key || !value) {
+      throw new Error(`Invalid modifier "${pair}". Expected key=value`);
+    }
+    if (!LINE_MODIFIERS[key]) {
+      throw new Error(
+        `Unknown modifier "${key}". Expected one of: ${Object.keys(LINE_MODIFIERS).join(', ')}`
+      );
+    }
+    modifiers[key] = LINE_MODIFIERS[key](value);
+  }
+
+  return { modifiers, text: rest };
+}
+
+const SSML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const SSML_ENTITY = /^&(?:lt|gt|amp|quot|apos|#\d+|#x[\da-fA-F]+);/;
+
+/**
+ * Check whether phrase text is written as an SSML document ("<speak>...</speak>")
+ * @param {string} text - Phrase text
+ * @returns {boolean} True for SSML
+ */
+export function isSsml(text) {
+  return /^<speak[\s>]/i.test(text);
+}
+
+/**
+ * Check that SSML markup is well-formed: tags are balanced and properly
+ * quoted, and "&" only starts an entity
+ * @param {string} text - SSML text, with or without the <speak> wrapper
+ */
+export function checkSsml(text) {
+  const open = [];
+  const token =
+    /<(\/?)([A-Za-z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>|&(?:[A-Za-z]+|#\d+|#x[\da-fA-F]+);|[<&]/g;
+
+  for (const [match, closing, name, , selfClosing] of text.matchAll(token)) {
+    if (match === '&') {
+      throw new Error('Invalid SSML: write "&amp;" for a literal "&"');
+    }
+    if (match === '<') {
+      throw new Error('Invalid SSML: malformed tag (write "&lt;" for a literal "<")');
+    }
+    if (closing) {
+      const expected = open.pop();
+      if (expected !== name) {
+        throw new Error(
+          expected
+            ? `Invalid SSML: expected </${expected}> but found </${name}>`
+            : `Invalid SSML: </${name}> has no opening tag`
+        );
+      }
+    } else if (name && !selfClosing) {
+      open.push(name);
+    }
+  }
+
+  if (open.length > 0) {
+    throw new Error(`Invalid SSML: <${open[open.length - 1]}> is never closed`);
+  }
+}
+
+/**
+ * Reduce SSML to plain text for engines without SSML support
+ * @param {string} text - SSML text
+ * @returns {string} Text with tags removed and entities decoded
+ */
+export function stripSsml(text) {
+  return text
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&#(x?)([\da-fA-F]+);/g, (_, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+    .replace(/&(lt|gt|amp|quot|apos);/g, (_, name) => SSML_ENTITIES[name])
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Guard against nested @repeat blocks expanding into an unusable program
+export const MAX_EXPANDED_PHRASES = 10000;
+
+/**
+ * Parse a block directive ("@repeat N", "@shuffle", "@choose N" or "@end")
+ * @param {string} line - Trimmed line starting with "@"
+ * @returns {{type: string, count?: number}|null} Directive, or null if not a block directive
+ */
+function parseBlockDirective(line) {
+  const match = line.match(/^@(repeat|shuffle|choose|end)\b\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, type, value] = match;
+  if (type === 'end' || type === 'shuffle') {
+    if (value) {
+      throw new Error(`"@${type}" does not take a value`);
+    }
+    return { type };
+  }
+
+  // "@choose" alone picks one line
+  if (type === 'choose' && !value) {
+    return { type, count: 1 };
+  }
+  if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+    const what = type === 'repeat' ? 'rounds' : 'lines to pick';
+    throw new Error(`"@${type}" needs a whole number of ${what}, got "${value}"`);
+  }
+  return { type, count: parseInt(value) };
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle a copy of a list (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {function(): number} random - Random number generator
+ * @returns {Array} Shuffled copy
+ */
+function shuffled(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Upper bound on the number of phrases a parsed node expands to
+ * @param {Object} node - Phrase or block node
+ * @returns {number} Phrase count
+ */
+function expandedSize(node) {
+  if (node.type === 'section' || node.type === 'background') return 0;
+  if (!node.children) return 1;
+  const total = node.children.reduce((sum, child) => sum + expandedSize(child), 0);
+  return node.type === 'repeat' ? total * node.count : total;
+}
+
+/**
+ * Expand parsed nodes into a flat phrase list
+ * Blocks are expanded here rather than while parsing so that a @shuffle
+ * inside a @repeat is reshuffled every round.
+ * @param {Array<Object>} nodes - Phrase and block nodes
+ * @param {function(): number} random - Random number generator
+ * @returns {Array<Object>} Phrases
+ */
+function expandNodes(nodes, random) {
+  return nodes.flatMap((node) => {
+    if (!node.children) {
+      return [{ ...node }];
+    }
+
+    if (node.type === 'repeat') {
+      const rounds = [];
+      for (let round = 0; round < node.count; round++) {
+        const loopValues = { i: round + 1, total: node.count };
+        expandNodes(node.children, random).forEach((phrase) => {
+          rounds.push({ ...phrase, phrase: substituteVariables(phrase.phrase, loopValues) });
+        });
+      }
+      return rounds;
+    }
+
+    if (node.type === 'shuffle') {
+      return expandNodes(shuffled(node.children, random), random);
+    }
+
+    if (node.type === 'choose') {
+      // Keep the chosen lines in program order
+      const picked = shuffled(node.children.map((_, index) => index), random)
+        .slice(0, node.count)
+        .sort((a, b) => a - b);
+      return expandNodes(picked.map((index) => node.children[index]), random);
+    }
+
+    return expandNodes(node.children, random); // Included fragment
+  });
+}
+
+// Beeps used by "@countdown ... beep" and "@interval ... beep"
+export const BEEPS = {
+  tick: { frequency: 880, duration: 0.12 },
+  go: { frequency: 1320, duration: 0.4 },
+};
+
+// Built-in effects for "@sound", synthesised from decaying partials:
+// [frequency ratio, level, decay time constant in seconds]
+export const SOUND_EFFECTS = {
+  bell: {
+    frequency: 528,
+    length: 3,
+    partials: [[1, 1, 1.2], [2.76, 0.5, 0.6], [5.4, 0.25, 0.3], [8.93, 0.12, 0.15]],
+  },
+  chime: {
+    frequency: 1046.5,
+    length: 2,
+    partials: [[1, 1, 0.6], [2, 0.35, 0.4], [3, 0.2, 0.25], [4.2, 0.1, 0.15]],
+  },
+  gong: {
+    frequency: 110,
+    length: 5,
+    attack: 0.03,
+    partials: [[1, 1, 2], [1.48, 0.6, 1.5], [2.1, 0.45, 1.2], [2.9, 0.3, 0.8], [3.8, 0.2, 0.5]],
+  },
+};
+
+// Guards against generators that would swamp the phrase limit
+const MAX_COUNTDOWN = 60;
+const MAX_INTERVAL_ROUNDS = 1000;
+
+/**
+ * Split directive arguments into bare words and key=value options
+ * Option values may be quoted: label="Jumping jacks"
+ * @param {string} text - Arguments after the directive name
+ * @returns {{words: Array<string>, options: Object<string, string>}} Parsed arguments
+ */
+function parseDirectiveArguments(text) {
+  const words = [];
+  const options = {};
+  for (const [, key, quoted, plain, word] of text.matchAll(/(\w+)=(?:"([^"]*)"|(\S*))|(\S+)/g)) {
+    if (word !== undefined) {
+      words.push(word);
+    } else {
+      options[key] = quoted ?? plain;
+    }
   }
+  return { words, options };
+}
 
-  const lines = content.trim().split('\n');
+/**
+ * Build the phrases of a countdown: one number (or beep) per second
+ * @param {number} count - Number to count down from
+ * @param {boolean} beep - Use beeps instead of spoken numbers
+ * @returns {Array<Object>} Phrases
+ */
+function countdownPhrases(count, beep) {
   const phrases = [];
+  for (let n = count; n >= 1; n--) {
+    phrases.push(
+      beep
+        ? { phrase: '*', duration: 0, slot: 1, beep: { ...BEEPS.tick } }
+        : { phrase: String(n), duration: 0, slot: 1 }
+    );
+  }
+  return phrases;
+}
+
+/**
+ * Parse a whole-number generator option
+ * @param {string|undefined} value - Raw value
+ * @param {string} name - Option name, for errors
+ * @param {number} fallback - Value when the option is missing
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} Parsed value
+ */
+function parseCountOption(value, name, fallback, min, max) {
+  if (value === undefined) return fallback;
+  const count = parseInt(value);
+  if (!/^\d+$/.test(value) || count < min || count > max) {
+    throw new Error(`"${name}" must be a whole number from ${min} to ${max}, got "${value}"`);
+  }
+  return count;
+}
 
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed) continue;
+/**
+ * Expand a generator directive ("@countdown N", "@interval work=40 ...")
+ * into timed phrases. Generated phrases have no pause; instead each fills a
+ * `slot` of seconds measured from its start, so numbers land exactly one
+ * second apart whatever the length of the speech. Beeps are marked with a
+ * `beep` tone in place of speech.
+ * @param {string} line - Trimmed line starting with "@"
+ * @returns {Array<{phrase: string, duration: number, slot?: number, beep?: Object}>|null}
+ *   Phrases, or null if the line is not a generator directive
+ */
+function expandGenerator(line) {
+  const match = line.match(/^@(countdown|interval)\b\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
 
-    // Match pattern: text; number (duration optional, defaults to 0)
-    // Supports: "text;5", "text;", "text"
-    const match = trimmed.match(/^(.+?)(?:;\s*(\d+(?:\.\d+)?)?)?\s*$/);
+  const [, type, args] = match;
+  const { words, options } = parseDirectiveArguments(args);
+
+  if (type === 'countdown') {
+    // "@countdown 5 beep go="Go!""
+    const [count, ...flags] = words;
+    if (!count) {
+      throw new Error('"@countdown" needs a number, e.g. "@countdown 5"');
+    }
+    const unknown = [...flags.filter(flag => flag !== 'beep'), ...Object.keys(options).filter(key => key !== 'go')];
+    if (unknown.length > 0) {
+      throw new Error(`Unknown @countdown option "${unknown[0]}". Expected: beep, go="text"`);
+    }
+    const beep = flags.includes('beep');
+    const phrases = countdownPhrases(parseCountOption(count, 'count', 0, 1, MAX_COUNTDOWN), beep);
 
-    if (!match) {
-      throw new Error(`Invalid line format: "${trimmed}"`);
+    // Mark zero with the "go" text, or a long beep
+    if (options.go) {
+      phrases.push({ phrase: options.go, duration: 0 });
+    } else if (beep) {
+      phrases.push({ phrase: '*', duration: 0, beep: { ...BEEPS.go } });
     }
+    return phrases;
+  }
+
+  // "@interval work=40 rest=20 rounds=8 label="Burpees" countdown=3 beep"
+  const known = ['work', 'rest', 'rounds', 'label', 'countdown'];
+  const unknown = [...words.filter(word => word !== 'beep'), ...Object.keys(options).filter(key => !known.includes(key))];
+  if (unknown.length > 0) {
+    throw new Error(`Unknown @interval option "${unknown[0]}". Expected one of: ${known.join(', ')}, beep`);
+  }
+  if (options.work === undefined) {
+    throw new Error('"@interval" needs a work time, e.g. "@interval work=40 rest=20 rounds=8"');
+  }
 
-    const [, phraseRaw, duration] = match;
-    
-    // Remove trailing semicolon from phrase if present
-    const phrase = phraseRaw.replace(/;\s*$/, '').trim();
-    
-    phrases.push({
-      phrase: phrase,
-      duration: duration ? parseFloat(duration) : 0,
+  const work = parseDuration(options.work);
+  const rest = options.rest === undefined ? 0 : parseDuration(options.rest);
+  if (!work) {
+    throw new Error(`Invalid work time "${options.work}"`);
+  }
+  if (rest === null) {
+    throw new Error(`Invalid rest time "${options.rest}"`);
+  }
+  const rounds = parseCountOption(options.rounds, 'rounds', 1, 1, MAX_INTERVAL_ROUNDS);
+  const countdown = parseCountOption(options.countdown, 'countdown', 3, 0, MAX_COUNTDOWN);
+  const label = options.label || 'Work';
+  const beep = words.includes('beep');
+
+  // Each phase ends with a countdown into the next, cut short when the phase
+  // is too brief to announce it first
+  const phase = (text, length, allowWarning) => {
+    const count = Math.max(0, Math.min(countdown, Math.ceil(length) - 1));
+    const warning = allowWarning && length >= 20 && count < 10;
+    const phrases = [{ phrase: text, duration: 0, slot: length - (warning ? 10 : count) }];
+    if (warning) {
+      phrases.push({ phrase: '10 seconds left', duration: 0, slot: 10 - count });
+    }
+    return [...phrases, ...countdownPhrases(count, beep)];
+  };
+
+  const phrases = [];
+  for (let round = 1; round <= rounds; round++) {
+    phrases.push(...phase(rounds > 1 ? `${label}, round ${round} of ${rounds}` : label, work, true));
+    if (rest > 0 && round < rounds) {
+      phrases.push(...phase('Rest', rest, false));
+    }
+  }
+  return phrases;
+}
+
+/**
+ * Parse a "@sound" cue
+ * The effect name may be quoted when it contains spaces; a "; pause" after
+ * it works as for phrases
+ * @param {string} line - Trimmed line (after any "@at" time)
+ * @returns {{name: string, gain?: number, pause: string|null}|null} Effect
+ *   name, gain in dB and raw pause, or null if the line is not a sound cue
+ */
+function parseSoundCue(line) {
+  const match = line.match(/^@sound\b\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const { text, pause } = splitPhraseLine(match[1]);
+  const [, quoted, plain, rest = ''] = text.match(/^(?:"([^"]*)"|(\S+))?\s*(.*)$/);
+  const name = (quoted ?? plain ?? '').trim();
+  if (!name) {
+    throw new Error('"@sound" needs an effect name, e.g. "@sound bell"');
+  }
+
+  const { words, options } = parseDirectiveArguments(rest);
+  const unknown = [...words, ...Object.keys(options).filter(key => key !== 'gain')];
+  if (unknown.length > 0) {
+    throw new Error(`Unknown @sound option "${unknown[0]}". Expected: gain=-6dB`);
+  }
+
+  const cue = { name, pause };
+  if (options.gain !== undefined) {
+    cue.gain = LINE_MODIFIERS.gain(options.gain);
+  }
+  return cue;
+}
+
+/**
+ * Find a sound effect by name
+ * Sound library clips match exactly first, then built-in effects, then
+ * clips ignoring case and the file extension ("@sound Temple Bell" finds
+ * "temple bell.wav")
+ * @param {Array<string>} library - Names of the sound library clips
+ * @param {string} name - Requested name
+ * @returns {{name: string, builtIn?: boolean}|null} Effect, or null if not found
+ */
+export function findSoundEffect(library, name) {
+  if (library.includes(name)) {
+    return { name };
+  }
+  if (Object.prototype.hasOwnProperty.call(SOUND_EFFECTS, name.toLowerCase())) {
+    return { name: name.toLowerCase(), builtIn: true };
+  }
+  const normalize = (value) => value.trim().toLowerCase().replace(/\.\w+$/, '');
+  const match = library.find(candidate => normalize(candidate) === normalize(name));
+  return match === undefined ? null : { name: match };
+}
+
+// Seconds over which a "@background" change crossfades by default
+export const BACKGROUND_CROSSFADE = 3;
+
+/**
+ * Parse a "@background" change in the body of a program
+ * "none" fades the background out instead of switching it
+ * @param {string} line - Trimmed line starting with "@"
+ * @returns {{name: string, fade: number}|null} Sample name and crossfade in
+ *   seconds, or null if the line is not a background change
+ */
+function parseBackgroundChange(line) {
+  const match = line.match(/^@background\b\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const { words, options } = parseDirectiveArguments(match[1]);
+  const [name, ...extra] = words;
+  if (!name) {
+    throw new Error('"@background" needs a sample name, e.g. "@background river_and_birds"');
+  }
+  const unknown = [...extra, ...Object.keys(options).filter(key => key !== 'fade')];
+  if (unknown.length > 0) {
+    throw new Error(`Unknown @background option "${unknown[0]}". Expected: fade=3s`);
+  }
+
+  const fade = options.fade === undefined ? BACKGROUND_CROSSFADE : parseDuration(options.fade);
+  if (fade === null) {
+    throw new Error(`Invalid fade time "${options.fade}"`);
+  }
+  return { name, fade };
+}
+
+// Built-in variables; loop variables are filled in when a block is expanded
+const LOOP_VARIABLES = ['i', 'total'];
+const BUILTIN_VARIABLES = [...LOOP_VARIABLES, 'date'];
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Parse a "name = value" variable assignment
+ * @param {string} text - Assignment text
+ * @returns {{name: string, value: string}} Variable name and value
+ */
+function parseVariableAssignment(text) {
+  const match = text.match(/^([A-Za-z_]\w*)\s*=\s*(.*)$/);
+  if (!match) {
+    throw new Error(`Invalid variable "${text}". Expected name = value`);
+  }
+
+  const [, name, value] = match;
+  if (BUILTIN_VARIABLES.includes(name)) {
+    throw new Error(`"${name}" is a built-in variable and cannot be set`);
+  }
+  return { name, value: value.trim() };
+}
+
+/**
+ * Parse a list of variable assignments, one "name = value" per line
+ * Blank lines and "#" comment lines are skipped
+ * @param {string} text - Variable list
+ * @returns {Object<string, string>} Variable values by name
+ */
+export function parseVariableList(text) {
+  const variables = {};
+  (text || '').split(/\r?\n/).forEach((line, index) => {
+    const code = stripComment(line.trim()).trim();
+    if (!code) return;
+
+    try {
+      const { name, value } = parseVariableAssignment(code);
+      variables[name] = value;
+    } catch (error) {
+      throw new Error(`Variables line ${index + 1}: ${error.message}`);
+    }
+  });
+  return variables;
+}
+
+/**
+ * Replace {{name}} placeholders that have a value; others are left intact
+ * @param {string} text - Text with placeholders
+ * @param {Object} values - Variable values by name
+ * @returns {string} Substituted text
+ */
+function substituteVariables(text, values) {
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder
+  );
+}
+
+/**
+ * Format a date the way it should be spoken, e.g. "Monday, October 19, 2026"
+ * @param {Date} date - Date to format
+ * @returns {string} Spoken date
+ */
+function formatSpokenDate(date) {
+  return date.toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+/**
+ * Find a fragment by name
+ * Names match exactly, or ignoring case and a ".txt" extension
+ * @param {Object<string, string>} fragments - Fragment content by name
+ * @param {string} name - Name used in "@include"
+ * @returns {{name: string, content: string}|null} Fragment, or null if not found
+ */
+export function findFragment(fragments, name) {
+  const normalize = (value) => value.trim().toLowerCase().replace(/\.txt$/, '');
+  const names = Object.keys(fragments || {});
+  const match = names.includes(name)
+    ? name
+    : names.find(candidate => normalize(candidate) === normalize(name));
+
+  return match === undefined ? null : { name: match, content: fragments[match] };
+}
+
+/**
+ * Resolve an "@include" target, guarding against include cycles
+ * @param {string} name - Fragment name
+ * @param {Object<string, string>} fragments - Fragment content by name
+ * @param {Array<string>} includeStack - Fragments currently being included, outermost first
+ * @returns {{name: string, content: string}} Fragment
+ */
+function resolveInclude(name, fragments, includeStack = []) {
+  if (!name) {
+    throw new Error('"@include" needs a fragment name');
+  }
+
+  const fragment = findFragment(fragments, name);
+  if (!fragment) {
+    throw new Error(`Unknown fragment "${name}"`);
+  }
+  if (includeStack.includes(fragment.name)) {
+    throw new Error(`Include cycle: ${[...includeStack, fragment.name].join(' → ')}`);
+  }
+  return fragment;
+}
+
+/**
+ * Strip a comment from a line
+ * A comment is a "#" at the start of the line, a "#" after whitespace in the
+ * pause field ("Breathe in; 4 #slow"), or a "#" surrounded by whitespace
+ * anywhere ("Breathe in; 4 # slow"). In phrase text "Round #3" and "C#" are
+ * left alone, and "\#" is always a literal "#".
+ * @param {string} line - Raw line
+ * @returns {string} Line without its comment (escapes left intact)
+ */
+export function stripComment(line) {
+  let afterSemicolon = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '\\') {
+      i++; // Skip escaped character
+      continue;
+    }
+    if (line[i] === ';') {
+      afterSemicolon = true;
+      continue;
+    }
+    if (line[i] !== '#') continue;
+
+    const startsWord = i === 0 || /\s/.test(line[i - 1]);
+    const endsWord = i + 1 >= line.length || /\s/.test(line[i + 1]);
+    const inPause = afterSemicolon && !hasSemicolon(line, i + 1);
+    if (i === 0 || (startsWord && (endsWord || inPause))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Check for an unescaped ";" in a line
+ * @param {string} line - Raw line
+ * @param {number} from - Index to start looking at
+ * @returns {boolean} True if one follows
+ */
+function hasSemicolon(line, from) {
+  for (let i = from; i < line.length; i++) {
+    if (line[i] === '\\') {
+      i++;
+    } else if (line[i] === ';') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Read a "## Section title" line
+ * @param {string} line - Program line
+ * @returns {string|null} Title (without any trailing comment), or null if the line is not a section
+ */
+export function parseSectionLine(line) {
+  const match = line.trim().match(/^##\s+(.*)$/);
+  return match ? stripComment(match[1]).trim() : null;
+}
+
+/**
+ * Split a phrase line at its last unescaped ";" into text and pause
+ * Earlier ";" stay in the text ("Hello; world; 2" is "Hello; world" for 2s).
+ * In SSML the ";" ending an entity ("&amp;") does not count; plain text has
+ * no entities. Escapes ("\;", "\#") are left intact in the returned text
+ * @param {string} code - Line with comments already stripped
+ * @param {boolean} [ssml] - Whether the line is SSML
+ * @returns {{text: string, pause: string|null}} Text and raw pause (null if no ";")
+ */
+function splitPhraseLine(code, ssml = false) {
+  let separator = -1;
+  for (let i = 0; i < code.length; i++) {
+    const entity = ssml && code[i] === '&' && code.slice(i).match(SSML_ENTITY);
+    if (code[i] === '\\') {
+      i++;
+    } else if (entity) {
+      i += entity[0].length - 1;
+    } else if (code[i] === ';') {
+      separator = i;
+    }
+  }
+
+  const rawText = separator === -1 ? code : code.slice(0, separator);
+  const pause = separator === -1 ? null : code.slice(separator + 1).trim();
+
+  return { text: rawText.trim(), pause };
+}
+
+/**
+ * Resolve "\;", "\#", "\{", "\@", "\[" and "\*" escapes in phrase text
+ * @param {string} text - Escaped text
+ * @returns {string} Literal text
+ */
+function unescapeText(text) {
+  return text.replace(/\\([;#{@[*])/g, '$1');
+}
+
+/**
+ * Escape literal text so it is read as a phrase
+ * ";", "#" and "{" are escaped everywhere, so the text has no pause,
+ * comment, modifier or "{{variable}}"; a leading "@", "[" or "*" is escaped
+ * so the line is not a directive, override block or silence
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+  return text.replace(/[;#{]/g, '\\$&').replace(/^[@[*]/, '\\$&');
+}
+
+/**
+ * Format a parse error for display
+ * @param {{line: number|null, message: string}} error - Parse error
+ * @returns {string} Message prefixed with its line number
+ */
+export function formatParseError(error) {
+  return error.line ? `Line ${error.line}: ${error.message}` : error.message;
+}
+
+/**
+ * Parse a program into its header settings and phrase list
+ * Every phrase records its 1-based source `line`; phrases with inline
+ * overrides or modifiers also carry an `overrides` or `modifiers` object,
+ * and "@at" phrases their cue time in seconds as `at`. SSML phrases are
+ * flagged with `ssml`, and generated phrases may carry a `slot` and `beep`
+ * (see expandGenerator). "@sound" cues are silent phrases ("*") with a
+ * `sound` effect to play in their place. Blocks are expanded, so repeated phrases appear
+ * once per round with the same `line`, and "@include" fragments are
+ * expanded in place (their phrases and errors are reported at the
+ * "@include" line).
+ * "## Title" lines are returned as `sections`, each with the `index` of its
+ * first phrase. Sections cannot be inside blocks, so each appears once. A
+ * section's [key=value] overrides are merged into each of its phrases.
+ * "@background" changes after the first phrase are returned as
+ * `backgrounds`, likewise with the `index` of the phrase they start at.
+ * Variables are substituted here, so phrase text is final before it is
+ * used as a cache key. Problems are collected in `errors` rather than
+ * thrown, so callers can report every bad line.
+ * @param {string} content - Program text
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.variables] - Values that override "@set" definitions
+ * @param {Date} [options.now] - Date used for {{date}}
+ * @param {Object<string, string>} [options.fragments] - Fragment content by name, for "@include"
+ * @param {number} [options.seed] - Seed for @shuffle/@choose (a program "@seed" takes precedence)
+ * @param {Array<string>} [options.sounds] - Sound library clip names, for "@sound"
+ * @returns {{header: Object, phrases: Array<{phrase: string, duration: number, line: number, overrides?: Object, modifiers?: Object, at?: number, ssml?: boolean, slot?: number, beep?: Object, sound?: Object}>, sections: Array<{title: string, line: number, index: number}>, backgrounds: Array<{name: string, fade: number, line: number, index: number}>, errors: Array<{line: number|null, message: string}>, seed: number}}
+ */
+export function parseProgram(content, { variables = {}, now = new Date(), fragments = {}, seed, sounds = [] } = {}) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Content must be a non-empty string');
+  }
+
+  const header = {};
+  const errors = [];
+  // Parsed phrases and blocks; blocks are expanded once parsing is done
+  const nodes = [];
+  // Open blocks, innermost last
+  const blocks = [];
+  let seenBody = false;
+  // Program "@set" definitions; caller-supplied values take precedence
+  const definitions = {};
+  const date = formatSpokenDate(now);
+  const values = () => ({ ...definitions, ...variables, date });
+
+  const target = () => (blocks.length > 0 ? blocks[blocks.length - 1].children : nodes);
+
+  // Parse one source (the program or an included fragment). `locate` maps
+  // a source line and message to where it is reported in the program.
+  const parseSource = (source, locate, includeStack) => {
+    const depth = blocks.length;
+
+    source.split(/\r?\n/).forEach((line, index) => {
+      const lineNum = index + 1;
+      const title = parseSectionLine(line);
+      const code = stripComment(line.trim()).trim();
+      if (!code && title === null) return; // Blank or comment-only line
+
+      try {
+        // "## Warm-up" starts a section; it is kept as a node so it stays in
+        // place when included fragments are expanded
+        if (title !== null) {
+          const { overrides, text: sectionTitle } = parseLineOverrides(title);
+          if (!sectionTitle) {
+            throw new Error('Section needs a title, e.g. "## Warm-up"');
+          }
+          if (blocks.some(block => block.type !== 'include')) {
+            throw new Error('Sections cannot be inside "@repeat", "@shuffle" or "@choose" blocks');
+          }
+          const section = {
+            type: 'section',
+            title: unescapeText(substituteVariables(sectionTitle, values())),
+            line: locate(lineNum, '').line,
+          };
+          if (overrides) {
+            section.overrides = overrides;
+          }
+          target().push(section);
+          return;
+        }
+
+        // "@at 05:00 Switch sides; 2" is a phrase with an absolute cue time
+        const cue = parseCue(code);
+
+        // "@sound bell" plays an effect in place of speech
+        const sound = parseSoundCue(cue ? cue.code : code);
+        if (sound) {
+          const effect = findSoundEffect(sounds, sound.name);
+          if (!effect) {
+            throw new Error(`Unknown sound effect "${sound.name}"`);
+          }
+          const duration = sound.pause ? parseDuration(sound.pause) : 0;
+          if (duration === null) {
+            throw new Error(`Invalid pause duration "${sound.pause}"`);
+          }
+          const entry = {
+            phrase: '*',
+            duration,
+            line: locate(lineNum, '').line,
+            sound: sound.gain === undefined ? effect : { ...effect, gain: sound.gain },
+          };
+          if (cue) {
+            entry.at = cue.at;
+          }
+          seenBody = true;
+          target().push(entry);
+          return;
+        }
+
+        if (!cue && code.startsWith('@')) {
+          const block = parseBlockDirective(code);
+
+          if (block && block.type !== 'end') {
+            seenBody = true;
+            blocks.push({ ...block, line: lineNum, locate, children: [] });
+            return;
+          }
+
+          if (block) {
+            // A fragment can only close blocks it opened itself
+            if (blocks.length <= depth) {
+              throw new Error('"@end" without a matching "@repeat", "@shuffle" or "@choose"');
+            }
+            const closed = blocks.pop();
+            if (closed.type === 'choose' && closed.children.length < closed.count) {
+              errors.push(closed.locate(
+                closed.line,
+                `"@choose ${closed.count}" has only ${closed.children.length} line(s) to choose from`
+              ));
+              return;
+            }
+            if (expandedSize(closed) > MAX_EXPANDED_PHRASES) {
+              errors.push(
+                closed.locate(closed.line, `Repeat expands to more than ${MAX_EXPANDED_PHRASES} phrases`)
+              );
+              return;
+            }
+            target().push(closed);
+            return;
+          }
+
+          // Generators ("@countdown 5") expand into timed phrases at this line
+          const generated = expandGenerator(substituteVariables(code, values()));
+          if (generated) {
+            const line = locate(lineNum, '').line;
+            generated.forEach(phrase => target().push({ ...phrase, line }));
+            seenBody = true;
+            return;
+          }
+
+          const include = code.match(/^@include\b\s*(.*)$/);
+          if (include) {
+            const fragment = resolveInclude(include[1].trim(), fragments, includeStack);
+            // The fragment is one line of its parent (one choice of a @choose)
+            blocks.push({ type: 'include', children: [] });
+            parseSource(
+              fragment.content,
+              (fragmentLine, message) =>
+                locate(lineNum, `In "${fragment.name}" line ${fragmentLine}: ${message}`),
+              [...includeStack, fragment.name]
+            );
+            const group = blocks.pop();
+            target().push(group);
+            return;
+          }
+
+          const assignment = code.match(/^@set\b\s*(.*)$/);
+          if (assignment) {
+            const { name, value } = parseVariableAssignment(assignment[1]);
+            definitions[name] = substituteVariables(value, values());
+            return;
+          }
+
+          // After the first phrase, "@background" switches the background
+          // from this point on
+          const change = seenBody && parseBackgroundChange(code);
+          if (change) {
+            if (blocks.some(block => block.type !== 'include')) {
+              throw new Error('Background changes cannot be inside "@repeat", "@shuffle" or "@choose" blocks');
+            }
+            target().push({ type: 'background', ...change, line: locate(lineNum, '').line });
+            return;
+          }
+
+          // Header directives are only allowed before the first phrase or block
+          if (seenBody) {
+            throw new Error('Header directive must appear before the first phrase');
+          }
+          const { key, value } = parseHeaderDirective(code);
+          header[key] = value;
+          return;
+        }
+
+        // Format: text; number (duration optional, defaults to 0)
+        // Supports: "text;5", "text;", "text"
+        const phraseCode = cue ? cue.code : code;
+        const { text: rawText, pause } = splitPhraseLine(
+          phraseCode,
+          header.ssml || /<speak[\s>]/i.test(phraseCode)
+        );
+
+        const duration = pause ? parseDuration(pause) : 0;
+        if (duration === null) {
+          throw new Error(`Invalid pause duration "${pause}"`);
+        }
+
+        const { overrides, text: unmodifiedText } = parseLineOverrides(rawText);
+        const { modifiers, text } = parseLineModifiers(unmodifiedText);
+        // Variables are filled in before escapes are resolved, so "\{\{name}}" stays literal
+        const substituted = substituteVariables(text, values()).trim();
+
+        // Anything left is a loop variable (filled in by the enclosing block)
+        // or a variable nobody defined
+        for (const [placeholder, name] of substituted.matchAll(VARIABLE_PATTERN)) {
+          if (!LOOP_VARIABLES.includes(name)) {
+            throw new Error(`Unknown variable "${placeholder}"`);
+          }
+          if (!blocks.some(block => block.type === 'repeat')) {
+            throw new Error(`"${placeholder}" can only be used inside a "@repeat" block`);
+          }
+        }
+        const phrase = unescapeText(substituted);
+
+        if (!phrase) {
+          throw new Error(
+            overrides || modifiers ? 'Missing phrase text after overrides' : 'Missing phrase text'
+          );
+        }
+
+        // "@ssml on" marks every phrase as SSML; "<speak>" marks a single phrase
+        const ssml = phrase !== '*' && (header.ssml || isSsml(phrase));
+        if (ssml) {
+          checkSsml(phrase);
+        }
+
+        const entry = {
+          phrase,
+          duration,
+          line: locate(lineNum, '').line,
+        };
+        if (overrides) {
+          entry.overrides = overrides;
+        }
+        if (modifiers) {
+          entry.modifiers = modifiers;
+        }
+        if (ssml) {
+          entry.ssml = true;
+        }
+        if (cue) {
+          entry.at = cue.at;
+        }
+        seenBody = true;
+        target().push(entry);
+      } catch (error) {
+        errors.push(locate(lineNum, error.message));
+      }
+    });
+
+    // Blocks must be closed in the source that opened them
+    blocks.splice(depth).forEach(block => {
+      errors.push(block.locate(block.line, `"@${block.type}" block is missing its "@end"`));
     });
+  };
+
+  parseSource(content, (line, message) => ({ line, message }), []);
+
+  // A "@seed" in the program wins over the caller's seed, so its output never
+  // changes; without either, every render is different
+  const usedSeed = header.seed ?? seed ?? Math.floor(Math.random() * 2 ** 31);
+  const size = nodes.reduce((sum, node) => sum + expandedSize(node), 0);
+  const expanded = size > MAX_EXPANDED_PHRASES ? [] : expandNodes(nodes, createRandom(usedSeed));
+
+  // Separate section and background markers from phrases, noting where
+  // each one starts
+  const phrases = [];
+  const sections = [];
+  const backgrounds = [];
+  let sectionOverrides = null;
+  expanded.forEach(node => {
+    if (node.type === 'background') {
+      backgrounds.push({ name: node.name, fade: node.fade, line: node.line, index: phrases.length });
+      return;
+    }
+    if (node.type !== 'section') {
+      // A phrase's own overrides win over its section's
+      phrases.push(sectionOverrides ? { ...node, overrides: { ...sectionOverrides, ...node.overrides } } : node);
+      return;
+    }
+    sectionOverrides = node.overrides || null;
+    const previous = sections[sections.length - 1];
+    if (previous && previous.index === phrases.length) {
+      errors.push({ line: previous.line, message: `Section "${previous.title}" has no phrases` });
+      sections.pop();
+    }
+    sections.push({ title: node.title, line: node.line, index: phrases.length });
+  });
+  const last = sections[sections.length - 1];
+  if (last && last.index === phrases.length && phrases.length > 0) {
+    errors.push({ line: last.line, message: `Section "${last.title}" has no phrases` });
+    sections.pop();
   }
 
-  if (phrases.length === 0) {
-    throw new Error('No valid phrases found in file');
+  // Cue times must increase through the (expanded) program; report each
+  // offending line once even if a @repeat block repeats it
+  let lastCue = null;
+  const misplacedCues = new Set();
+  phrases.forEach(phrase => {
+    if (phrase.at === undefined) return;
+    if (lastCue !== null && phrase.at <= lastCue && !misplacedCues.has(phrase.line)) {
+      misplacedCues.add(phrase.line);
+      errors.push({
+        line: phrase.line,
+        message: `Cue "@at ${formatClockTime(phrase.at)}" must be later than the previous cue at ${formatClockTime(lastCue)}`,
+      });
+    }
+    lastCue = phrase.at;
+  });
+  errors.sort((a, b) => a.line - b.line);
+
+  if (size > MAX_EXPANDED_PHRASES) {
+    errors.push({ line: null, message: `Program expands to more than ${MAX_EXPANDED_PHRASES} phrases` });
+  }
+  if (phrases.length === 0 && errors.length === 0) {
+    errors.push({ line: null, message: 'No valid phrases found in file' });
   }
 
+  return { header, phrases, sections, backgrounds, errors, seed: usedSeed };
+}
+
+/**
+ * Parse phrase file content into a list of phrases
+ * Header directives are accepted but not returned; use parseProgram for them
+ * @param {string} content - Program text
+ * @returns {Array<{phrase: string, duration: number, line: number}>} Phrases
+ * @throws {Error} On the first invalid line, with its line number
+ */
+export function parseTextFile(content) {
+  const { phrases, errors } = parseProgram(content);
+  if (errors.length > 0) {
+    throw new Error(formatParseError(errors[0]));
+  }
   return phrases;
 }
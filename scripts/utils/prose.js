@@ -0,0 +1,129 @@
+/**
+ * Prose conversion
+ * Turns plain prose or Markdown into an APG program: one phrase per
+ * sentence, pauses inferred from the closing punctuation, longer pauses
+ * between paragraphs and "## Section" lines for headings.
+ */
+
+import { escapeText } from './parser.js';
+
+// Default pause in seconds after each kind of sentence
+export const PROSE_PAUSES = {
+  sentence: 1, // "." or no punctuation
+  question: 1.5, // "?"
+  exclamation: 1, // "!"
+  trailing: 2, // "..." or a dash, trailing off
+  paragraph: 3, // Last sentence of a paragraph or list item
+};
+
+// Words ending in "." that do not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e',
+  'approx', 'no', 'fig', 'vol', 'ch', 'p', 'pp', 'min', 'max', 'sec',
+]);
+
+/**
+ * Remove inline Markdown so only the readable text is left
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // Images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // Links keep their text
+    .replace(/<[^>]+>/g, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|\W)[*_](\S(?:.*?\S)?)[*_](?=\W|$)/g, '$1$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into sentences
+ * A sentence ends at ".", "!", "?" or "…" (plus closing quotes or brackets)
+ * followed by a capital letter or digit. Abbreviations ("Dr.", "e.g.") and
+ * initials ("J. Smith") do not end a sentence.
+ * @param {string} text - Plain text
+ * @returns {Array<string>} Sentences
+ */
+export function splitSentences(text) {
+  const pieces = text
+    .trim()
+    .split(/(?<=[.!?…]["'”’)\]]*)\s+(?=["'“‘([]?[\p{Lu}\d])/u)
+    .filter(Boolean);
+  const sentences = [];
+
+  for (const piece of pieces) {
+    const previous = sentences[sentences.length - 1];
+    const lastWord = previous?.match(/(\S+)\.$/)?.[1].toLowerCase();
+    if (lastWord && (ABBREVIATIONS.has(lastWord) || /^\p{L}$/u.test(lastWord))) {
+      sentences[sentences.length - 1] = `${previous} ${piece}`;
+    } else {
+      sentences.push(piece);
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Pause after a sentence, from its closing punctuation
+ * @param {string} sentence - Sentence
+ * @param {Object} pauses - Pause per kind of sentence
+ * @returns {number} Seconds
+ */
+function sentencePause(sentence, pauses) {
+  const ending = sentence.replace(/["'”’)\]]+$/, '');
+  if (/\?[!?]*$/.test(ending)) return pauses.question;
+  if (/!$/.test(ending)) return pauses.exclamation;
+  if (/(?:\.\.\.|…|[-–—])$/.test(ending)) return pauses.trailing;
+  return pauses.sentence;
+}
+
+/**
+ * Convert prose into a program
+ * Paragraphs are separated by blank lines; Markdown headings ("# Title")
+ * become "## Title" section lines and each list item is read on its own.
+ * @param {string} prose - Plain text or Markdown
+ * @param {Object} [pauses] - Overrides for PROSE_PAUSES
+ * @returns {string} Program text
+ */
+export function proseToProgram(prose, pauses = {}) {
+  const settings = { ...PROSE_PAUSES, ...pauses };
+  const lines = [];
+  let paragraph = [];
+
+  // Write out the collected text; a paragraph pause follows the last
+  // sentence of a paragraph, but not of a list item inside one
+  const flush = (endOfParagraph) => {
+    const sentences = splitSentences(stripMarkdown(paragraph.join(' ')));
+    paragraph = [];
+    sentences.forEach((sentence, index) => {
+      const pause = sentencePause(sentence, settings);
+      const last = endOfParagraph && index === sentences.length - 1;
+      lines.push(`${escapeText(sentence)}; ${last ? Math.max(pause, settings.paragraph) : pause}`);
+    });
+  };
+
+  for (const line of prose.replace(/\r\n?/g, '\n').split('\n')) {
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)(?:\s+#+)?\s*$/);
+    const listItem = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+    const rule = /^\s*([-*_])(?:\s*\1){2,}\s*$/.test(line);
+
+    if (heading || rule || !line.trim()) {
+      flush(true);
+    } else if (listItem) {
+      flush(false);
+    }
+    if (heading) {
+      const title = stripMarkdown(heading[1]);
+      if (title) lines.push(`## ${title}`);
+    } else if (line.trim() && !rule) {
+      paragraph.push(listItem ? listItem[1] : line.replace(/^\s*>\s?/, ''));
+    }
+  }
+  flush(true);
+
+  return lines.join('\n');
+}
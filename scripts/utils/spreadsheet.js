@@ -0,0 +1,174 @@
+/**
+ * Spreadsheet import (CSV and TSV)
+ * Turns the rows of a script spreadsheet into an APG program, using a
+ * mapping from program fields (text, pause, voice...) to columns.
+ */
+
+import { escapeText } from './parser.js';
+
+// Program fields a column can be mapped to
+export const IMPORT_FIELDS = ['text', 'duration', 'voice', 'speed', 'section', 'note'];
+
+// Header names recognised when guessing a mapping
+const FIELD_ALIASES = {
+  text: ['text', 'phrase', 'line', 'script', 'content'],
+  duration: ['duration', 'pause', 'seconds', 'secs', 'wait'],
+  voice: ['voice', 'speaker'],
+  speed: ['speed', 'rate'],
+  section: ['section', 'chapter', 'part'],
+  note: ['note', 'notes', 'comment', 'comments'],
+};
+
+/**
+ * Guess the delimiter from the header line
+ * Tabs win, then semicolons (European spreadsheet exports), then commas
+ * @param {string} content - File content
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(content) {
+  const header = content.split('\n', 1)[0];
+  const count = (char) => header.split(char).length - 1;
+  if (count('\t') > 0) return '\t';
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Split delimited text into rows of cells
+ * Follows RFC 4180: quoted cells may contain delimiters, line breaks and
+ * doubled quotes ("")
+ * @param {string} content - File content
+ * @param {string} [delimiter] - Cell delimiter, detected when omitted
+ * @returns {Array<Array<string>>} Non-empty rows
+ */
+export function parseDelimited(content, delimiter) {
+  const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const separator = delimiter ?? detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unclosed quote in row ${rows.length + 1}`);
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Parse a spreadsheet into a header row and data rows
+ * @param {string} content - CSV or TSV content
+ * @param {string} [delimiter] - Cell delimiter, detected when omitted
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}} Table
+ */
+export function parseSpreadsheet(content, delimiter) {
+  const [headers, ...rows] = parseDelimited(content, delimiter);
+  if (!headers) {
+    throw new Error('Spreadsheet is empty');
+  }
+  if (rows.length === 0) {
+    throw new Error('Spreadsheet has no rows below the header');
+  }
+  return { headers: headers.map(header => header.trim()), rows };
+}
+
+/**
+ * Key identifying a spreadsheet layout, used to remember its mapping
+ * @param {Array<string>} headers - Header row
+ * @returns {string} Signature
+ */
+export function headerSignature(headers) {
+  return headers.map(header => header.trim().toLowerCase()).join('|');
+}
+
+/**
+ * Guess which column holds each field from the header names
+ * The first column is used for text when no header looks like one
+ * @param {Array<string>} headers - Header row
+ * @returns {Object<string, number|null>} Column index per field (null = unmapped)
+ */
+export function guessColumnMapping(headers) {
+  const names = headers.map(header => header.trim().toLowerCase());
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const index = names.findIndex(name => FIELD_ALIASES[field].includes(name));
+    mapping[field] = index === -1 ? null : index;
+  }
+  if (mapping.text === null) {
+    mapping.text = 0;
+  }
+  return mapping;
+}
+
+/**
+ * Build an APG program from spreadsheet rows
+ * Each row becomes a phrase (or a "*" silence when it only has a pause),
+ * voice and speed become "[overrides]", notes become trailing comments and a
+ * change of section starts a "## Section" line.
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {Object<string, number|null>} mapping - Column index per field
+ * @param {Object} [options]
+ * @param {string} [options.source] - File name, noted in a comment
+ * @returns {string} Program text
+ */
+export function spreadsheetToProgram(rows, mapping, { source = '' } = {}) {
+  const lines = source ? [`# Imported from ${source}`] : [];
+  let section = '';
+
+  for (const row of rows) {
+    const cell = (field) => {
+      const value = mapping[field] == null ? '' : row[mapping[field]] ?? '';
+      return value.replace(/\s+/g, ' ').trim();
+    };
+
+    if (cell('section') && cell('section') !== section) {
+      section = cell('section');
+      lines.push(`## ${section}`);
+    }
+
+    const text = cell('text');
+    const duration = cell('duration');
+    if (!text && !duration) continue;
+
+    const overrides = ['voice', 'speed']
+      .filter(field => cell(field))
+      .map(field => `${field}=${cell(field).replace(/\s+/g, '')}`);
+    const prefix = overrides.length > 0 ? `[${overrides.join(' ')}] ` : '';
+    const pause = duration ? `; ${duration}` : '';
+    const note = cell('note') ? ` # ${cell('note')}` : '';
+
+    lines.push(text ? `${prefix}${escapeText(text)}${pause}${note}` : `*${pause}${note}`);
+  }
+
+  return lines.join('\n');
+}
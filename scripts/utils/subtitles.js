@@ -0,0 +1,137 @@
+/**
+ * Subtitle import (SRT and WebVTT)
+ * Turns subtitle cues into an APG program: each cue becomes a phrase, and
+ * the timing is kept either as pauses (the gaps between cues) or as "@at"
+ * cue times.
+ */
+
+import { escapeText, formatClockTime } from './parser.js';
+
+// "00:01:02,500" (SRT) or "01:02.500" / "00:01:02.500" (WebVTT)
+const TIMESTAMP = /^\s*(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Parse a subtitle timestamp
+ * @param {string} text - Timestamp, optionally followed by cue settings
+ * @returns {number|null} Seconds, or null if invalid
+ */
+function parseTimestamp(text) {
+  const match = text.match(TIMESTAMP);
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return (
+    parseInt(hours) * 3600 +
+    parseInt(minutes) * 60 +
+    parseInt(seconds) +
+    parseInt(fraction.padEnd(3, '0')) / 1000
+  );
+}
+
+/**
+ * Reduce cue text to a single line of plain text
+ * Removes markup ("<i>", "<v Speaker>", "{\an8}") and decodes entities
+ * @param {string} text - Cue text
+ * @returns {string} Plain text
+ */
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (_, name) => ENTITIES[name])
+    .replace(/&(?:lrm|rlm);/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse SRT or WebVTT content into cues
+ * @param {string} content - Subtitle file content
+ * @returns {Array<{start: number, end: number, text: string}>} Cues sorted by start time
+ */
+export function parseSubtitles(content) {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim());
+    // Skip the WEBVTT header and NOTE/STYLE/REGION blocks
+    if (lines.length === 0 || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) {
+      continue;
+    }
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      continue;
+    }
+
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (start === null || end === null) {
+      throw new Error(`Invalid subtitle timing "${lines[timingIndex].trim()}"`);
+    }
+
+    const text = cleanCueText(lines.slice(timingIndex + 1).join(' '));
+    if (text) {
+      cues.push({ start, end: Math.max(start, end), text });
+    }
+  }
+
+  if (cues.length === 0) {
+    throw new Error('No subtitle cues found');
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Round seconds to a tenth, the precision pauses are written with
+ * @param {number} seconds - Seconds
+ * @returns {number} Rounded seconds
+ */
+function roundTenth(seconds) {
+  return Math.round(seconds * 10) / 10;
+}
+
+/**
+ * Build an APG program from subtitle cues
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues sorted by start time
+ * @param {Object} [options]
+ * @param {string} [options.timing] - "pauses" to turn gaps into pauses, or
+ *   "cues" to anchor each phrase at its start time with "@at"
+ * @param {string} [options.source] - File name, noted in a comment
+ * @returns {string} Program text
+ */
+export function subtitlesToProgram(cues, { timing = 'pauses', source = '' } = {}) {
+  const lines = source ? [`# Imported from ${source}`] : [];
+
+  if (timing === 'cues') {
+    let lastCue = -1;
+    cues.forEach((cue, index) => {
+      const start = roundTenth(cue.start);
+      const pause = index === cues.length - 1 ? 1 : 0;
+      // Cue times must increase; a cue starting with the previous one just follows it
+      const anchor = start > lastCue ? `@at ${formatClockTime(start)} ` : '';
+      if (anchor) lastCue = start;
+      lines.push(`${anchor}${escapeText(cue.text)}; ${pause}`);
+    });
+    return lines.join('\n');
+  }
+
+  if (roundTenth(cues[0].start) > 0) {
+    lines.push(`*; ${roundTenth(cues[0].start)}`);
+  }
+  cues.forEach((cue, index) => {
+    const next = cues[index + 1];
+    const gap = next ? roundTenth(Math.max(0, next.start - cue.end)) : 1;
+    lines.push(`${escapeText(cue.text)}; ${gap}`);
+  });
+  return lines.join('\n');
+}
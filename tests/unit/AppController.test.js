@@ -459,12 +459,64 @@ describe('AppController', () => {
     });
   });
 
+  // ── saveCurrentProject ────────────────────────────────────────────────────
+
+  describe('saveCurrentProject', () => {
+    let saved;
+
+    // Save a render made with the given form fields
+    async function saveWith(fields) {
+      controller.form = document.createElement('form');
+      controller.form.innerHTML = fields;
+      controller.currentPhraseFileName = 'editor-program.txt';
+      controller.currentPhrases = [{ phrase: 'Hello', duration: 1, line: 1 }];
+      controller.currentTTSEngine = 'openai';
+      controller.currentTTSOptions = { voice: 'nova' };
+      controller.projectCache = { saveProject: async (project) => { saved = project; } };
+      controller.loadRecentProjects = async () => {};
+      await controller.saveCurrentProject();
+      return saved;
+    }
+
+    test('saves blank ducking fields as the defaults a restore uses', async () => {
+      const project = await saveWith(
+        '<input name="ducking-amount" value=""><input name="ducking-attack" value=""><input name="ducking-release" value="">'
+      );
+
+      expect(project.backgroundSettings).toMatchObject({ duckingAmount: -12, duckingAttack: 100, duckingRelease: 600 });
+    });
+
+    test('keeps an explicit zero', async () => {
+      const project = await saveWith('<input name="ducking-attack" value="0">');
+
+      expect(project.backgroundSettings.duckingAttack).toBe(0);
+    });
+
+    test('saves only the manual gains of the rendered program', async () => {
+      controller.phraseGains = { '1:Breathe in': -3, '1:Hello': 2 };
+      const project = await saveWith('');
+
+      // saveWith renders "Hello" on line 1, after a program that had "Breathe in" there
+      expect(project.phraseGains).toEqual({ '1:Hello': 2 });
+    });
+
+    test('saves blank trim fields as the defaults a restore uses, and keeps a zero padding', async () => {
+      const blank = await saveWith('<input name="trim-threshold" value=""><input name="trim-padding" value="">');
+      expect(blank.exportSettings).toMatchObject({ trimSilence: false, trimThreshold: -50, trimPadding: 50 });
+
+      const zero = await saveWith('<input name="trim-padding" value="0">');
+      expect(zero.exportSettings.trimPadding).toBe(0);
+    });
+  });
+
   // ── restoreProject ────────────────────────────────────────────────────────
 
   function setupRestoreDOM() {
       // Append only elements not already created by setupDOM()
       document.body.innerHTML += `
         <input id="program-description" type="text" value="" />
+        <textarea id="program-variables"></textarea>
+        <input id="random-seed" type="number" />
         <textarea id="apg-editor"></textarea>
         <select id="input-mode">
           <option value="file" selected>File</option>
@@ -487,7 +539,10 @@ describe('AppController', () => {
           <option value="meditation_yoga_relaxing_music">Meditation</option>
         </select>
         <input id="openai-speed" type="range" value="1.0" />
-        <select id="voice-name"><option value="en-US-Neural2-F" selected>F</option></select>
+        <select id="google-voice">
+          <option value="en-US-Neural2-F" selected>F</option>
+          <option value="en-US-Neural2-D">D</option>
+        </select>
         <input id="speaking-rate" type="range" value="1.0" />
         <input id="pitch" type="range" value="0" />
         <select id="export-format"><option value="mp3" selected>MP3</option></select>
@@ -569,6 +624,30 @@ describe('AppController', () => {
       expect(document.getElementById('mp3-bitrate').value).toBe('192');
     });
 
+    test('restores projects saved without phrase matching or trimming with them off', async () => {
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        '<input id="match-phrases" type="checkbox" checked /><input id="trim-silence" type="checkbox" checked />'
+      );
+      controller.projectCache = { getProject: async () => makeProject({ phraseGains: { '2:Goodbye': -3 } }) };
+      await controller.restoreProject('proj-1');
+      expect(document.getElementById('match-phrases').checked).toBe(false);
+      expect(document.getElementById('trim-silence').checked).toBe(false);
+      expect(controller.phraseGains).toEqual({ '2:Goodbye': -3 });
+    });
+
+    test('restores the Google voice, rate and pitch', async () => {
+      controller.projectCache = {
+        getProject: async () => makeProject({
+          ttsEngine: 'google-cloud',
+          ttsOptions: { voiceName: 'en-US-Neural2-D', speakingRate: 1.2, pitch: 0 },
+        }),
+      };
+      await controller.restoreProject('proj-1');
+      expect(document.getElementById('google-voice').value).toBe('en-US-Neural2-D');
+      expect(document.getElementById('speaking-rate').value).toBe('1.2');
+    });
+
     test('restores background music with fallback type', async () => {
       const blob = new Blob(['audio'], { type: '' }); // no type
       controller.projectCache = {
@@ -631,6 +710,28 @@ describe('AppController', () => {
       await controller.restoreProject('proj-1');
       expect(document.getElementById('program-description').value).toBe('');
     });
+
+    test('restores template variable values', async () => {
+      controller.projectCache = {
+        getProject: async () => makeProject({ variables: 'name = Alex' }),
+      };
+      await controller.restoreProject('proj-1');
+      expect(document.getElementById('program-variables').value).toBe('name = Alex');
+    });
+
+    test('restores the random seed', async () => {
+      controller.projectCache = { getProject: async () => makeProject({ seed: 42 }) };
+      await controller.restoreProject('proj-1');
+      expect(document.getElementById('random-seed').value).toBe('42');
+      expect(controller.restoredSeed).toEqual({ seed: 42, content: 'Hello;2\nGoodbye;1' });
+    });
+
+    test('leaves the random seed blank for projects saved without one', async () => {
+      document.getElementById('random-seed').value = '7';
+      controller.projectCache = { getProject: async () => makeProject() };
+      await controller.restoreProject('proj-1');
+      expect(document.getElementById('random-seed').value).toBe('');
+    });
   });
 
   // ── createProjectCard ────────────────────────────────────────────────────
@@ -763,6 +864,14 @@ describe('AppController', () => {
       expect(name).toMatch(/^audio-program_[\d]{8}-[\d]{6}_morning-qi-gong_nova_nobg\.mp3$/);
     });
 
+    test('uses the Google voice name for Google Cloud renders', () => {
+      document.getElementById('program-description').value = 'morning qi gong';
+      document.getElementById('tts-engine').value = 'google-cloud';
+      document.getElementById('google-voice').value = 'en-US-Neural2-D';
+      const name = controller.buildDownloadFilename('mp3');
+      expect(name).toContain('_morning-qi-gong_en-us-neural2-d_');
+    });
+
     test('falls back to phrase filename stem when description is blank', () => {
       document.getElementById('program-description').value = '';
       document.getElementById('openai-voice').value = 'nova';
@@ -864,4 +973,1089 @@ describe('AppController', () => {
       expect(display.textContent).toBe('75%');
     });
   });
+
+  // ── buildTTSOptions ───────────────────────────────────────────────────────
+
+  describe('buildTTSOptions', () => {
+    function makeFormData(fields) {
+      const formData = new FormData();
+      Object.entries(fields).forEach(([k, v]) => formData.append(k, v));
+      return formData;
+    }
+
+    test('uses form values for openai when no header is given', () => {
+      const formData = makeFormData({ 'openai-voice': 'echo', 'openai-model': 'tts-1-hd', 'openai-speed': '1.5' });
+      expect(controller.buildTTSOptions('openai', formData)).toEqual({
+        voice: 'echo', model: 'tts-1-hd', speed: 1.5, format: 'wav',
+      });
+    });
+
+    test('header voice and speed override openai form values', () => {
+      const formData = makeFormData({ 'openai-voice': 'echo', 'openai-speed': '1.5' });
+      const options = controller.buildTTSOptions('openai', formData, { voice: 'onyx', speed: 0.9 });
+      expect(options.voice).toBe('onyx');
+      expect(options.speed).toBe(0.9);
+    });
+
+    test('header voice and speed map to Google voiceName and speakingRate', () => {
+      const formData = makeFormData({ 'google-voice': 'en-US-Neural2-C', 'speaking-rate': '1.0' });
+      const options = controller.buildTTSOptions('google-cloud', formData, { voice: 'en-US-Neural2-D', speed: 0.8 });
+      expect(options.voiceName).toBe('en-US-Neural2-D');
+      expect(options.speakingRate).toBe(0.8);
+    });
+
+    test('takes the Google language code from the voice', () => {
+      const formData = makeFormData({ 'google-voice': 'en-US-Neural2-C' });
+      expect(controller.buildTTSOptions('google-cloud', formData).languageCode).toBe('en-US');
+      expect(controller.buildTTSOptions('google-cloud', formData, { voice: 'es-ES-Neural2-B', lang: 'es' }).languageCode).toBe('es-ES');
+    });
+
+    test('passes the language to gTTS and the Web Speech API', () => {
+      const formData = makeFormData({});
+      expect(controller.buildTTSOptions('gtts', formData).lang).toBe('en');
+      expect(controller.buildTTSOptions('gtts', formData, { lang: 'es-ES' }).lang).toBe('es-ES');
+      expect(controller.buildTTSOptions('web-speech', formData, { lang: 'es-ES' }).lang).toBe('es-ES');
+      expect(controller.buildTTSOptions('web-speech', formData).lang).toBeUndefined();
+    });
+  });
+
+  // ── resolvePhraseTTS ──────────────────────────────────────────────────────
+
+  describe('resolvePhraseTTS', () => {
+    const programOptions = { voice: 'onyx', model: 'tts-1', speed: 0.9, format: 'wav' };
+
+    function makeFormData(fields = {}) {
+      const formData = new FormData();
+      Object.entries(fields).forEach(([k, v]) => formData.append(k, v));
+      return formData;
+    }
+
+    test('returns program engine and options for phrases without overrides', () => {
+      const result = controller.resolvePhraseTTS(
+        { phrase: 'Hi', duration: 1 }, 'openai', programOptions, makeFormData(), {}
+      );
+      expect(result).toEqual({ engine: 'openai', options: programOptions });
+    });
+
+    test('voice override keeps header speed for the same engine', () => {
+      const result = controller.resolvePhraseTTS(
+        { phrase: 'Hi', duration: 1, overrides: { voice: 'echo' } },
+        'openai', programOptions, makeFormData(), { voice: 'onyx', speed: 0.9 }
+      );
+      expect(result.engine).toBe('openai');
+      expect(result.options.voice).toBe('echo');
+      expect(result.options.speed).toBe(0.9);
+    });
+
+    test('engine override builds options for the other engine without header voice', () => {
+      const result = controller.resolvePhraseTTS(
+        { phrase: 'Hi', duration: 1, overrides: { engine: 'google-cloud' } },
+        'openai', programOptions, makeFormData({ 'google-voice': 'en-US-Neural2-A' }), { voice: 'onyx' }
+      );
+      expect(result.engine).toBe('google-cloud');
+      expect(result.options.voiceName).toBe('en-US-Neural2-A');
+    });
+
+    test('sends modifiers the engine supports and keeps the rest as effects', () => {
+      const result = controller.resolvePhraseTTS(
+        { phrase: 'Sleep now', duration: 5, modifiers: { speed: 0.8, gain: -6 } },
+        'openai', programOptions, makeFormData(), {}
+      );
+      expect(result.options).toEqual({ ...programOptions, speed: 0.9 * 0.8 });
+      expect(result.effects).toEqual({ gain: -6 });
+    });
+
+    test('omits effects when the engine applies every modifier', () => {
+      const result = controller.resolvePhraseTTS(
+        { phrase: 'Sleep now', duration: 5, modifiers: { speed: 0.8 } },
+        'openai', programOptions, makeFormData(), {}
+      );
+      expect(result.effects).toBeUndefined();
+    });
+
+    test('engine override keeps the program language', () => {
+      const result = controller.resolvePhraseTTS(
+        { phrase: 'Hola', duration: 1, overrides: { engine: 'gtts' } },
+        'openai', programOptions, makeFormData(), { voice: 'onyx', lang: 'es-ES' }
+      );
+      expect(result.options.lang).toBe('es-ES');
+    });
+
+    test('marks SSML phrases in their options', () => {
+      const result = controller.resolvePhraseTTS(
+        { phrase: '<speak>Hi</speak>', duration: 1, ssml: true },
+        'openai', programOptions, makeFormData(), {}
+      );
+      expect(result.options).toEqual({ ...programOptions, ssml: true });
+      expect(programOptions.ssml).toBeUndefined();
+    });
+  });
+
+  // ── resolveLanguageVoices ─────────────────────────────────────────────────
+
+  describe('resolveLanguageVoices', () => {
+    let calls;
+
+    function makeFormData(fields = {}) {
+      const formData = new FormData();
+      Object.entries(fields).forEach(([k, v]) => formData.append(k, v));
+      return formData;
+    }
+
+    beforeEach(() => {
+      calls = [];
+      controller.ttsService.selectVoice = async (engine, language, voice, preferred) => {
+        calls.push([engine, language, voice, preferred]);
+        if (language === 'xx') throw new Error('No Google Cloud TTS voice speaks xx');
+        return voice || `${language}-voice`;
+      };
+    });
+
+    test('leaves programs without languages alone', async () => {
+      const phrases = [{ phrase: 'Hi', duration: 1, line: 1, overrides: { voice: 'echo' } }];
+      const result = await controller.resolveLanguageVoices(phrases, 'openai', makeFormData(), {});
+
+      expect(result).toEqual({ header: {}, phrases, errors: [] });
+      expect(calls).toEqual([]);
+    });
+
+    test('picks a voice for the program language like the form voice', async () => {
+      const result = await controller.resolveLanguageVoices(
+        [{ phrase: 'Hola', duration: 1, line: 2 }],
+        'google-cloud',
+        makeFormData({ 'google-voice': 'en-US-Neural2-C' }),
+        { lang: 'es-ES' }
+      );
+
+      expect(result.header).toEqual({ lang: 'es-ES', voice: 'es-ES-voice' });
+      expect(calls).toEqual([['google-cloud', 'es-ES', undefined, 'en-US-Neural2-C']]);
+    });
+
+    test('gives phrases in another language their own voice, asking once per line', async () => {
+      const phrase = { phrase: 'Hola', duration: 1, line: 2, overrides: { lang: 'es-ES' } };
+      const result = await controller.resolveLanguageVoices(
+        [{ phrase: 'Hello', duration: 1, line: 1 }, phrase, phrase, { phrase: '*', duration: 1, line: 3, overrides: { lang: 'es-ES' } }],
+        'google-cloud',
+        makeFormData({ 'google-voice': 'en-US-Neural2-C' }),
+        { voice: 'en-US-Neural2-D' }
+      );
+
+      expect(result.phrases[0]).toEqual({ phrase: 'Hello', duration: 1, line: 1 });
+      expect(result.phrases[1].overrides).toEqual({ lang: 'es-ES', voice: 'es-ES-voice' });
+      expect(result.phrases[3].overrides).toEqual({ lang: 'es-ES' });
+      expect(calls).toEqual([['google-cloud', 'es-ES', undefined, 'en-US-Neural2-D']]);
+    });
+
+    test('reports each line whose language has no voice once', async () => {
+      const phrase = { phrase: 'Hmm', duration: 1, line: 4, overrides: { lang: 'xx' } };
+      const result = await controller.resolveLanguageVoices([phrase, phrase], 'google-cloud', makeFormData(), { lang: 'xx' });
+
+      expect(result.errors).toEqual([
+        { line: null, message: '@lang xx: No Google Cloud TTS voice speaks xx' },
+        { line: 4, message: 'No Google Cloud TTS voice speaks xx' },
+      ]);
+    });
+  });
+
+  // ── readBackgroundAudio ───────────────────────────────────────────────────
+
+  describe('readBackgroundAudio', () => {
+    beforeEach(() => {
+      controller.sampleAudioService = {
+        loadAvailableSamples: async () => {},
+        findSample: (name) => (name === 'river_and_birds' ? { id: 'river_and_birds' } : null),
+        loadSample: async (id) => `audio:${id}`,
+      };
+      controller.fileService = { readAudioFile: async (file) => `file:${file.name}` };
+    });
+
+    test('returns null when there is no file and no header background', async () => {
+      await expect(controller.readBackgroundAudio(null, {})).resolves.toBeNull();
+    });
+
+    test('reads the form file when no header background is given', async () => {
+      const file = { name: 'bg.mp3', size: 10 };
+      await expect(controller.readBackgroundAudio(file, {})).resolves.toBe('file:bg.mp3');
+    });
+
+    test('header background sample overrides the form file', async () => {
+      const file = { name: 'bg.mp3', size: 10 };
+      await expect(
+        controller.readBackgroundAudio(file, { background: 'river_and_birds' })
+      ).resolves.toBe('audio:river_and_birds');
+    });
+
+    test('header background "none" disables the form file', async () => {
+      const file = { name: 'bg.mp3', size: 10 };
+      await expect(controller.readBackgroundAudio(file, { background: 'none' })).resolves.toBeNull();
+    });
+
+    test('throws for an unknown header background sample', async () => {
+      await expect(
+        controller.readBackgroundAudio(null, { background: 'thunder' })
+      ).rejects.toThrow('Unknown background sample: "thunder"');
+    });
+  });
+
+  describe('background changes', () => {
+    beforeEach(() => {
+      controller.sampleAudioService = {
+        loadAvailableSamples: async () => {},
+        findSample: (name) => (['brilliance', 'river_and_birds'].includes(name) ? { id: name } : null),
+        loadSample: async (id) => ({ id, byteLength: 10 }),
+      };
+    });
+
+    test('reads each change, reporting unknown samples at their line', async () => {
+      const changes = await controller.readBackgroundChanges([
+        { name: 'river_and_birds', fade: 3, line: 4, index: 2 },
+        { name: 'none', fade: 1, line: 9, index: 5 },
+      ]);
+      expect(changes.map(change => [change.index, change.audio?.id ?? null])).toEqual([
+        [2, 'river_and_birds'],
+        [5, null],
+      ]);
+
+      await expect(
+        controller.readBackgroundChanges([{ name: 'thunder', fade: 3, line: 7, index: 1 }])
+      ).rejects.toThrow('Line 7: Unknown background sample: "thunder"');
+    });
+
+    test('decodes each sample once and layers the beds over the speech', async () => {
+      const decoded = [];
+      let layered;
+      controller.audioService = {
+        decodeAudioData: async (audio) => { decoded.push(audio.id); return { id: audio.id }; },
+        createBackgroundLayer: (beds, length, sampleRate) => { layered = { beds, length, sampleRate }; return 'layer'; },
+      };
+
+      const layer = await controller.buildBackgroundLayer(
+        [
+          { audio: { id: 'form' }, start: 0, fade: 0 },
+          { name: 'brilliance', audio: { id: 'brilliance' }, start: 10, fade: 3 },
+          { name: 'none', audio: null, start: 20, fade: 2 },
+          { name: 'brilliance', audio: { id: 'brilliance' }, start: 30, fade: 3 },
+        ],
+        { length: 1764000, sampleRate: 44100 }
+      );
+
+      expect(layer).toBe('layer');
+      expect(decoded).toEqual(['form', 'brilliance']);
+      expect(layered.length).toBe(1764000);
+      expect(layered.beds.map(bed => [bed.buffer?.id ?? null, bed.start, bed.fade])).toEqual([
+        ['form', 0, 0], ['brilliance', 10, 3], [null, 20, 2], ['brilliance', 30, 3],
+      ]);
+    });
+  });
+
+  describe('readLoopSettings', () => {
+    const form = (values) => ({ get: (name) => values[name] ?? null });
+
+    test('reads the crossfade and optional loop points in seconds', () => {
+      expect(controller.readLoopSettings(form({ 'loop-crossfade': '2000', 'loop-start': '', 'loop-end': '' }))).toEqual({
+        overlap: 2,
+        start: 0,
+      });
+      expect(
+        controller.readLoopSettings(form({ 'loop-crossfade': '500', 'loop-start': '1.5', 'loop-end': '42' }))
+      ).toEqual({ overlap: 0.5, start: 1.5, end: 42 });
+    });
+
+    test('rejects a loop end before its start', () => {
+      expect(() => controller.readLoopSettings(form({ 'loop-start': '10', 'loop-end': '4' }))).toThrow(
+        'Loop end must be after loop start'
+      );
+    });
+  });
+
+  describe('previewLoopSeam', () => {
+    let alertCalls;
+    let backgroundRequests;
+    let previewLoop;
+
+    beforeEach(() => {
+      alertCalls = [];
+      global.alert = (msg) => alertCalls.push(msg);
+      backgroundRequests = [];
+      document.body.insertAdjacentHTML('beforeend', '<textarea id="apg-editor"></textarea>');
+      controller.inputMode = 'editor';
+      controller.form = document.createElement('form');
+      controller.form.innerHTML = '<input name="loop-crossfade" value="500"><input name="loop-start" value="2">';
+      controller.readBackgroundAudio = async (soundFile, header) => {
+        backgroundRequests.push(header);
+        return header.background ? new ArrayBuffer(8) : null;
+      };
+      controller.audioService = {
+        decodeAudioData: async () => ({ duration: 10 }),
+        createLoopSeamPreview: (_buffer, loop) => {
+          previewLoop = loop;
+          return {};
+        },
+        audioBufferToWav: () => new Blob(),
+      };
+    });
+
+    afterEach(() => {
+      document.getElementById('apg-editor').remove();
+    });
+
+    test('previews the background named in the program header', async () => {
+      document.getElementById('apg-editor').value = '@background rain\nHello; 1';
+
+      await controller.previewLoopSeam();
+
+      expect(backgroundRequests).toEqual([{ background: 'rain' }]);
+      expect(previewLoop).toEqual({ overlap: 0.5 }); // The form's loop points are for its own file
+      expect(alertCalls).toEqual([]);
+    });
+
+    test('asks for a background when there is none', async () => {
+      document.getElementById('apg-editor').value = 'Hello; 1';
+
+      await controller.previewLoopSeam();
+
+      expect(backgroundRequests).toEqual([{}]);
+      expect(alertCalls).toEqual(['Choose a background file or sample first']);
+    });
+  });
+
+  describe('buildDuckingOptions', () => {
+    const form = (values) => ({ get: (name) => values[name] ?? null });
+    const regions = [[0, 1.5], [4, 6]];
+
+    test('is off by default', () => {
+      expect(controller.buildDuckingOptions(form({}), regions)).toBeNull();
+    });
+
+    test('ducks under the rendered phrases', () => {
+      const options = controller.buildDuckingOptions(
+        form({ ducking: 'phrases', 'ducking-amount': '-18', 'ducking-attack': '0', 'ducking-release': '800' }),
+        regions
+      );
+      expect(options).toEqual({ amount: -18, attack: 0, release: 800, regions });
+    });
+
+    test('leaves the mixer to follow the speech level', () => {
+      expect(controller.buildDuckingOptions(form({ ducking: 'speech' }), regions)).toEqual({
+        amount: -12,
+        attack: 100,
+        release: 600,
+      });
+    });
+  });
+
+  describe('updateEditorUI', () => {
+    beforeEach(() => {
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        '<textarea id="apg-editor">Hello; 1</textarea><div id="editor-validation" style="display: none"></div>'
+      );
+    });
+
+    afterEach(() => {
+      document.getElementById('apg-editor').remove();
+      document.getElementById('editor-validation').remove();
+    });
+
+    test('shows messages as text and links them to their line', () => {
+      const selected = [];
+      controller.selectEditorLine = (line) => selected.push(line);
+      controller.editorService.validateSyntax = () => ({
+        errors: ['Line 2: Unknown engine "<img src=x onerror=alert(1)>"'],
+        warnings: ['Line 1: Invalid SSML: expected </speak> but found </b>'],
+      });
+
+      controller.updateEditorUI();
+
+      const validation = document.getElementById('editor-validation');
+      const items = validation.querySelectorAll('li');
+      expect(validation.className).toBe('editor-validation invalid');
+      expect(validation.querySelector('img')).toBeNull();
+      expect(items[0].textContent).toBe('Line 2: Unknown engine "<img src=x onerror=alert(1)>"');
+      expect(items[1].textContent).toBe('Line 1: Invalid SSML: expected </speak> but found </b>');
+
+      items[0].click();
+      expect(selected).toEqual([2]);
+    });
+  });
+
+  describe('readLoudnessTarget', () => {
+    const form = (values) => ({ get: (name) => values[name] ?? null });
+
+    test('reads presets and custom targets', () => {
+      expect(controller.readLoudnessTarget(form({}))).toBeNull();
+      expect(controller.readLoudnessTarget(form({ loudness: 'podcast' }))).toBe(-16);
+      expect(controller.readLoudnessTarget(form({ loudness: 'streaming' }))).toBe(-14);
+      expect(controller.readLoudnessTarget(form({ loudness: 'custom', 'loudness-custom': '-23' }))).toBe(-23);
+    });
+
+    test('rejects a custom target out of range', () => {
+      expect(() => controller.readLoudnessTarget(form({ loudness: 'custom', 'loudness-custom': '3' }))).toThrow(
+        'Custom loudness must be between -40 and -5 LUFS'
+      );
+    });
+  });
+
+  describe('readSeed', () => {
+    const form = (values) => ({ get: (name) => values[name] ?? null });
+
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', '<input id="random-seed" type="number" value="42" />');
+      controller.restoredSeed = { seed: 42, content: 'Hello;1' };
+    });
+
+    afterEach(() => {
+      document.getElementById('random-seed').remove();
+    });
+
+    test('uses a restored seed for the restored program', () => {
+      expect(controller.readSeed(form({ 'random-seed': '42' }), 'Hello;1')).toBe(42);
+      expect(controller.readSeed(form({ 'random-seed': '42' }), 'Hello;1')).toBe(42);
+    });
+
+    test('clears a restored seed when another program is rendered', () => {
+      expect(controller.readSeed(form({ 'random-seed': '42' }), 'Goodbye;1')).toBeUndefined();
+      expect(document.getElementById('random-seed').value).toBe('');
+      expect(controller.restoredSeed).toBeNull();
+    });
+
+    test('keeps a seed typed in after the restore', () => {
+      expect(controller.readSeed(form({ 'random-seed': '7' }), 'Goodbye;1')).toBe(7);
+      expect(controller.readSeed(form({}), 'Goodbye;1')).toBeUndefined();
+    });
+  });
+
+  describe('readTrimSettings', () => {
+    const form = (values) => ({ get: (name) => values[name] ?? null });
+
+    test('reads the threshold and padding when trimming is on', () => {
+      expect(controller.readTrimSettings(form({}))).toBeNull();
+      expect(
+        controller.readTrimSettings(form({ 'trim-silence': 'on', 'trim-threshold': '-60', 'trim-padding': '120' }))
+      ).toEqual({ threshold: -60, padding: 120 });
+      expect(controller.readTrimSettings(form({ 'trim-silence': 'on' }))).toEqual({ threshold: -50, padding: 50 });
+      expect(controller.readTrimSettings(form({ 'trim-silence': 'on', 'trim-padding': '0' })).padding).toBe(0);
+    });
+
+    test('rejects a threshold out of range', () => {
+      expect(() => controller.readTrimSettings(form({ 'trim-silence': 'on', 'trim-threshold': '-6' }))).toThrow(
+        'Silence threshold must be between -90 and -20 dB'
+      );
+    });
+  });
+
+  describe('levelPhrase', () => {
+    const clip = { duration: 1 };
+    let applied;
+
+    beforeEach(() => {
+      applied = [];
+      controller.audioService = {
+        measureSpeechLoudness: () => -26,
+        applyPhraseEffects: (buffer, effects) => {
+          applied.push(effects.gain);
+          return { ...buffer, gain: effects.gain };
+        },
+        applyTruePeakLimiter: (buffer) => buffer,
+      };
+    });
+
+    test('matches the clip to the common speech loudness', () => {
+      const result = controller.levelPhrase(clip, { phrase: 'Breathe in' }, undefined, true);
+
+      expect(result).toEqual({ buffer: { duration: 1, gain: 6 }, measured: -26, gain: 6, manual: 0 });
+    });
+
+    test('puts back gain the engine applied for a modifier', () => {
+      // The engine took 4dB of {gain=-6dB}; the other 2dB are applied after levelling
+      const phrase = { phrase: 'Breathe in', modifiers: { gain: -6 } };
+      const result = controller.levelPhrase(clip, phrase, { gain: -2 }, true);
+
+      expect(result.gain).toBe(2);
+    });
+
+    test('adds the manual gain of the line, with or without matching', () => {
+      controller.phraseGains = { '2:Breathe in': -3 };
+
+      expect(controller.levelPhrase(clip, { phrase: 'Breathe in', line: 2 }, undefined, true).gain).toBe(3);
+      expect(controller.levelPhrase(clip, { phrase: 'Breathe in', line: 2 }, undefined, false)).toEqual({
+        buffer: { duration: 1, gain: -3 },
+        measured: null,
+        gain: -3,
+        manual: -3,
+      });
+      // Same text on another line keeps its own gain
+      expect(controller.levelPhrase(clip, { phrase: 'Breathe in', line: 5 }, undefined, false).buffer).toBe(clip);
+    });
+
+    test('does not carry a gain over to another program', () => {
+      controller.phraseGains = { '2:Breathe in': -3 };
+
+      // Another program, or an edit, puts a different phrase on line 2
+      expect(controller.levelPhrase(clip, { phrase: 'Welcome', line: 2 }, undefined, false).buffer).toBe(clip);
+    });
+
+    test('leaves silent clips alone and limits extreme corrections', () => {
+      controller.audioService.measureSpeechLoudness = () => -Infinity;
+      expect(controller.levelPhrase(clip, { phrase: 'Rest' }, undefined, true).buffer).toBe(clip);
+
+      controller.audioService.measureSpeechLoudness = () => -60;
+      expect(controller.levelPhrase(clip, { phrase: 'Rest' }, undefined, true).gain).toBe(12);
+    });
+  });
+
+  describe('showPhraseLevels', () => {
+    beforeEach(() => {
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        '<details id="phrase-levels" style="display: none"><div id="phrase-level-list"></div></details>'
+      );
+    });
+
+    afterEach(() => {
+      document.getElementById('phrase-levels').remove();
+    });
+
+    test('lists each line with its level and manual gain', () => {
+      controller.phraseGains = { '3:Rest': -2 };
+      controller.showPhraseLevels([
+        { text: 'Breathe in', line: 1, measured: -26.04, gain: 6.04, manual: 0 },
+        { text: 'Rest', line: 3, measured: -18, gain: -4, manual: -2 },
+      ]);
+
+      const rows = document.querySelectorAll('#phrase-level-list label');
+      expect(document.getElementById('phrase-levels').style.display).toBe('block');
+      expect(rows).toHaveLength(2);
+      expect(rows[0].querySelector('span').textContent).toBe('Line 1: Breathe in');
+      expect(rows[0].querySelector('small').textContent).toBe('-26.0 LUFS, +6.0 dB');
+      expect(rows[1].querySelector('input').value).toBe('-2');
+    });
+
+    test('stores manual gains for the next render', () => {
+      controller.phraseGains = { '3:Rest': -2 };
+      controller.showPhraseLevels([
+        { text: 'Breathe in', line: 1, measured: null, gain: 0, manual: 0 },
+        { text: 'Rest', line: 3, measured: null, gain: -2, manual: -2 },
+      ]);
+      const inputs = document.querySelectorAll('#phrase-level-list input');
+
+      inputs[0].value = '4.5';
+      inputs[0].dispatchEvent(new Event('change'));
+      inputs[1].value = '0';
+      inputs[1].dispatchEvent(new Event('change'));
+
+      expect(controller.phraseGains).toEqual({ '1:Breathe in': 4.5 });
+    });
+  });
+
+  describe('showLoudnessReport', () => {
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', '<small id="loudness-report" style="display: none"></small>');
+    });
+
+    afterEach(() => {
+      document.getElementById('loudness-report').remove();
+    });
+
+    test('shows the measured and final loudness', () => {
+      controller.showLoudnessReport({
+        measured: { integrated: -22.43, truePeak: -4.2 },
+        final: { integrated: -16.02, truePeak: -1.04 },
+        target: -16,
+      });
+
+      const report = document.getElementById('loudness-report');
+      expect(report.style.display).toBe('block');
+      expect(report.textContent).toBe(
+        'Loudness: -22.4 LUFS measured → -16.0 LUFS (target -16), true peak -1.0 dBTP'
+      );
+    });
+
+    test('shows the measured loudness when not normalising', () => {
+      controller.showLoudnessReport({ measured: { integrated: -Infinity, truePeak: -Infinity } });
+
+      expect(document.getElementById('loudness-report').textContent).toBe(
+        'Loudness: -∞ LUFS (not normalised), true peak -∞ dBTP'
+      );
+    });
+  });
+
+  // ── showParseErrors ───────────────────────────────────────────────────────
+
+  describe('showParseErrors', () => {
+    let alertCalls;
+
+    beforeEach(() => {
+      alertCalls = [];
+      global.alert = (msg) => alertCalls.push(msg);
+      document.body.insertAdjacentHTML('beforeend', '<textarea id="apg-editor"></textarea>');
+    });
+
+    test('lists errors with their line numbers', () => {
+      controller.showParseErrors([
+        { line: 2, message: 'Invalid pause duration "soon"' },
+        { line: 4, message: 'Missing phrase text' },
+      ]);
+
+      expect(alertCalls[0]).toBe(
+        'Error: Program has 2 errors:\nLine 2: Invalid pause duration "soon"\nLine 4: Missing phrase text'
+      );
+    });
+
+    test('truncates long error lists', () => {
+      const errors = Array.from({ length: 7 }, (_, i) => ({ line: i + 1, message: 'Bad' }));
+      controller.showParseErrors(errors);
+
+      expect(alertCalls[0]).toContain('Line 5: Bad');
+      expect(alertCalls[0]).not.toContain('Line 6: Bad');
+      expect(alertCalls[0]).toContain('...and 2 more');
+    });
+
+    test('selects the first bad line in the editor', () => {
+      const editor = document.getElementById('apg-editor');
+      editor.value = 'Hello;1\nBad;soon\nBye;1';
+      controller.inputMode = 'editor';
+
+      controller.showParseErrors([{ line: 2, message: 'Invalid pause duration "soon"' }]);
+
+      expect(editor.selectionStart).toBe(8);
+      expect(editor.selectionEnd).toBe(16);
+    });
+  });
+
+  // ── Fragment library ──────────────────────────────────────────────────────
+
+  describe('handleFragmentFiles', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = {};
+      document.body.insertAdjacentHTML('beforeend', '<ul id="fragments-list"></ul><span id="fragments-count"></span>');
+      controller.fileService = {
+        validateFileSize: () => true,
+        readTextFile: async (file) => file.content,
+      };
+      controller.fragmentLibrary = {
+        saveFragment: async (name, content) => { saved[name] = content; },
+        listFragments: async () =>
+          Object.entries(saved).map(([name, content]) => ({ name, content })),
+      };
+    });
+
+    test('saves files to the library and refreshes fragments for parsing', async () => {
+      await controller.handleFragmentFiles([{ name: 'intro.txt', content: 'Welcome; 2' }]);
+
+      expect(saved).toEqual({ 'intro.txt': 'Welcome; 2' });
+      expect(controller.fragments).toEqual({ 'intro.txt': 'Welcome; 2' });
+      expect(document.getElementById('fragments-list').textContent).toContain('@include intro.txt');
+      expect(document.getElementById('fragments-count').textContent).toBe('(1)');
+    });
+
+    test('alerts when a file cannot be added', async () => {
+      const alertCalls = [];
+      global.alert = (msg) => alertCalls.push(msg);
+      controller.fileService.readTextFile = async () => { throw new Error('File must be a .txt file'); };
+
+      await controller.handleFragmentFiles([{ name: 'intro.md' }]);
+
+      expect(alertCalls).toEqual(['Failed to add fragment: File must be a .txt file']);
+    });
+  });
+
+  // ── Subtitle import ───────────────────────────────────────────────────────
+
+  describe('handleSubtitleImport', () => {
+    beforeEach(() => {
+      setupRestoreDOM();
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        '<select id="subtitle-timing"><option value="pauses">Pauses</option><option value="cues" selected>Cues</option></select>'
+      );
+    });
+
+    test('opens the imported program in the editor', async () => {
+      let requestedTiming;
+      controller.fileService = {
+        validateFileSize: () => true,
+        importSubtitles: async (_file, { timing }) => {
+          requestedTiming = timing;
+          return '@at 00:01 Welcome; 0';
+        },
+      };
+
+      await controller.handleSubtitleImport({ name: 'talk.srt' });
+
+      expect(requestedTiming).toBe('cues');
+      expect(document.getElementById('apg-editor').value).toBe('@at 00:01 Welcome; 0');
+      expect(document.getElementById('input-mode').value).toBe('editor');
+      expect(controller.inputMode).toBe('editor');
+    });
+
+    test('alerts when the file cannot be imported', async () => {
+      const alertCalls = [];
+      global.alert = (msg) => alertCalls.push(msg);
+      controller.fileService = {
+        validateFileSize: () => true,
+        importSubtitles: async () => { throw new Error('No subtitle cues found'); },
+      };
+
+      await controller.handleSubtitleImport({ name: 'empty.vtt' });
+
+      expect(alertCalls).toEqual(['Failed to import subtitles: No subtitle cues found']);
+    });
+  });
+
+  // ── Spreadsheet import ────────────────────────────────────────────────────
+
+  describe('spreadsheet import', () => {
+    const headers = ['Text', 'Pause', 'Notes'];
+    const rows = [
+      ['One', '1', ''],
+      ['Two', '2', 'slow'],
+      ['Three', '3', ''],
+      ['Four', '4', ''],
+      ['Five', '5', ''],
+      ['Six', '6', ''],
+    ];
+
+    beforeEach(() => {
+      setupRestoreDOM();
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        `<div id="spreadsheet-import" style="display:none;">
+          <strong id="spreadsheet-import-title"></strong>
+          <small id="spreadsheet-import-status"></small>
+          <div id="spreadsheet-mapping"></div>
+          <pre id="spreadsheet-preview"></pre>
+        </div>`
+      );
+      controller.fileService.readSpreadsheet = async () => ({ headers, rows });
+    });
+
+    const selectFor = (field) => document.querySelector(`#spreadsheet-mapping select[data-field="${field}"]`);
+
+    test('shows the guessed mapping and a preview of the first rows', async () => {
+      await controller.handleSpreadsheetFile({ name: 'script.csv', size: 100 });
+
+      expect(document.getElementById('spreadsheet-import').style.display).toBe('flex');
+      expect(document.getElementById('spreadsheet-import-title').textContent).toBe('Import script.csv');
+      expect(document.getElementById('spreadsheet-import-status').textContent).toBe('6 rows');
+      expect(selectFor('text').value).toBe('0');
+      expect(selectFor('duration').value).toBe('1');
+      expect(selectFor('voice').value).toBe('');
+      expect(document.getElementById('spreadsheet-preview').textContent).toBe(
+        'One; 1\nTwo; 2 # slow\nThree; 3\nFour; 4\nFive; 5\n… and 1 more row'
+      );
+    });
+
+    test('updates the preview when the mapping changes', async () => {
+      await controller.handleSpreadsheetFile({ name: 'script.csv', size: 100 });
+
+      selectFor('note').value = '';
+      selectFor('note').dispatchEvent(new Event('change'));
+
+      expect(document.getElementById('spreadsheet-preview').textContent).toContain('Two; 2\n');
+    });
+
+    test('imports into the editor and remembers the mapping', async () => {
+      await controller.handleSpreadsheetFile({ name: 'script.csv', size: 100 });
+      selectFor('duration').value = '';
+      controller.confirmSpreadsheetImport();
+
+      expect(document.getElementById('apg-editor').value).toBe(
+        '# Imported from script.csv\nOne\nTwo # slow\nThree\nFour\nFive\nSix'
+      );
+      expect(controller.inputMode).toBe('editor');
+      expect(document.getElementById('spreadsheet-import').style.display).toBe('none');
+      expect(controller.pendingSpreadsheet).toBeNull();
+
+      // The next spreadsheet with the same headers starts from the saved mapping
+      await controller.handleSpreadsheetFile({ name: 'week2.csv', size: 100 });
+      expect(selectFor('duration').value).toBe('');
+      expect(document.getElementById('spreadsheet-import-status').textContent).toBe(
+        '6 rows · using the mapping from your last import'
+      );
+    });
+
+    test('requires a text column before importing', async () => {
+      const alertCalls = [];
+      global.alert = (msg) => alertCalls.push(msg);
+      await controller.handleSpreadsheetFile({ name: 'script.csv', size: 100 });
+      selectFor('text').value = '';
+      selectFor('text').dispatchEvent(new Event('change'));
+
+      controller.confirmSpreadsheetImport();
+
+      expect(document.getElementById('spreadsheet-preview').textContent).toBe(
+        'Choose the column that holds the phrase text.'
+      );
+      expect(alertCalls).toEqual(['Choose the column that holds the phrase text.']);
+      expect(controller.pendingSpreadsheet).not.toBeNull();
+    });
+
+    test('alerts when the spreadsheet cannot be read', async () => {
+      const alertCalls = [];
+      global.alert = (msg) => alertCalls.push(msg);
+      controller.fileService.readSpreadsheet = async () => {
+        throw new Error('Spreadsheet is empty');
+      };
+
+      await controller.handleSpreadsheetFile({ name: 'empty.csv', size: 0 });
+
+      expect(alertCalls).toEqual(['Failed to read spreadsheet: Spreadsheet is empty']);
+      expect(document.getElementById('spreadsheet-import').style.display).toBe('none');
+    });
+  });
+
+  // ── Prose conversion ──────────────────────────────────────────────────────
+
+  describe('prose conversion', () => {
+    beforeEach(() => {
+      setupRestoreDOM();
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        `<div id="prose-convert" style="display:none;">
+          <input type="number" data-pause="sentence" />
+          <input type="number" data-pause="question" />
+          <input type="number" data-pause="exclamation" />
+          <input type="number" data-pause="trailing" />
+          <input type="number" data-pause="paragraph" />
+          <pre id="prose-preview"></pre>
+        </div>`
+      );
+      document.getElementById('apg-editor').value = 'Hello there. Ready?\n\nBye.';
+    });
+
+    const pauseInput = (key) => document.querySelector(`#prose-convert input[data-pause="${key}"]`);
+
+    test('previews the conversion with the default pauses', () => {
+      controller.openProseConverter();
+
+      expect(document.getElementById('prose-convert').style.display).toBe('flex');
+      expect(pauseInput('question').value).toBe('1.5');
+      expect(document.getElementById('prose-preview').textContent).toBe(
+        'Hello there.; 1\nReady?; 3\nBye.; 3'
+      );
+    });
+
+    test('converts the editor text and keeps the pauses as defaults', () => {
+      controller.openProseConverter();
+      pauseInput('sentence').value = '0.5';
+      pauseInput('paragraph').value = 'oops';
+      controller.updateProsePreview();
+      expect(document.getElementById('prose-preview').textContent).toBe(
+        'Hello there.; 0.5\nReady?; 3\nBye.; 3'
+      );
+
+      controller.confirmProseConversion();
+
+      expect(document.getElementById('apg-editor').value).toBe('Hello there.; 0.5\nReady?; 3\nBye.; 3');
+      expect(controller.inputMode).toBe('editor');
+      expect(document.getElementById('prose-convert').style.display).toBe('none');
+      expect(controller.editorService.loadProsePauses()).toMatchObject({ sentence: 0.5, paragraph: 3 });
+    });
+
+    test('asks for prose when the editor is empty', () => {
+      const alertCalls = [];
+      global.alert = (msg) => alertCalls.push(msg);
+      document.getElementById('apg-editor').value = '  ';
+
+      controller.openProseConverter();
+
+      expect(alertCalls).toEqual(['Paste some prose into the editor first.']);
+      expect(document.getElementById('prose-convert').style.display).toBe('none');
+    });
+  });
+
+  // ── Cue times ─────────────────────────────────────────────────────────────
+
+  describe('resolveCue', () => {
+    test('pads with silence up to the cue', () => {
+      expect(controller.resolveCue({ at: 300, line: 4 }, 281.5)).toEqual({
+        silence: 18.5,
+        warning: null,
+      });
+    });
+
+    test('ignores tiny overruns', () => {
+      expect(controller.resolveCue({ at: 60, line: 2 }, 60.02)).toEqual({ silence: 0, warning: null });
+    });
+
+    test('warns when earlier audio overruns the cue', () => {
+      expect(controller.resolveCue({ at: 300, line: 4 }, 303.2)).toEqual({
+        silence: 0,
+        warning: 'Line 4: Earlier audio overruns the @at 05:00 cue by 3.2s',
+      });
+    });
+  });
+
+  describe('resolveSlot', () => {
+    test('pads generated phrases to fill their slot', () => {
+      expect(controller.resolveSlot({ phrase: '3', slot: 1, line: 2 }, 0.4)).toEqual({
+        silence: 0.6,
+        warning: null,
+      });
+    });
+
+    test('warns when speech is longer than its slot', () => {
+      expect(controller.resolveSlot({ phrase: 'Burpees, round 1 of 8', slot: 1, line: 3 }, 1.5)).toEqual({
+        silence: 0,
+        warning: 'Line 3: "Burpees, round 1 of 8" runs 0.5s past its 1s slot',
+      });
+    });
+  });
+
+  describe('pronunciation lexicon', () => {
+    const entry = { word: 'Patanjali', respelling: 'puh-TAHN-juh-lee', phoneme: 'pəˈtɑːndʒəli', wholeWord: true, matchCase: false };
+
+    beforeEach(() => {
+      controller.lexicon = [entry];
+    });
+
+    test('respells phrases for engines without SSML', () => {
+      const phrase = { phrase: 'Patanjali said', duration: 1, line: 3 };
+      const { phrase: spoken, options } = controller.applyPronunciations(phrase, 'openai', { voice: 'nova' });
+
+      expect(spoken).toEqual({ phrase: 'puh-TAHN-juh-lee said', duration: 1, line: 3 });
+      expect(options).toEqual({ voice: 'nova' });
+    });
+
+    test('keeps the cache key of a phrase when an unrelated entry is added', () => {
+      const phrase = { phrase: 'Patanjali said', duration: 1, line: 3 };
+      const before = controller.applyPronunciations(phrase, 'openai', { voice: 'nova' });
+      controller.lexicon = [entry, { word: 'Vinyasa', respelling: 'vin-YAH-sah', wholeWord: true, matchCase: false }];
+
+      expect(controller.applyPronunciations(phrase, 'openai', { voice: 'nova' })).toEqual(before);
+    });
+
+    test('sends IPA phonemes as SSML to engines that read it', () => {
+      const { phrase: spoken, options } = controller.applyPronunciations(
+        { phrase: 'Patanjali said', duration: 1, line: 3 },
+        'google-cloud',
+        { voiceName: 'en-US-Neural2-C' }
+      );
+
+      expect(spoken.phrase).toBe('<phoneme alphabet="ipa" ph="pəˈtɑːndʒəli">Patanjali</phoneme> said');
+      expect(spoken.ssml).toBe(true);
+      expect(options).toEqual({ voiceName: 'en-US-Neural2-C', ssml: true });
+    });
+
+    test('leaves unaffected phrases and their cache key alone', () => {
+      const phrase = { phrase: 'Breathe in', duration: 1, line: 1 };
+      const options = { voice: 'nova' };
+      const result = controller.applyPronunciations(phrase, 'openai', options);
+
+      expect(result.phrase).toBe(phrase);
+      expect(result.options).toBe(options);
+    });
+
+    test('lists the editor lines each entry changes', () => {
+      document.body.innerHTML += `
+        <textarea id="apg-editor">Welcome; 1\nPatanjali said; 2\n# Patanjali\npatanjali; 1</textarea>
+        <span id="lexicon-count"></span>
+        <ul id="lexicon-list"></ul>`;
+
+      controller.renderLexiconList();
+
+      const item = document.querySelector('#lexicon-list li');
+      expect(document.getElementById('lexicon-count').textContent).toBe('(1)');
+      expect(item.querySelector('code').textContent).toBe('Patanjali → puh-TAHN-juh-lee /pəˈtɑːndʒəli/');
+      expect(item.querySelector('.lexicon-lines').textContent).toBe('Lines 2, 4');
+    });
+  });
+
+  describe('sound effects', () => {
+    beforeEach(() => {
+      controller.audioService = {
+        createSoundEffect: (effect) => ({ effect }),
+        decodeAudioData: async (data) => ({ decoded: data.byteLength }),
+        applyPhraseEffects: (buffer, effects) => ({ ...buffer, effects }),
+      };
+      controller.sounds = { 'temple bell.wav': { arrayBuffer: async () => new ArrayBuffer(8) } };
+    });
+
+    test('renders built-in effects and adds the cue and effects gain', async () => {
+      const buffer = await controller.loadSoundEffect({ name: 'bell', builtIn: true, gain: -3 }, -6);
+
+      expect(buffer.effect.frequency).toBeGreaterThan(0);
+      expect(buffer.effects).toEqual({ gain: -9 });
+      expect(await controller.loadSoundEffect({ name: 'gong', builtIn: true })).not.toHaveProperty('effects');
+    });
+
+    test('decodes library sounds and reports removed ones', async () => {
+      expect(await controller.loadSoundEffect({ name: 'temple bell.wav' })).toEqual({ decoded: 8 });
+      await expect(controller.loadSoundEffect({ name: 'gone.wav' })).rejects.toThrow(
+        'Sound "gone.wav" is no longer in the sound library'
+      );
+    });
+
+    test('lists built-in effects, then library sounds with remove buttons', () => {
+      document.body.insertAdjacentHTML('beforeend', '<ul id="sounds-list"></ul><span id="sounds-count"></span>');
+
+      controller.renderSoundList([{ name: 'temple bell.wav' }]);
+
+      const items = Array.from(document.querySelectorAll('#sounds-list li'));
+      expect(items.map(item => item.querySelector('code').textContent)).toEqual([
+        '@sound bell', '@sound chime', '@sound gong', '@sound "temple bell.wav"',
+      ]);
+      expect(items.map(item => Boolean(item.querySelector('button')))).toEqual([false, false, false, true]);
+      expect(document.getElementById('sounds-count').textContent).toBe('(1)');
+    });
+  });
+
+  describe('showChapters', () => {
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', '<div id="chapter-list" style="display:none"></div>');
+      controller.audioPlayer = { currentTime: 0, play: () => { controller.audioPlayer.playing = true; } };
+    });
+
+    test('shows a jump button per section', () => {
+      controller.showChapters([
+        { title: 'Warm-up', line: 2, start: 0 },
+        { title: 'Main set', line: 9, start: 125.6 },
+      ]);
+
+      const container = document.getElementById('chapter-list');
+      const buttons = container.querySelectorAll('button');
+      expect(container.style.display).toBe('flex');
+      expect(Array.from(buttons).map(b => b.textContent)).toEqual(['00:00 Warm-up', '02:05 Main set']);
+
+      buttons[1].click();
+      expect(controller.audioPlayer.currentTime).toBe(125.6);
+      expect(controller.audioPlayer.playing).toBe(true);
+    });
+
+    test('hides the list when the program has no sections', () => {
+      controller.showChapters([{ title: 'Old', line: 1, start: 0 }]);
+      controller.showChapters([]);
+
+      const container = document.getElementById('chapter-list');
+      expect(container.style.display).toBe('none');
+      expect(container.children).toHaveLength(0);
+    });
+  });
+
+  describe('showRenderWarnings', () => {
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', '<div id="render-warnings" style="display:none"></div>');
+    });
+
+    test('lists warnings with links to their lines', () => {
+      controller.showRenderWarnings(['Line 4: Earlier audio overruns the @at 05:00 cue by 3.2s']);
+
+      const container = document.getElementById('render-warnings');
+      expect(container.style.display).toBe('block');
+      expect(container.textContent).toContain('1 warning:');
+      expect(container.querySelector('li').dataset.line).toBe('4');
+    });
+
+    test('hides the panel when there are no warnings', () => {
+      controller.showRenderWarnings(['Line 1: old warning']);
+      controller.showRenderWarnings([]);
+
+      const container = document.getElementById('render-warnings');
+      expect(container.style.display).toBe('none');
+      expect(container.textContent).toBe('');
+    });
+  });
 });
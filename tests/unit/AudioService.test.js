@@ -3,8 +3,12 @@
  * Covers MP3 encoding, WAV export, audio mixing, and buffer operations
  */
 
+import { TextEncoder } from 'util';
 import { AudioService } from '../../scripts/services/AudioService.js';
 
+// jsdom does not provide TextEncoder
+global.TextEncoder = TextEncoder;
+
 // Mock AudioContext
 class MockAudioContext {
   constructor() {
@@ -12,6 +16,7 @@ class MockAudioContext {
   }
 
   createBuffer(numChannels, length, sampleRate) {
+    const channels = Array.from({ length: numChannels }, () => new Float32Array(length));
     const buffer = {
       numberOfChannels: numChannels,
       length: length,
@@ -21,7 +26,7 @@ class MockAudioContext {
         if (channel >= numChannels) {
           throw new Error('Channel index out of range');
         }
-        return new Float32Array(length);
+        return channels[channel];
       },
     };
     return buffer;
@@ -193,6 +198,75 @@ describe('AudioService', () => {
     });
   });
 
+  describe('chapter markers', () => {
+    const chapters = [
+      { title: 'Intro', start: 0 },
+      { title: 'Café', start: 1.5 },
+    ];
+    const text = (bytes, start, length) => String.fromCharCode(...bytes.slice(start, start + length));
+
+    test('writes WAV cue points with labels', () => {
+      const bytes = audioService.createWavCueChunks(chapters, 44100);
+      const view = new DataView(bytes.buffer);
+
+      expect(text(bytes, 0, 4)).toBe('cue ');
+      expect(view.getUint32(4, true)).toBe(4 + 2 * 24);
+      expect(view.getUint32(8, true)).toBe(2);
+      expect(view.getUint32(12 + 24 + 4, true)).toBe(66150); // Second cue position in samples
+      expect(view.getUint32(12 + 24 + 20, true)).toBe(66150);
+
+      const list = 8 + 52;
+      expect(text(bytes, list, 4)).toBe('LIST');
+      expect(view.getUint32(list + 4, true)).toBe(bytes.length - list - 8);
+      expect(text(bytes, list + 8, 8)).toBe('adtllabl');
+      expect(text(bytes, list + 24, 5)).toBe('Intro');
+      // "Café" is UTF-8 encoded, null-terminated and padded to an even size
+      expect(bytes.length % 2).toBe(0);
+      expect(Array.from(bytes.slice(-6))).toEqual([0x43, 0x61, 0x66, 0xc3, 0xa9, 0]);
+    });
+
+    test('adds the cue chunks to the WAV file size', () => {
+      const context = audioService.getAudioContext();
+      const buffer = context.createBuffer(1, 100, 44100);
+
+      const plain = audioService.audioBufferToWav(buffer);
+      const marked = audioService.audioBufferToWav(buffer, { chapters });
+
+      expect(marked.size - plain.size).toBe(audioService.createWavCueChunks(chapters, 44100).length);
+    });
+
+    test('builds an ID3 tag with a table of contents and chapter frames', () => {
+      const bytes = audioService.createId3Chapters(chapters, 3);
+      const view = new DataView(bytes.buffer);
+
+      expect(text(bytes, 0, 3)).toBe('ID3');
+      expect(bytes[3]).toBe(3);
+      const syncsafe = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+      expect(syncsafe).toBe(bytes.length - 10);
+      expect(text(bytes, 10, 4)).toBe('CTOC');
+      expect(text(bytes, 20, 4)).toBe('toc\0');
+      expect(Array.from(bytes.slice(24, 26))).toEqual([0x03, 2]);
+      expect(text(bytes, 26, 8)).toBe('ch0\0ch1\0');
+
+      const second = text(bytes, 0, bytes.length).lastIndexOf('CHAP');
+      expect(text(bytes, second, 4)).toBe('CHAP');
+      expect(view.getUint32(second + 14)).toBe(1500); // Start in ms
+      expect(view.getUint32(second + 18)).toBe(3000); // Ends with the audio
+      expect(text(bytes, second + 30, 4)).toBe('TIT2');
+      expect(Array.from(bytes.slice(-4))).toEqual([0xe9, 0x00, 0x00, 0x00]); // "é" in UTF-16, then terminator
+    });
+
+    test('puts the chapter tag before the MP3 frames', async () => {
+      const context = audioService.getAudioContext();
+      const buffer = context.createBuffer(1, 44100, 44100);
+
+      const plain = await audioService.audioBufferToMP3(buffer, 192);
+      const marked = await audioService.audioBufferToMP3(buffer, 192, null, { chapters });
+
+      expect(marked.size - plain.size).toBe(audioService.createId3Chapters(chapters, 1).length);
+    });
+  });
+
   describe('audioBufferToMP3', () => {
     test('encodes mono buffer to MP3', async () => {
       const context = audioService.getAudioContext();
@@ -363,6 +437,261 @@ describe('AudioService', () => {
     });
   });
 
+  describe('ducking', () => {
+    // Mono buffer at 1kHz with a constant level in the given seconds
+    function makeBuffer(seconds, level, regions) {
+      const buffer = audioService.getAudioContext().createBuffer(1, seconds * 1000, 1000);
+      const data = buffer.getChannelData(0);
+      regions.forEach(([start, end]) => data.fill(level, start * 1000, end * 1000));
+      return buffer;
+    }
+
+    test('finds speech with an envelope follower, bridging short gaps', () => {
+      const speech = makeBuffer(4, 0.3, [[0.5, 1], [1.1, 1.5], [2.5, 3]]);
+
+      const regions = audioService.detectSpeechRegions(speech, { hold: 300 });
+
+      expect(regions.map(([start, end]) => [start, Math.round(end * 10) / 10])).toEqual([
+        [0.5, 1.5],
+        [2.5, 3],
+      ]);
+    });
+
+    test('ramps down before each region and back up after it', () => {
+      const curve = audioService.createDuckingCurve([[1, 2]], 4000, 1000, {
+        amount: -20,
+        attack: 100,
+        release: 500,
+      });
+
+      expect(curve[0]).toBe(1);
+      expect(curve[949]).toBeCloseTo(Math.pow(10, -10 / 20), 2); // Halfway down in dB
+      expect(curve[1000]).toBeCloseTo(0.1);
+      expect(curve[1999]).toBeCloseTo(0.1);
+      expect(curve[2250]).toBeCloseTo(Math.pow(10, -10 / 20), 2);
+      expect(curve[2600]).toBe(1);
+    });
+
+    test('mixes the background ducked under the given regions', () => {
+      const speech = makeBuffer(3, 0, []);
+      const background = makeBuffer(3, 0.5, [[0, 3]]);
+
+      const mixed = audioService.mixBuffers(speech, background, {
+        attenuation: -6,
+        ducking: { amount: -12, attack: 0, release: 0, regions: [[1, 2]] },
+      });
+      const data = mixed.getChannelData(0);
+
+      expect(data[500]).toBeCloseTo(0.5 * Math.pow(10, -6 / 20));
+      expect(data[1500]).toBeCloseTo(0.5 * Math.pow(10, -18 / 20));
+      expect(data[2500]).toBeCloseTo(0.5 * Math.pow(10, -6 / 20));
+    });
+  });
+
+  describe('looping', () => {
+    // Ramp 0, 1, 2, ... so positions in the loop can be read back
+    const ramp = (length) => Float32Array.from({ length }, (_, i) => i);
+
+    test('wraps around without an overlap', () => {
+      const { read, period } = audioService.createLoopReader(ramp(10), 10);
+
+      expect(period).toBe(10);
+      expect([9, 10, 11, 25].map(read)).toEqual([9, 0, 1, 5]);
+    });
+
+    test('crossfades each repeat with the tail of the one before', () => {
+      const { read, period, fade } = audioService.createLoopReader(ramp(100), 10, { overlap: 2 });
+
+      expect([period, fade]).toEqual([80, 20]);
+      expect(read(79)).toBe(79);
+      expect(read(80)).toBeCloseTo(80); // Start of the seam is all tail
+      expect(read(90)).toBeCloseTo(10 * Math.SQRT1_2 + 90 * Math.SQRT1_2);
+      expect(read(100)).toBe(20);
+    });
+
+    test('loops between loop points', () => {
+      const { read, period } = audioService.createLoopReader(ramp(100), 10, { start: 2, end: 5 });
+
+      expect(period).toBe(30);
+      expect([0, 29, 30].map(read)).toEqual([20, 49, 20]);
+      expect(() => audioService.createLoopReader(ramp(100), 10, { start: 5, end: 4 })).toThrow(
+        'Loop end must be after loop start'
+      );
+      expect(() => audioService.createLoopReader(ramp(100), 10, { start: 20 })).toThrow(
+        'Loop start is past the end of the background audio'
+      );
+    });
+
+    test('previews the seconds around the seam', () => {
+      const buffer = audioService.getAudioContext().createBuffer(1, 100, 10);
+      buffer.getChannelData(0).set(ramp(100));
+
+      const preview = audioService.createLoopSeamPreview(buffer, { overlap: 2 }, 3);
+      const data = preview.getChannelData(0);
+
+      expect(preview.length).toBe(60);
+      expect(data[0]).toBe(60); // Seam centre (sample 90) minus 3 seconds
+      expect(data[30]).toBeCloseTo(10 * Math.SQRT1_2 + 90 * Math.SQRT1_2);
+    });
+
+    test('mixes the background with a crossfaded loop', () => {
+      const context = audioService.getAudioContext();
+      const speech = context.createBuffer(1, 300, 10);
+      const background = context.createBuffer(1, 100, 10);
+      background.getChannelData(0).set(ramp(100));
+
+      const mixed = audioService.mixBuffers(speech, background, { loop: { overlap: 2 } });
+
+      expect(mixed.getChannelData(0)[100]).toBe(20);
+    });
+  });
+
+  describe('createBackgroundLayer', () => {
+    // Mono bed of a constant level
+    function makeBed(level, length) {
+      const buffer = audioService.getAudioContext().createBuffer(1, length, 1000);
+      buffer.getChannelData(0).fill(level);
+      return buffer;
+    }
+
+    test('loops each bed from its start and crossfades between them', () => {
+      const first = makeBed(0.5, 300);
+      const second = makeBed(-0.25, 300);
+      first.getChannelData(0)[0] = 1;
+
+      const layer = audioService.createBackgroundLayer(
+        [{ buffer: first, start: 0, fade: 0 }, { buffer: second, start: 1, fade: 0.2 }],
+        2000,
+        1000
+      );
+      const data = layer.getChannelData(0);
+
+      expect(layer.length).toBe(2000);
+      expect(data[300]).toBe(1); // Looped
+      expect(data[999]).toBeCloseTo(0.5);
+      // Equal-power midpoint of the crossfade
+      expect(data[1100]).toBeCloseTo((0.5 - 0.25) * Math.SQRT1_2);
+      expect(data[1200]).toBeCloseTo(-0.25);
+      expect(data[1999]).toBeCloseTo(-0.25);
+    });
+
+    test('fades out to silence for beds without a buffer', () => {
+      const layer = audioService.createBackgroundLayer(
+        [{ buffer: makeBed(0.5, 100), start: 0, fade: 0 }, { buffer: null, start: 0.5, fade: 0.1 }],
+        1000,
+        1000
+      );
+      const data = layer.getChannelData(0);
+
+      expect(data[499]).toBeCloseTo(0.5);
+      expect(data[550]).toBeCloseTo(0.5 * Math.SQRT1_2);
+      expect(data.slice(600).every(value => value === 0)).toBe(true);
+    });
+  });
+
+  describe('loudness', () => {
+    // Stereo sine at the given amplitude
+    function makeSine(amplitude, seconds = 3, frequency = 1000, sampleRate = 48000) {
+      const buffer = audioService.getAudioContext().createBuffer(2, seconds * sampleRate, sampleRate);
+      for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+          data[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+        }
+      }
+      return buffer;
+    }
+
+    test('measures a 1kHz sine at -20 dBFS as -20 LUFS', () => {
+      const { integrated, truePeak } = audioService.measureLoudness(makeSine(0.1));
+
+      expect(integrated).toBeCloseTo(-20, 1);
+      expect(truePeak).toBeCloseTo(-20, 1);
+    });
+
+    test('gates out silence', () => {
+      const buffer = makeSine(0.1, 6);
+      buffer.getChannelData(0).fill(0, 0, 3 * 48000);
+      buffer.getChannelData(1).fill(0, 0, 3 * 48000);
+
+      // Half silence would read -23 LUFS ungated
+      expect(audioService.measureLoudness(buffer).integrated).toBeGreaterThan(-20.5);
+      expect(audioService.measureLoudness(makeSine(0)).integrated).toBe(-Infinity);
+    });
+
+    test('measures speech clips too short for gating as a whole', () => {
+      expect(audioService.measureSpeechLoudness(makeSine(0.1, 0.25))).toBeCloseTo(-20, 0);
+      expect(audioService.measureSpeechLoudness(makeSine(0.1, 1))).toBeCloseTo(-20, 1);
+      expect(audioService.measureSpeechLoudness(makeSine(0, 0.25))).toBe(-Infinity);
+    });
+
+    test('finds peaks between samples', () => {
+      // A quarter of the sample rate, sampled 45° off its peaks
+      const buffer = audioService.getAudioContext().createBuffer(1, 4800, 48000);
+      const data = buffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = 0.5 * Math.sin((Math.PI * i) / 2 + Math.PI / 4);
+      }
+
+      expect(audioService.measureTruePeak(buffer)).toBeCloseTo(20 * Math.log10(0.5), 0);
+      expect(audioService.measureTruePeak(buffer)).toBeGreaterThan(20 * Math.log10(0.5 * Math.SQRT1_2) + 2);
+    });
+
+    test('limits peaks to the ceiling', () => {
+      const buffer = makeSine(1.5, 1);
+
+      audioService.applyTruePeakLimiter(buffer, -1);
+
+      expect(audioService.measureTruePeak(buffer)).toBeLessThanOrEqual(-0.99);
+    });
+
+    test('normalises to the target without going over the ceiling', () => {
+      const quiet = makeSine(0.05);
+      const { measured, final } = audioService.normalizeLoudness(quiet, -16);
+      expect(measured.integrated).toBeCloseTo(-26, 0);
+      expect(final.integrated).toBeCloseTo(-16, 1);
+
+      // A sine at -9 LUFS would peak at -9 dBTP, so the limiter holds it at -1
+      const loud = makeSine(0.05);
+      const limited = audioService.normalizeLoudness(loud, -2);
+      expect(limited.final.truePeak).toBeLessThanOrEqual(-0.99);
+    });
+  });
+
+  describe('trimSilence', () => {
+    // Mono clip at 1kHz with sound between the given samples
+    function makeClip(length, start, end) {
+      const buffer = audioService.getAudioContext().createBuffer(1, length, 1000);
+      buffer.getChannelData(0).fill(0.001, 0, length); // -60 dBFS noise floor
+      buffer.getChannelData(0).fill(0.5, start, end);
+      return buffer;
+    }
+
+    test('trims leading and trailing silence, keeping the padding', () => {
+      const clip = makeClip(2000, 400, 1200);
+
+      const trimmed = audioService.trimSilence(clip, { threshold: -50, padding: 100 });
+
+      expect(trimmed.length).toBe(1000);
+      expect(trimmed.getChannelData(0)[99]).toBeCloseTo(0.001);
+      expect(trimmed.getChannelData(0)[100]).toBe(0.5);
+      expect(clip.length).toBe(2000); // Source untouched
+    });
+
+    test('counts audio above the threshold as sound', () => {
+      const clip = makeClip(2000, 400, 1200);
+
+      expect(audioService.trimSilence(clip, { threshold: -70, padding: 0 })).toBe(clip);
+    });
+
+    test('keeps padding inside the clip and leaves silent clips alone', () => {
+      expect(audioService.trimSilence(makeClip(2000, 20, 1200), { padding: 100 }).length).toBe(1300);
+
+      const silent = makeClip(1000, 0, 0);
+      expect(audioService.trimSilence(silent)).toBe(silent);
+    });
+  });
+
   describe('applyFades', () => {
     test('applies fade in and fade out', () => {
       const context = audioService.getAudioContext();
@@ -402,6 +731,86 @@ describe('AudioService', () => {
     });
   });
 
+  describe('createBeep', () => {
+    test('creates a faded sine beep of the requested length', () => {
+      const beep = audioService.createBeep(880, 0.12);
+      const data = beep.getChannelData(0);
+
+      expect(beep.length).toBe(Math.floor(44100 * 0.12));
+      expect(data[0]).toBe(0);
+      expect(Math.max(...data)).toBeCloseTo(0.5, 1);
+    });
+  });
+
+  describe('createSoundEffect', () => {
+    test('rings out and decays over the requested length', () => {
+      const effect = audioService.createSoundEffect({
+        frequency: 660,
+        length: 1,
+        partials: [[1, 1, 0.3], [2.7, 0.4, 0.1]],
+      });
+      const data = effect.getChannelData(0);
+      const peak = (from, to) => Math.max(...data.slice(from, to).map(Math.abs));
+
+      expect(effect.length).toBe(44100);
+      expect(data[0]).toBe(0);
+      expect(peak(0, 4410)).toBeLessThanOrEqual(0.5);
+      expect(peak(0, 4410)).toBeGreaterThan(0.3);
+      expect(peak(30000, 40000)).toBeLessThan(peak(0, 4410) / 10);
+      expect(data[data.length - 1]).toBeCloseTo(0, 3);
+    });
+  });
+
+  describe('applyPhraseEffects', () => {
+    // One second of a 441 Hz sine at 44.1kHz
+    function makeTone(context) {
+      const buffer = context.createBuffer(1, 44100, 44100);
+      const data = buffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = 0.5 * Math.sin((2 * Math.PI * 441 * i) / 44100);
+      }
+      return buffer;
+    }
+
+    // Count rising zero crossings to estimate frequency
+    function frequencyOf(buffer) {
+      const data = buffer.getChannelData(0);
+      let crossings = 0;
+      for (let i = 1; i < data.length; i++) {
+        if (data[i - 1] < 0 && data[i] >= 0) crossings++;
+      }
+      return crossings / buffer.duration;
+    }
+
+    const peak = (buffer) => Math.max(...buffer.getChannelData(0).map(Math.abs));
+
+    test('applies gain in dB without touching the source', () => {
+      const tone = makeTone(audioService.getAudioContext());
+      const result = audioService.applyPhraseEffects(tone, { gain: -6 });
+
+      expect(result).not.toBe(tone);
+      expect(peak(tone)).toBeCloseTo(0.5, 2);
+      expect(peak(result)).toBeCloseTo(0.5 * Math.pow(10, -6 / 20), 2);
+    });
+
+    test('changes speed without changing pitch', () => {
+      const tone = makeTone(audioService.getAudioContext());
+      const result = audioService.applyPhraseEffects(tone, { speed: 0.8 });
+
+      // Overlap-add is not phase aligned, so allow a few stray crossings
+      expect(result.length).toBe(Math.round(44100 / 0.8));
+      expect(Math.abs(frequencyOf(result) / 441 - 1)).toBeLessThan(0.05);
+    });
+
+    test('changes pitch without changing length', () => {
+      const tone = makeTone(audioService.getAudioContext());
+      const result = audioService.applyPhraseEffects(tone, { pitch: 12 });
+
+      expect(Math.abs(result.length - 44100)).toBeLessThanOrEqual(1);
+      expect(Math.abs(frequencyOf(result) / 882 - 1)).toBeLessThan(0.05);
+    });
+  });
+
   describe('dispose', () => {
     test('cleans up audio context', () => {
       audioService.getAudioContext(); // Create context
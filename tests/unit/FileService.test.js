@@ -131,6 +131,73 @@ describe('FileService', () => {
     });
   });
 
+  describe('importSubtitles', () => {
+    const srt = '1\n00:00:01,000 --> 00:00:03,000\nWelcome\n\n2\n00:00:05,500 --> 00:00:07,000\nBreathe in\n';
+
+    test('accepts other extensions when asked', async () => {
+      const file = new MockFile('WEBVTT', 'talk.vtt');
+      await expect(fileService.readTextFile(file, ['.srt', '.vtt'])).resolves.toBe('WEBVTT');
+      await expect(fileService.readTextFile(file)).rejects.toThrow('File must be a .txt file');
+    });
+
+    test('converts a subtitle file into program text', async () => {
+      const program = await fileService.importSubtitles(new MockFile(srt, 'talk.srt'));
+      expect(program).toBe('# Imported from talk.srt\n*; 1\nWelcome; 2.5\nBreathe in; 1');
+    });
+
+    test('can keep subtitle times as cues', async () => {
+      const program = await fileService.importSubtitles(new MockFile(srt, 'talk.srt'), { timing: 'cues' });
+      expect(program).toBe('# Imported from talk.srt\n@at 00:01 Welcome; 0\n@at 00:05.5 Breathe in; 1');
+    });
+
+    test('rejects other file types', async () => {
+      await expect(fileService.importSubtitles(new MockFile(srt, 'talk.txt'))).rejects.toThrow(
+        'File must be a .srt or .vtt file'
+      );
+    });
+  });
+
+  describe('spreadsheets', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test('reads CSV and TSV files', async () => {
+      const csv = await fileService.readSpreadsheet(new MockFile('Text,Pause\nHi,2', 'script.csv'));
+      expect(csv).toEqual({ headers: ['Text', 'Pause'], rows: [['Hi', '2']] });
+
+      // A .tsv file is split on tabs only
+      const tsv = await fileService.readSpreadsheet(new MockFile('Text\tPause\nHi, there\t2', 'script.tsv'));
+      expect(tsv.rows).toEqual([['Hi, there', '2']]);
+    });
+
+    test('rejects other file types', async () => {
+      await expect(fileService.readSpreadsheet(new MockFile('a,b', 'script.txt'))).rejects.toThrow(
+        'File must be a .csv or .tsv file'
+      );
+    });
+
+    test('guesses a mapping for new header layouts', () => {
+      const { mapping, remembered } = fileService.getColumnMapping(['Pause', 'Text']);
+      expect(remembered).toBe(false);
+      expect(mapping.text).toBe(1);
+      expect(mapping.duration).toBe(0);
+    });
+
+    test('remembers the mapping per header signature', () => {
+      const mapping = { text: 2, duration: null, voice: 0, speed: null, section: null, note: 1 };
+      fileService.saveColumnMapping(['Who', 'Notes', 'Words'], mapping);
+
+      expect(fileService.getColumnMapping([' who', 'NOTES', 'Words '])).toEqual({ mapping, remembered: true });
+      expect(fileService.getColumnMapping(['Who', 'Words']).remembered).toBe(false);
+    });
+
+    test('falls back to a guess when saved mappings are unreadable', () => {
+      localStorage.setItem('apg_import_mappings', '{broken');
+      expect(fileService.getColumnMapping(['Text']).remembered).toBe(false);
+    });
+  });
+
   describe('readAudioFile', () => {
     test('returns null when no file provided', async () => {
       const result = await fileService.readAudioFile(null);
@@ -0,0 +1,62 @@
+/**
+ * Tests for FragmentLibraryService
+ * Covers saving, listing and deleting fragments in IndexedDB
+ */
+
+import { FragmentLibraryService } from '../../scripts/services/FragmentLibraryService.js';
+import { mockIndexedDB } from './helpers/indexedDB.js';
+
+const mockDB = mockIndexedDB();
+
+// Silence save/delete logging
+global.console = {
+  ...console,
+  log: (..._args) => {},
+};
+
+describe('FragmentLibraryService', () => {
+  let service;
+
+  beforeEach(async () => {
+    mockDB.data = {};
+    service = new FragmentLibraryService();
+    await service.init();
+  });
+
+  test('saves and lists fragments sorted by name', async () => {
+    await service.saveFragment('outro.txt', 'Thank you; 1');
+    await service.saveFragment('intro.txt', 'Welcome; 2');
+
+    const fragments = await service.listFragments();
+
+    expect(fragments.map(f => f.name)).toEqual(['intro.txt', 'outro.txt']);
+    expect(fragments[0].content).toBe('Welcome; 2');
+    expect(typeof fragments[0].timestamp).toBe('number');
+  });
+
+  test('replaces a fragment saved under the same name', async () => {
+    await service.saveFragment('intro.txt', 'Welcome; 2');
+    await service.saveFragment('intro.txt', 'Hello again; 1');
+
+    const fragments = await service.listFragments();
+
+    expect(fragments).toHaveLength(1);
+    expect(fragments[0].content).toBe('Hello again; 1');
+  });
+
+  test('trims fragment names and requires one', async () => {
+    await service.saveFragment('  intro.txt ', 'Welcome; 2');
+
+    expect((await service.listFragments())[0].name).toBe('intro.txt');
+    await expect(service.saveFragment('  ', 'Welcome; 2')).rejects.toThrow(
+      'Fragment name is required'
+    );
+  });
+
+  test('deletes fragments', async () => {
+    await service.saveFragment('intro.txt', 'Welcome; 2');
+    await service.deleteFragment('intro.txt');
+
+    expect(await service.listFragments()).toEqual([]);
+  });
+});
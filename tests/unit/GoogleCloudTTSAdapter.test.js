@@ -0,0 +1,92 @@
+/**
+ * Tests for GoogleCloudTTSAdapter
+ * Covers the synthesize request body for plain text and SSML input, and
+ * choosing voices for a language
+ */
+
+import { GoogleCloudTTSAdapter } from '../../scripts/services/GoogleCloudTTSAdapter.js';
+
+describe('GoogleCloudTTSAdapter', () => {
+  let adapter;
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    global.fetch = async (url, init) => {
+      requests.push(JSON.parse(init.body));
+      return { ok: true, json: async () => ({ audioContent: btoa('audio') }) };
+    };
+    adapter = new GoogleCloudTTSAdapter();
+    adapter.setApiKey('test-key');
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('supports SSML', () => {
+    expect(adapter.supportsSsml()).toBe(true);
+  });
+
+  test('applies modifiers through the synthesis parameters', () => {
+    const options = { speakingRate: 1.0, pitch: 2, volumeGainDb: 0 };
+    const result = adapter.applyModifiers(options, { speed: 0.8, pitch: -4, gain: -6 });
+
+    expect(result.options).toEqual({ speakingRate: 0.8, pitch: -2, volumeGainDb: -6 });
+    expect(result.remaining).toEqual({});
+  });
+
+  test('leaves values beyond the API ranges for rendering', () => {
+    const result = adapter.applyModifiers({ pitch: 18, volumeGainDb: 12 }, { pitch: 4, gain: 6 });
+
+    expect(result.options).toMatchObject({ pitch: 20, volumeGainDb: 16 });
+    expect(result.remaining).toEqual({ pitch: 2, gain: 2 });
+  });
+
+  test('sends plain phrases as text input', async () => {
+    await adapter.generateSpeech('Hello', {});
+    expect(requests[0].input).toEqual({ text: 'Hello' });
+  });
+
+  test('sends SSML phrases as ssml input', async () => {
+    await adapter.generateSpeech('<speak>Hold <break time="1s"/></speak>', { ssml: true });
+    expect(requests[0].input).toEqual({ ssml: '<speak>Hold <break time="1s"/></speak>' });
+  });
+
+  describe('selectVoice', () => {
+    beforeEach(() => {
+      adapter.capabilitiesCache = {
+        voices: [
+          { name: 'en-US-Neural2-C', languageCodes: ['en-US'], ssmlGender: 'FEMALE' },
+          { name: 'es-ES-Standard-A', languageCodes: ['es-ES'], ssmlGender: 'FEMALE' },
+          { name: 'es-ES-Neural2-B', languageCodes: ['es-ES'], ssmlGender: 'MALE' },
+          { name: 'es-ES-Neural2-C', languageCodes: ['es-ES'], ssmlGender: 'FEMALE' },
+          { name: 'es-US-Neural2-A', languageCodes: ['es-US'], ssmlGender: 'FEMALE' },
+        ],
+      };
+    });
+
+    test('picks the voice most like the preferred one', async () => {
+      await expect(adapter.selectVoice('es-ES', undefined, 'en-US-Neural2-C')).resolves.toBe('es-ES-Neural2-C');
+    });
+
+    test('keeps the preferred voice when it speaks the language', async () => {
+      await expect(adapter.selectVoice('es', undefined, 'es-US-Neural2-A')).resolves.toBe('es-US-Neural2-A');
+    });
+
+    test('checks explicit voices, including ones missing from the list', async () => {
+      await expect(adapter.selectVoice('es-ES', 'es-ES-Neural2-B')).resolves.toBe('es-ES-Neural2-B');
+      await expect(adapter.selectVoice('es-ES', 'es-US-Neural2-A')).rejects.toThrow('Voice "es-US-Neural2-A" does not speak es-ES');
+      await expect(adapter.selectVoice('es-ES', 'de-DE-Wavenet-A')).rejects.toThrow('Voice "de-DE-Wavenet-A" does not speak es-ES');
+    });
+
+    test('reports languages without voices', async () => {
+      await expect(adapter.selectVoice('fr-FR')).rejects.toThrow('No Google Cloud TTS voice speaks fr-FR');
+    });
+  });
+
+  test('wraps SSML without a <speak> root', async () => {
+    await adapter.generateSpeech('<emphasis>Now</emphasis>', { ssml: true });
+    expect(requests[0].input).toEqual({ ssml: '<speak><emphasis>Now</emphasis></speak>' });
+  });
+});
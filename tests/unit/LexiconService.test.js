@@ -0,0 +1,65 @@
+/**
+ * Tests for LexiconService
+ * Covers saving, listing and deleting lexicon entries in IndexedDB
+ */
+
+import { LexiconService } from '../../scripts/services/LexiconService.js';
+import { mockIndexedDB } from './helpers/indexedDB.js';
+
+const mockDB = mockIndexedDB();
+
+// Silence save/delete logging
+global.console = {
+  ...console,
+  log: (..._args) => {},
+};
+
+describe('LexiconService', () => {
+  let service;
+
+  beforeEach(async () => {
+    mockDB.data = {};
+    service = new LexiconService();
+    await service.init();
+  });
+
+  test('saves and lists entries sorted by word, with default options', async () => {
+    await service.saveEntry({ word: 'Vinyasa', respelling: 'vin-YAH-sah' });
+    await service.saveEntry({ word: ' Patanjali ', phoneme: ' pəˈtɑːndʒəli ', matchCase: true });
+
+    const entries = await service.listEntries();
+
+    expect(entries.map(e => e.word)).toEqual(['Patanjali', 'Vinyasa']);
+    expect(entries[0]).toMatchObject({
+      respelling: '',
+      phoneme: 'pəˈtɑːndʒəli',
+      wholeWord: true,
+      matchCase: true,
+    });
+    expect(entries[1]).toMatchObject({ respelling: 'vin-YAH-sah', wholeWord: true, matchCase: false });
+  });
+
+  test('replaces the entry for the same word', async () => {
+    await service.saveEntry({ word: 'Vinyasa', respelling: 'vin-YAH-sah' });
+    await service.saveEntry({ word: 'Vinyasa', respelling: 'vin-YAA-suh' });
+
+    const entries = await service.listEntries();
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].respelling).toBe('vin-YAA-suh');
+  });
+
+  test('requires a word and a pronunciation', async () => {
+    await expect(service.saveEntry({ word: ' ', respelling: 'x' })).rejects.toThrow('Word is required');
+    await expect(service.saveEntry({ word: 'Vinyasa', respelling: ' ' })).rejects.toThrow(
+      'Enter a respelling or an IPA phoneme'
+    );
+  });
+
+  test('deletes entries', async () => {
+    await service.saveEntry({ word: 'Vinyasa', respelling: 'vin-YAH-sah' });
+    await service.deleteEntry('Vinyasa');
+
+    expect(await service.listEntries()).toEqual([]);
+  });
+});
@@ -118,6 +118,19 @@ describe('OpenAITTSAdapter', () => {
     });
   });
 
+  describe('applyModifiers', () => {
+    test('scales the line speed and leaves other modifiers for rendering', () => {
+      const result = adapter.applyModifiers({ voice: 'nova', speed: 1.25 }, { speed: 0.8, gain: -6 });
+      expect(result).toEqual({ options: { voice: 'nova', speed: 1.0 }, remaining: { gain: -6 } });
+    });
+
+    test('leaves speeds beyond the API range for rendering', () => {
+      const result = adapter.applyModifiers({ speed: 0.5 }, { speed: 0.25 });
+      expect(result.options.speed).toBe(0.25);
+      expect(result.remaining.speed).toBeCloseTo(0.5);
+    });
+  });
+
   describe('setApiKey', () => {
     test('sets API key', () => {
       adapter.setApiKey('test-key');
@@ -165,6 +165,33 @@ describe('SampleAudioService', () => {
     });
   });
 
+  describe('Find Sample by Name', () => {
+    test('should find sample by ID', () => {
+      const sample = service.findSample('river_and_birds');
+      expect(sample.filename).toBe('river_and_birds.mp3');
+    });
+
+    test('should find sample by filename stem with hyphens', () => {
+      const sample = service.findSample('surf-waves-and-sea-foam');
+      expect(sample.filename).toBe('surf-waves-and-sea-foam.mp3');
+    });
+
+    test('should find sample by full filename, ignoring case', () => {
+      const sample = service.findSample('Brilliance.MP3');
+      expect(sample.filename).toBe('brilliance.mp3');
+    });
+
+    test('should treat hyphens and underscores as equivalent', () => {
+      const sample = service.findSample('river-and-birds');
+      expect(sample.filename).toBe('river_and_birds.mp3');
+    });
+
+    test('should return null for unknown or empty name', () => {
+      expect(service.findSample('thunderstorm')).toBeNull();
+      expect(service.findSample('')).toBeNull();
+    });
+  });
+
   describe('Load Sample Audio', () => {
     test('should load sample successfully', async () => {
       const samples = service.getSamples();
@@ -0,0 +1,50 @@
+/**
+ * Tests for SoundLibraryService
+ * Covers saving, listing and deleting sound effects in IndexedDB
+ */
+
+import { SoundLibraryService } from '../../scripts/services/SoundLibraryService.js';
+import { mockIndexedDB } from './helpers/indexedDB.js';
+
+const mockDB = mockIndexedDB();
+
+// Silence save/delete logging
+global.console = {
+  ...console,
+  log: (..._args) => {},
+};
+
+describe('SoundLibraryService', () => {
+  let service;
+  const clip = { size: 1024 };
+
+  beforeEach(async () => {
+    mockDB.data = {};
+    service = new SoundLibraryService();
+    await service.init();
+  });
+
+  test('saves and lists sounds sorted by name', async () => {
+    await service.saveSound('singing bowl.wav', clip);
+    await service.saveSound('clap.mp3', clip);
+
+    const sounds = await service.listSounds();
+
+    expect(sounds.map(s => s.name)).toEqual(['clap.mp3', 'singing bowl.wav']);
+    expect(sounds[0].audio).toBe(clip);
+    expect(typeof sounds[0].timestamp).toBe('number');
+  });
+
+  test('requires a name and a non-empty file', async () => {
+    await expect(service.saveSound('  ', clip)).rejects.toThrow('Sound name is required');
+    await expect(service.saveSound('clap.mp3', { size: 0 })).rejects.toThrow('Sound file is empty');
+    expect(await service.listSounds()).toEqual([]);
+  });
+
+  test('deletes sounds', async () => {
+    await service.saveSound('clap.mp3', clip);
+    await service.deleteSound('clap.mp3');
+
+    expect(await service.listSounds()).toEqual([]);
+  });
+});
@@ -40,19 +40,22 @@ describe('TextEditorService', () => {
       expect(result.errors).toHaveLength(0);
     });
 
-    test('should reject missing semicolon', () => {
-      const text = 'Hello world 2';
-      const result = service.validateSyntax(text);
-      expect(result.valid).toBe(false);
-      expect(result.errors.length).toBeGreaterThan(0);
-      expect(result.errors[0]).toContain('Invalid format');
+    test('should accept a phrase without a semicolon, as the parser does', () => {
+      const result = service.validateSyntax('Hello world 2');
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
     });
 
-    test('should reject missing duration', () => {
-      const text = 'Hello world;';
-      const result = service.validateSyntax(text);
+    test('should accept a phrase without a duration, as the parser does', () => {
+      const result = service.validateSyntax('Hello world;');
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    test('should reject a duration that is not a number', () => {
+      const result = service.validateSyntax('Hello; abc');
       expect(result.valid).toBe(false);
-      expect(result.errors.length).toBeGreaterThan(0);
+      expect(result.errors).toEqual(['Line 1: Invalid pause duration "abc"']);
     });
 
     test('should reject empty text', () => {
@@ -60,7 +63,7 @@ describe('TextEditorService', () => {
       const result = service.validateSyntax(text);
       expect(result.valid).toBe(false);
       expect(result.errors.length).toBeGreaterThan(0);
-      expect(result.errors[0]).toContain('Invalid format');
+      expect(result.errors[0]).toBe('Line 1: Missing phrase text');
     });
 
     test('should reject negative duration', () => {
@@ -68,7 +71,7 @@ describe('TextEditorService', () => {
       const result = service.validateSyntax(text);
       expect(result.valid).toBe(false);
       expect(result.errors.length).toBeGreaterThan(0);
-      expect(result.errors[0]).toMatch(/Invalid format|cannot be negative/);
+      expect(result.errors[0]).toBe('Line 1: Invalid pause duration "-1"');
     });
 
     test('should warn about very long duration', () => {
@@ -102,10 +105,383 @@ describe('TextEditorService', () => {
     });
 
     test('should report correct line numbers in errors', () => {
-      const text = 'Hello world;2\nInvalid line\nGoodbye;1';
+      const text = 'Hello world;2\nInvalid line;soon\nGoodbye;1';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Line 2');
+    });
+  });
+
+  describe('Header Directives', () => {
+    test('should accept a valid header block', () => {
+      const text = '@engine openai\n@voice onyx\n@speed 0.9\nHello world;2';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report invalid directive values with line number', () => {
+      const text = '@voice onyx\n@engine elevenlabs\nHello world;2';
       const result = service.validateSyntax(text);
       expect(result.valid).toBe(false);
       expect(result.errors[0]).toContain('Line 2');
+      expect(result.errors[0]).toContain('Unknown engine');
+    });
+
+    test('should reject directives after the first phrase', () => {
+      const text = 'Hello world;2\n@voice onyx';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Line 2');
+    });
+  });
+
+  describe('Line Overrides', () => {
+    test('should accept valid inline overrides', () => {
+      const text = '[voice=echo] Breathe in;4\n[engine=google-cloud voice=en-US-Neural2-D] Hold;2';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report unsupported override keys', () => {
+      const result = service.validateSyntax('[background=rain] Breathe in;4');
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Line 1');
+      expect(result.errors[0]).toContain('cannot be set per line');
+    });
+
+    test('should reject overrides without phrase text', () => {
+      const result = service.validateSyntax('[voice=echo];4');
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Missing phrase text after overrides');
+    });
+  });
+
+  describe('Comments and Escapes', () => {
+    test('should skip comment lines and trailing comments', () => {
+      const text = '# Warm-up\nBreathe in;4 # slowly\nHold;2';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should accept escaped semicolons in phrase text', () => {
+      const result = service.validateSyntax('Inhale\\; then exhale;3');
+      expect(result.valid).toBe(true);
+    });
+
+    test('should keep line numbers after comment lines', () => {
+      const result = service.validateSyntax('# intro\n\nBreathe in;soon');
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Line 3');
+    });
+  });
+
+  describe('Repeat Blocks', () => {
+    test('should accept balanced and nested blocks', () => {
+      const text = '@voice onyx\n@repeat 4\nRound;1\n@repeat 2\nPush;1\n@end\n@end';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report a block without @end', () => {
+      const result = service.validateSyntax('Hello;1\n@repeat 3\nBreathe;2');
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toBe('Line 2: "@repeat" block is missing its "@end"');
+    });
+
+    test('should report @end without @repeat', () => {
+      const result = service.validateSyntax('Hello;1\n@end');
+      expect(result.errors[0]).toBe('Line 2: "@end" without a matching "@repeat", "@shuffle" or "@choose"');
+    });
+
+    test('should report an invalid repeat count', () => {
+      const result = service.validateSyntax('@repeat many\nHello;1\n@end');
+      expect(result.errors[0]).toContain('Line 1');
+      expect(result.errors[0]).toContain('whole number of rounds');
+    });
+  });
+
+  describe('Variables', () => {
+    test('should accept @set lines anywhere', () => {
+      const text = '@set name = Alex\n@voice onyx\nHello {{name}};1\n@set name = Sam\nHello {{name}};1';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report invalid @set lines', () => {
+      const result = service.validateSyntax('@set total = 3\nHello;1');
+      expect(result.errors[0]).toBe('Line 1: "total" is a built-in variable and cannot be set');
+    });
+
+    test('should report loop variables outside @repeat', () => {
+      const result = service.validateSyntax('Round {{i}};1\n@repeat 2\nRound {{i}};1\n@end');
+      expect(result.errors).toEqual(['Line 1: "{{i}}" can only be used inside a "@repeat" block']);
+    });
+  });
+
+  describe('Includes', () => {
+    const fragments = {
+      'intro.txt': 'Welcome;2',
+      'bad.txt': 'Welcome;soon',
+      'loop.txt': '@include loop.txt',
+      'round.txt': 'Round {{i}};1',
+    };
+
+    test('should report every fragment as unknown without a library', () => {
+      expect(service.validateSyntax('@include anything.txt\nHello;1').errors).toEqual([
+        'Line 1: Unknown fragment "anything.txt"',
+      ]);
+    });
+
+    test('should report a missing fragment name', () => {
+      expect(service.validateSyntax('@include\nHello;1').errors[0]).toBe(
+        'Line 1: "@include" needs a fragment name'
+      );
+    });
+
+    test('should accept known fragments', () => {
+      const result = service.validateSyntax('@include intro.txt\nHello;1', 120, { fragments });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report unknown fragments', () => {
+      const result = service.validateSyntax('Hello;1\n@include outro.txt', 120, { fragments });
+      expect(result.errors).toEqual(['Line 2: Unknown fragment "outro.txt"']);
+    });
+
+    test('should report errors inside fragments at the include line', () => {
+      const result = service.validateSyntax('Hello;1\n@include bad.txt', 120, { fragments });
+      expect(result.errors[0]).toMatch(/^Line 2: In "bad.txt" line 1: Invalid pause duration "soon"/);
+    });
+
+    test('should report include cycles', () => {
+      const result = service.validateSyntax('@include loop.txt', 120, { fragments });
+      expect(result.errors[0]).toContain('Include cycle: loop.txt → loop.txt');
+    });
+
+    test('should allow loop variables in fragments included inside @repeat', () => {
+      const result = service.validateSyntax('@repeat 2\n@include round.txt\n@end', 120, { fragments });
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('Duration Units', () => {
+    test('should accept durations with units and clock times', () => {
+      const text = 'Breathe;500ms\nHold;1.5s\nRest;2m\nSettle;1m30s\nMeditate;00:02:30';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject unknown units', () => {
+      const result = service.validateSyntax('Rest;5min');
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toBe('Line 1: Invalid pause duration "5min"');
+    });
+
+    test('should warn on long unit durations using seconds', () => {
+      const result = service.validateSyntax('Meditate;00:10:00', 120);
+      expect(result.valid).toBe(true);
+      expect(result.warnings[0]).toContain('600s > 120s');
+    });
+  });
+
+  describe('Cue Times', () => {
+    test('should accept cue lines', () => {
+      const result = service.validateSyntax('Warm up;2\n@at 05:00 Switch sides;2\n@at 7m Finish;1');
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report invalid cue times', () => {
+      const result = service.validateSyntax('@at later Switch sides;2');
+      expect(result.errors).toEqual(['Line 1: Invalid cue time "later"']);
+    });
+
+    test('should validate the phrase after the cue time', () => {
+      const result = service.validateSyntax('@at 05:00 Switch sides;soon');
+      expect(result.errors[0]).toBe('Line 1: Invalid pause duration "soon"');
+    });
+
+    test('should report cues that go backwards', () => {
+      const result = service.validateSyntax('@at 05:00 A;1\n@at 04:00 B;1');
+      expect(result.errors).toEqual(['Line 2: Cue "@at 04:00" must be later than the previous cue at 05:00']);
+    });
+  });
+
+  describe('Generators', () => {
+    test('should accept countdown and interval directives', () => {
+      const text = '@voice onyx\n@countdown 3 go="Go!"\n@interval work=40 rest=20 rounds=8 label="Burpees" beep\nDone;1';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report invalid generator options', () => {
+      const result = service.validateSyntax('@countdown\n@interval work=40 laps=3');
+      expect(result.errors).toEqual([
+        'Line 1: "@countdown" needs a number, e.g. "@countdown 5"',
+        'Line 2: Unknown @interval option "laps". Expected one of: work, rest, rounds, label, countdown, beep',
+      ]);
+    });
+
+    test('should count generators as phrases for header placement', () => {
+      const result = service.validateSyntax('@countdown 3\n@voice onyx');
+      expect(result.errors).toEqual(['Line 2: Header directive must appear before the first phrase']);
+    });
+  });
+
+  describe('Sound Effects', () => {
+    test('should accept sound lines without a pause', () => {
+      const result = service.validateSyntax('@voice onyx\n@sound bell\n@sound "Temple Bell" gain=-6dB;2\nDone;1', 120, {
+        sounds: ['temple bell.wav'],
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report every sound as unknown without a library', () => {
+      expect(service.validateSyntax('@sound harp').errors).toEqual(['Line 1: Unknown sound effect "harp"']);
+    });
+
+    test('should report unknown sounds', () => {
+      const result = service.validateSyntax('@sound harp\n@sound bell;soon', 120, { sounds: [] });
+      expect(result.errors).toEqual([
+        'Line 1: Unknown sound effect "harp"',
+        'Line 2: Invalid pause duration "soon"',
+      ]);
+    });
+  });
+
+  describe('Agreement with the parser', () => {
+    test('should accept variables used by generators', () => {
+      expect(service.validateSyntax('@set n = 5\n@countdown {{n}}').valid).toBe(true);
+    });
+
+    test('should accept variables given by the form', () => {
+      expect(service.validateSyntax('Hello {{name}};2', 120, { variables: { name: 'Alex' } }).valid).toBe(true);
+    });
+
+    test('should report what only a render used to catch', () => {
+      expect(service.validateSyntax('Hello {{nobody}}; 2').errors).toEqual(['Line 1: Unknown variable "{{nobody}}"']);
+      expect(service.validateSyntax('## Intro\n## Main\nHi;1').errors).toEqual([
+        'Line 1: Section "Intro" has no phrases',
+      ]);
+      expect(service.validateSyntax('@repeat 20000\nHi;1\n@end').errors).toEqual([
+        'Line 1: Repeat expands to more than 10000 phrases',
+      ]);
+      expect(service.validateSyntax('@repeat 2\n@at 1:00 Hi;1\n@end').errors).toEqual([
+        'Line 2: Cue "@at 01:00" must be later than the previous cue at 01:00',
+      ]);
+    });
+
+    test('should warn about a long pause once per line', () => {
+      const result = service.validateSyntax('@repeat 3\nBreathe;300\n@end');
+      expect(result.warnings).toEqual([
+        'Line 2: Duration is quite long (300s > 120s). This is valid but consider if it\'s intentional.',
+      ]);
+    });
+  });
+
+  describe('Modifiers', () => {
+    test('should accept modifiers after overrides', () => {
+      const result = service.validateSyntax('{speed=0.8 gain=-6dB} Sleep now;5\n[voice=echo] {pitch=-2st} Rest;1');
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report unknown modifiers and bad values', () => {
+      const result = service.validateSyntax('{volume=2} Hi;1\n{gain=loud} Hi;1');
+      expect(result.errors).toEqual([
+        'Line 1: Unknown modifier "volume". Expected one of: speed, gain, pitch',
+        'Line 2: Gain must be a number of dB (e.g. "-6dB"), got "loud"',
+      ]);
+    });
+  });
+
+  describe('SSML', () => {
+    test('should accept well-formed SSML phrases', () => {
+      const text = '<speak>Breathe <break time="500ms"/> in</speak>;2\nFish &amp; chips;1';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report malformed SSML', () => {
+      const result = service.validateSyntax('<speak><emphasis>Hold</speak>;2');
+      expect(result.errors).toEqual(['Line 1: Invalid SSML: expected </emphasis> but found </speak>']);
+    });
+
+    test('should check every phrase after "@ssml on"', () => {
+      const result = service.validateSyntax('@ssml on\nRest;1\nFish & chips;1');
+      expect(result.errors).toEqual(['Line 3: Invalid SSML: write "&amp;" for a literal "&"']);
+    });
+
+    test('should check included fragments of an SSML program', () => {
+      const fragments = { 'outro.txt': 'A & B;1' };
+      const result = service.validateSyntax('@ssml on\n@include outro.txt', 120, { fragments });
+      expect(result.errors[0]).toContain('Line 2: In "outro.txt" line 1: Invalid SSML');
+    });
+  });
+
+  describe('Shuffle and Choose', () => {
+    test('should accept shuffle and choose blocks', () => {
+      const text = '@seed 42\n@shuffle\nA;1\nB;1\n@end\n@choose\nWell done;1\nGreat work;1\n@end';
+      const result = service.validateSyntax(text);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report choosing more lines than the block has', () => {
+      const result = service.validateSyntax('@choose 2\nA;1\n@repeat 2\nB;1\nC;1\n@end\n@end');
+      expect(result.valid).toBe(true);
+
+      const short = service.validateSyntax('@choose 3\nA;1\nB;1\n@end');
+      expect(short.errors).toEqual(['Line 1: "@choose 3" has only 2 line(s) to choose from']);
+    });
+
+    test('should report unclosed blocks by type', () => {
+      const result = service.validateSyntax('@shuffle\nA;1');
+      expect(result.errors).toEqual(['Line 1: "@shuffle" block is missing its "@end"']);
+    });
+
+    test('should only allow loop variables inside a repeat', () => {
+      const result = service.validateSyntax('@shuffle\nRound {{i}};1\n@end');
+      expect(result.errors).toEqual(['Line 2: "{{i}}" can only be used inside a "@repeat" block']);
+    });
+  });
+
+  describe('Sections', () => {
+    test('should accept section lines outside blocks', () => {
+      const result = service.validateSyntax('## Warm-up\nReach up;2\n## Cool down # slow\nRest;5');
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report sections inside blocks or without a title', () => {
+      const result = service.validateSyntax('@repeat 2\n## Round\nGo;1\n@end\n##  # nothing\nGo;1');
+      expect(result.errors).toEqual([
+        'Line 2: Sections cannot be inside "@repeat", "@shuffle" or "@choose" blocks',
+        'Line 5: Section needs a title, e.g. "## Warm-up"',
+      ]);
+    });
+
+    test('should check section overrides', () => {
+      const result = service.validateSyntax('## [lang=es-ES] Spanish\nHola;1\n## [lang=xx-] Broken\nGo;1\n## [lang=es]\nGo;1');
+      expect(result.errors).toEqual([
+        'Line 3: Language must be a code like "es" or "es-ES", got "xx-"',
+        'Line 5: Section needs a title, e.g. "## Warm-up"',
+      ]);
+    });
+
+    test('should accept background changes after the first phrase, outside blocks', () => {
+      const text = '@background brilliance\n## Workout\nGo;1\n## Cool down\n@background surf-waves-and-sea-foam fade=5s\nRest;2';
+      expect(service.validateSyntax(text).valid).toBe(true);
+
+      const result = service.validateSyntax('Go;1\n@repeat 2\n@background none\nA;1\n@end\n@background x fade=slow');
+      expect(result.errors).toEqual([
+        'Line 3: Background changes cannot be inside "@repeat", "@shuffle" or "@choose" blocks',
+        'Line 6: Invalid fade time "slow"',
+      ]);
+    });
+
+    test('should report sections in fragments included inside a block', () => {
+      const fragments = { 'round.txt': '## Round\nGo;1' };
+      const result = service.validateSyntax('@shuffle\n@include round\nA;1\n@end', 120, { fragments });
+      expect(result.errors).toEqual([
+        'Line 2: In "round.txt" line 1: Sections cannot be inside "@repeat", "@shuffle" or "@choose" blocks',
+      ]);
     });
   });
 
@@ -136,6 +512,19 @@ describe('TextEditorService', () => {
       const matches = highlighted.match(/syntax-duration/g);
       expect(matches).toHaveLength(2);
     });
+
+    test('should highlight durations with units like plain numbers', () => {
+      const text = 'Settle;1m30s\nBreathe;500ms\nRest;00:02:30';
+      const highlighted = service.applySyntaxHighlighting(text);
+      expect(highlighted).toContain('<span class="syntax-duration">1m30s</span>');
+      expect(highlighted).toContain('<span class="syntax-duration">500ms</span>');
+      expect(highlighted).toContain('<span class="syntax-duration">00:02:30</span>');
+    });
+
+    test('should not highlight invalid durations', () => {
+      const highlighted = service.applySyntaxHighlighting('Rest;5min');
+      expect(highlighted).not.toContain('syntax-duration');
+    });
   });
 
   describe('Statistics', () => {
@@ -212,5 +601,20 @@ describe('TextEditorService', () => {
       // Restore
       mockLocalStorage.setItem = originalSetItem;
     });
+
+    test('should load default prose pauses when none are saved', () => {
+      expect(service.loadProsePauses()).toEqual({
+        sentence: 1,
+        question: 1.5,
+        exclamation: 1,
+        trailing: 2,
+        paragraph: 3,
+      });
+    });
+
+    test('should save prose pauses over the defaults', () => {
+      service.saveProsePauses({ sentence: 0.5, paragraph: 4 });
+      expect(service.loadProsePauses()).toMatchObject({ sentence: 0.5, question: 1.5, paragraph: 4 });
+    });
   });
 });
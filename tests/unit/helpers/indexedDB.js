@@ -0,0 +1,73 @@
+/**
+ * Minimal IndexedDB mock for services built on KeyedStoreService:
+ * one object store, keyed by the keyPath the service creates it with
+ */
+
+class MockIDBRequest {
+  constructor() {
+    this.result = null;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+    this.onupgradeneeded = null;
+  }
+
+  succeed(result) {
+    this.result = result;
+    setTimeout(() => this.onsuccess?.(), 0);
+  }
+}
+
+class MockIDBObjectStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  put(entry) {
+    const request = new MockIDBRequest();
+    this.db.data[entry[this.db.keyPath]] = entry;
+    request.succeed();
+    return request;
+  }
+
+  getAll() {
+    const request = new MockIDBRequest();
+    request.succeed(Object.values(this.db.data));
+    return request;
+  }
+
+  delete(key) {
+    const request = new MockIDBRequest();
+    delete this.db.data[key];
+    request.succeed();
+    return request;
+  }
+}
+
+/**
+ * Install the mock as global.indexedDB
+ * @returns {{data: Object, keyPath: string|null}} The database; reset
+ *   `data` between tests
+ */
+export function mockIndexedDB() {
+  const mockDB = {
+    data: {},
+    keyPath: null,
+    objectStoreNames: { contains: () => mockDB.keyPath !== null },
+    createObjectStore: (name, { keyPath }) => {
+      mockDB.keyPath = keyPath;
+    },
+    transaction: () => ({ objectStore: () => new MockIDBObjectStore(mockDB) }),
+  };
+
+  global.indexedDB = {
+    open: () => {
+      const request = new MockIDBRequest();
+      setTimeout(() => request.onupgradeneeded?.({ target: { result: mockDB } }), 0);
+      request.succeed(mockDB);
+      return request;
+    },
+  };
+
+  return mockDB;
+}
@@ -0,0 +1,83 @@
+/**
+ * Tests for the pronunciation lexicon
+ */
+
+import {
+  applyLexicon,
+  entryPattern,
+  findAffectedLines,
+} from '../../scripts/utils/lexicon.js';
+
+const entries = [
+  { word: 'Vinyasa', respelling: 'vin-YAH-sah', phoneme: '', wholeWord: true, matchCase: false },
+  { word: 'Patanjali', respelling: 'puh-TAHN-juh-lee', phoneme: 'pəˈtɑːndʒəli', wholeWord: true, matchCase: false },
+  { word: 'APG', respelling: 'A P G', phoneme: '', wholeWord: true, matchCase: true },
+];
+
+describe('entryPattern', () => {
+  test('matches whole words ignoring case by default', () => {
+    const pattern = entryPattern({ word: 'Om' });
+    expect('om shanti, OM'.match(pattern)).toEqual(['om', 'OM']);
+    expect('Home'.match(pattern)).toBeNull();
+  });
+
+  test('can match inside words and respect case', () => {
+    expect('Vinyasas'.match(entryPattern({ word: 'Vinyasa', wholeWord: false }))).toEqual(['Vinyasa']);
+    expect('apg APG'.match(entryPattern({ word: 'APG', matchCase: true }))).toEqual(['APG']);
+  });
+
+  test('treats the word literally', () => {
+    expect('C++ and C'.match(entryPattern({ word: 'C++' }))).toEqual(['C++']);
+  });
+});
+
+describe('applyLexicon', () => {
+  test('uses respellings for engines without SSML', () => {
+    expect(applyLexicon('Patanjali taught vinyasa. apg, APG!', entries)).toEqual({
+      text: 'puh-TAHN-juh-lee taught vin-YAH-sah. apg, A P G!',
+      ssml: false,
+    });
+  });
+
+  test('uses IPA phonemes for engines that read SSML, escaping the text', () => {
+    expect(applyLexicon('Patanjali & Vinyasa', entries, { phonemes: true })).toEqual({
+      text: '<phoneme alphabet="ipa" ph="pəˈtɑːndʒəli">Patanjali</phoneme> &amp; vin-YAH-sah',
+      ssml: true,
+    });
+  });
+
+  test('only replaces text outside SSML tags', () => {
+    const ssml = '<speak><say-as interpret-as="characters">APG</say-as> Vinyasa</speak>';
+    const { text } = applyLexicon(ssml, [{ word: 'speak', respelling: 'x' }, ...entries], { ssml: true });
+    expect(text).toBe('<speak><say-as interpret-as="characters">A P G</say-as> vin-YAH-sah</speak>');
+  });
+
+  test('replaces longer words first', () => {
+    const overlapping = [
+      { word: 'Vinyasa', respelling: 'flow' },
+      { word: 'Vinyasa Krama', respelling: 'step by step' },
+    ];
+    expect(applyLexicon('Vinyasa Krama and Vinyasa', overlapping).text).toBe('step by step and flow');
+  });
+
+  test('leaves text unchanged when nothing matches', () => {
+    expect(applyLexicon('Breathe in', entries, { phonemes: true })).toEqual({ text: 'Breathe in', ssml: false });
+  });
+});
+
+describe('findAffectedLines', () => {
+  test('lists spoken lines that contain the word', () => {
+    const program = [
+      '@voice onyx',
+      '## Vinyasa flow',
+      'Welcome to vinyasa; 2',
+      '# vinyasa notes',
+      '@at 01:00 Vinyasa again; 1',
+      '@set style = Vinyasa',
+      'Rest; 5 # before vinyasa',
+    ].join('\n');
+
+    expect(findAffectedLines(program, entries[0])).toEqual([3, 5]);
+    expect(findAffectedLines(program, entries[1])).toEqual([]);
+  });
+});
@@ -2,14 +2,30 @@
  * Tests for phrase file parser
  */
 
-import { parseTextFile } from '../../scripts/utils/parser.js';
+import {
+  parseTextFile,
+  parseProgram,
+  formatParseError,
+  MAX_EXPANDED_PHRASES,
+  parseVariableList,
+  findFragment,
+  parseDuration,
+  formatClockTime,
+  checkSsml,
+  stripSsml,
+  BEEPS,
+  findSoundEffect,
+} from '../../scripts/utils/parser.js';
+
+// First collected error message for a program
+const firstError = (content) => parseProgram(content).errors[0]?.message;
 
 describe('parseTextFile', () => {
   test('parses simple phrase with duration', () => {
     const content = 'Hello world; 2';
     const result = parseTextFile(content);
 
-    expect(result).toEqual([{ phrase: 'Hello world', duration: 2 }]);
+    expect(result).toEqual([{ phrase: 'Hello world', duration: 2, line: 1 }]);
   });
 
   test('parses multiple phrases', () => {
@@ -21,23 +37,23 @@ describe('parseTextFile', () => {
     const result = parseTextFile(content);
 
     expect(result).toHaveLength(3);
-    expect(result[0]).toEqual({ phrase: 'First phrase', duration: 1 });
-    expect(result[1]).toEqual({ phrase: 'Second phrase', duration: 2.5 });
-    expect(result[2]).toEqual({ phrase: 'Third phrase', duration: 0 });
+    expect(result[0]).toEqual({ phrase: 'First phrase', duration: 1, line: 2 });
+    expect(result[1]).toEqual({ phrase: 'Second phrase', duration: 2.5, line: 3 });
+    expect(result[2]).toEqual({ phrase: 'Third phrase', duration: 0, line: 4 });
   });
 
   test('parses silence marker', () => {
     const content = '*; 3';
     const result = parseTextFile(content);
 
-    expect(result).toEqual([{ phrase: '*', duration: 3 }]);
+    expect(result).toEqual([{ phrase: '*', duration: 3, line: 1 }]);
   });
 
   test('handles extra whitespace', () => {
     const content = '  Hello world  ;  2  ';
     const result = parseTextFile(content);
 
-    expect(result).toEqual([{ phrase: 'Hello world', duration: 2 }]);
+    expect(result).toEqual([{ phrase: 'Hello world', duration: 2, line: 1 }]);
   });
 
   test('skips empty lines', () => {
@@ -56,14 +72,14 @@ describe('parseTextFile', () => {
     const content = 'Hello world;';
     const result = parseTextFile(content);
 
-    expect(result).toEqual([{ phrase: 'Hello world', duration: 0 }]);
+    expect(result).toEqual([{ phrase: 'Hello world', duration: 0, line: 1 }]);
   });
 
   test('handles no semicolon (defaults to 0)', () => {
     const content = 'Hello world';
     const result = parseTextFile(content);
 
-    expect(result).toEqual([{ phrase: 'Hello world', duration: 0 }]);
+    expect(result).toEqual([{ phrase: 'Hello world', duration: 0, line: 1 }]);
   });
 
   test('handles mixed formats', () => {
@@ -75,9 +91,9 @@ describe('parseTextFile', () => {
     const result = parseTextFile(content);
 
     expect(result).toHaveLength(3);
-    expect(result[0]).toEqual({ phrase: 'With duration', duration: 2 });
-    expect(result[1]).toEqual({ phrase: 'No duration', duration: 0 });
-    expect(result[2]).toEqual({ phrase: 'No semicolon at all', duration: 0 });
+    expect(result[0]).toEqual({ phrase: 'With duration', duration: 2, line: 2 });
+    expect(result[1]).toEqual({ phrase: 'No duration', duration: 0, line: 3 });
+    expect(result[2]).toEqual({ phrase: 'No semicolon at all', duration: 0, line: 4 });
   });
 
   test('throws error for empty content', () => {
@@ -107,3 +123,1005 @@ describe('parseTextFile', () => {
     expect(result[0].duration).toBe(1.5);
   });
 });
+
+describe('parseProgram header directives', () => {
+  test('returns empty header for plain programs', () => {
+    const result = parseProgram('Hello world; 2');
+
+    expect(result.header).toEqual({});
+    expect(result.phrases).toEqual([{ phrase: 'Hello world', duration: 2, line: 1 }]);
+  });
+
+  test('parses a full header block', () => {
+    const content = `
+      @engine openai
+      @voice onyx
+      @speed 0.9
+      @background river_and_birds
+      @attenuation -12
+      Breathe in; 4
+    `;
+    const result = parseProgram(content);
+
+    expect(result.header).toEqual({
+      engine: 'openai',
+      voice: 'onyx',
+      speed: 0.9,
+      background: 'river_and_birds',
+      attenuation: -12,
+    });
+    expect(result.phrases).toEqual([{ phrase: 'Breathe in', duration: 4, line: 7 }]);
+  });
+
+  test('allows blank lines inside the header', () => {
+    const result = parseProgram('@voice echo\n\n@speed 1.2\nHello; 1');
+
+    expect(result.header).toEqual({ voice: 'echo', speed: 1.2 });
+  });
+
+  test('parseTextFile skips header directives', () => {
+    const result = parseTextFile('@engine google-cloud\nHello; 1');
+
+    expect(result).toEqual([{ phrase: 'Hello', duration: 1, line: 2 }]);
+  });
+
+  test('reports unknown engine', () => {
+    expect(firstError('@engine elevenlabs\nHello; 1')).toContain('Unknown engine "elevenlabs"');
+  });
+
+  test('reports unknown directive', () => {
+    expect(firstError('@volume 3\nHello; 1')).toContain('Unknown directive "@volume"');
+  });
+
+  test('reports directive without value', () => {
+    expect(firstError('@voice\nHello; 1')).toContain('Directive "@voice" requires a value');
+  });
+
+  test('accepts decimals without a leading zero', () => {
+    expect(parseProgram('@speed .9\n@attenuation -.5\nHello; 1').header).toEqual({ speed: 0.9, attenuation: -0.5 });
+  });
+
+  test('reports non-numeric speed and attenuation', () => {
+    expect(firstError('@speed fast\nHello; 1')).toContain('Speed must be a positive number');
+    expect(firstError('@attenuation loud\nHello; 1')).toContain('Attenuation must be a number of dB');
+  });
+
+  test('reports when a directive follows a phrase', () => {
+    expect(firstError('Hello; 1\n@voice onyx')).toContain('Header directive must appear before the first phrase');
+  });
+
+  test('reports when program has only a header', () => {
+    expect(firstError('@voice onyx')).toContain('No valid phrases found in file');
+  });
+});
+
+describe('parseProgram inline overrides', () => {
+  test('attaches voice override to a phrase', () => {
+    const { phrases } = parseProgram('[voice=echo] Breathe in; 4\nHold; 2');
+
+    expect(phrases[0]).toEqual({
+      phrase: 'Breathe in',
+      duration: 4,
+      line: 1,
+      overrides: { voice: 'echo' },
+    });
+    expect(phrases[1]).toEqual({ phrase: 'Hold', duration: 2, line: 2 });
+  });
+
+  test('parses multiple overrides in one block', () => {
+    const { phrases } = parseProgram(
+      '[engine=google-cloud voice=en-US-Neural2-D speed=0.8] Relax; 3'
+    );
+
+    expect(phrases[0].overrides).toEqual({
+      engine: 'google-cloud',
+      voice: 'en-US-Neural2-D',
+      speed: 0.8,
+    });
+    expect(phrases[0].phrase).toBe('Relax');
+  });
+
+  test('leaves brackets without key=value as phrase text', () => {
+    const { phrases } = parseProgram('[softly] Relax; 3');
+
+    expect(phrases[0]).toEqual({ phrase: '[softly] Relax', duration: 3, line: 1 });
+  });
+
+  test('reports unsupported override key', () => {
+    expect(firstError('[background=rain] Relax; 3')).toContain('"background" cannot be set per line');
+  });
+
+  test('reports invalid override value', () => {
+    expect(firstError('[engine=polly] Relax; 3')).toContain('Unknown engine "polly"');
+  });
+
+  test('reports when overrides have no phrase text', () => {
+    expect(firstError('[voice=echo]; 3')).toContain('Missing phrase text after overrides');
+  });
+});
+
+describe('parseProgram languages', () => {
+  test('sets a program language and per-line languages in canonical case', () => {
+    const { header, phrases } = parseProgram('@lang EN-gb\nHello; 1\n[lang=es_es] Hola; 1\n[lang=zh-hant-tw] Ni hao; 1');
+
+    expect(header).toEqual({ lang: 'en-GB' });
+    expect(phrases[1].overrides).toEqual({ lang: 'es-ES' });
+    expect(phrases[2].overrides).toEqual({ lang: 'zh-Hant-TW' });
+  });
+
+  test('reports invalid language codes', () => {
+    expect(firstError('[lang=spanish] Hola; 1')).toBe('Language must be a code like "es" or "es-ES", got "spanish"');
+  });
+
+  test('applies section overrides to the phrases of the section', () => {
+    const { phrases, sections, errors } = parseProgram(
+      'Hello; 1\n## [lang=es-ES] Spanish\nHola; 1\n[voice=es-ES-Neural2-B] Adiós; 1\n[lang=fr-FR] Bonjour; 1\n## Review\nGoodbye; 1'
+    );
+
+    expect(errors).toEqual([]);
+    expect(sections.map(section => section.title)).toEqual(['Spanish', 'Review']);
+    expect(phrases.map(phrase => phrase.overrides)).toEqual([
+      undefined,
+      { lang: 'es-ES' },
+      { lang: 'es-ES', voice: 'es-ES-Neural2-B' },
+      { lang: 'fr-FR' },
+      undefined,
+    ]);
+  });
+
+  test('reports sections with overrides but no title', () => {
+    expect(firstError('## [lang=es-ES]\nHola; 1')).toBe('Section needs a title, e.g. "## Warm-up"');
+  });
+});
+
+describe('parseProgram comments and escapes', () => {
+  test('skips comment lines and trailing comments', () => {
+    const content = '# Morning session\nBreathe in; 4 # slowly\n  # indented comment\nHold; 2';
+    const { phrases } = parseProgram(content);
+
+    expect(phrases).toEqual([
+      { phrase: 'Breathe in', duration: 4, line: 2 },
+      { phrase: 'Hold', duration: 2, line: 4 },
+    ]);
+  });
+
+  test('keeps "#" inside words as phrase text', () => {
+    const { phrases } = parseProgram('Round #3 begins; 1');
+
+    expect(phrases[0].phrase).toBe('Round #3 begins');
+  });
+
+  test('strips a comment that follows the pause without a space after "#"', () => {
+    const { phrases, errors } = parseProgram('Breathe in; 4 #slow\nPlay C# #3; 2 #note\nRound #3 \\#1; 1');
+
+    expect(errors).toEqual([]);
+    expect(phrases).toEqual([
+      { phrase: 'Breathe in', duration: 4, line: 1 },
+      { phrase: 'Play C# #3', duration: 2, line: 2 },
+      { phrase: 'Round #3 #1', duration: 1, line: 3 },
+    ]);
+  });
+
+  test('splits the pause at the last semicolon', () => {
+    const { phrases, errors } = parseProgram('Hello; world; 2\nOne; two;');
+
+    expect(errors).toEqual([]);
+    expect(phrases).toEqual([
+      { phrase: 'Hello; world', duration: 2, line: 1 },
+      { phrase: 'One; two', duration: 0, line: 2 },
+    ]);
+  });
+
+  test('resolves escaped semicolons and hashes', () => {
+    const { phrases } = parseProgram('Inhale\\; then exhale; 3\nPress \\# to continue; 1');
+
+    expect(phrases[0]).toEqual({ phrase: 'Inhale; then exhale', duration: 3, line: 1 });
+    expect(phrases[1].phrase).toBe('Press # to continue');
+  });
+
+  test('resolves escaped leading tokens and braces', () => {
+    const content = '\\@home; 1\n\\[laughs] Ha; 1\n\\{speed=2} Hey; 1\nHi \\{\\{name}}; 1\n\\*; 1';
+    const { phrases, errors } = parseProgram(content, { variables: { name: 'Alex' } });
+
+    expect(errors).toEqual([]);
+    expect(phrases.map(p => p.phrase)).toEqual(['@home', '[laughs] Ha', '{speed=2} Hey', 'Hi {{name}}', '*']);
+    expect(phrases.some(p => p.overrides || p.modifiers)).toBe(false);
+  });
+
+  test('counts lines correctly with CRLF endings', () => {
+    const { phrases } = parseProgram('# intro\r\nHello; 1\r\n\r\nWorld; 2\r\n');
+
+    expect(phrases.map(p => p.line)).toEqual([2, 4]);
+    expect(phrases[1].phrase).toBe('World');
+  });
+
+  test('collects every error with its line number', () => {
+    const content = 'Hello; 1\nBad pause; soon\n; 2\nGoodbye; 1';
+    const { phrases, errors } = parseProgram(content);
+
+    expect(phrases).toHaveLength(2);
+    expect(errors).toEqual([
+      { line: 2, message: 'Invalid pause duration "soon"' },
+      { line: 3, message: 'Missing phrase text' },
+    ]);
+  });
+
+  test('parseTextFile throws the first error with its line number', () => {
+    expect(() => parseTextFile('Hello; 1\n\nBad; -1')).toThrow(
+      'Line 3: Invalid pause duration "-1"'
+    );
+  });
+
+  test('formatParseError omits the prefix for program-level errors', () => {
+    expect(formatParseError({ line: 5, message: 'Oops' })).toBe('Line 5: Oops');
+    expect(formatParseError({ line: null, message: 'No valid phrases found in file' })).toBe(
+      'No valid phrases found in file'
+    );
+  });
+});
+
+describe('parseProgram repeat blocks', () => {
+  test('expands a repeat block in place', () => {
+    const content = 'Begin; 1\n@repeat 3\nBreathe in; 4\nBreathe out; 4\n@end\nRest; 2';
+    const { phrases, errors } = parseProgram(content);
+
+    expect(errors).toEqual([]);
+    expect(phrases.map(p => p.phrase)).toEqual([
+      'Begin',
+      'Breathe in', 'Breathe out',
+      'Breathe in', 'Breathe out',
+      'Breathe in', 'Breathe out',
+      'Rest',
+    ]);
+  });
+
+  test('repeated phrases keep their source line', () => {
+    const { phrases } = parseProgram('@repeat 2\nInhale; 1\n@end');
+
+    expect(phrases).toEqual([
+      { phrase: 'Inhale', duration: 1, line: 2 },
+      { phrase: 'Inhale', duration: 1, line: 2 },
+    ]);
+    expect(phrases[0]).not.toBe(phrases[1]);
+  });
+
+  test('expands nested blocks', () => {
+    const content = `
+      @repeat 2
+        Round; 1
+        @repeat 3
+          Push; 1
+        @end
+      @end
+    `;
+    const { phrases } = parseProgram(content);
+
+    expect(phrases.map(p => p.phrase)).toEqual([
+      'Round', 'Push', 'Push', 'Push',
+      'Round', 'Push', 'Push', 'Push',
+    ]);
+  });
+
+  test('keeps inline overrides on repeated phrases', () => {
+    const { phrases } = parseProgram('@repeat 2\n[voice=echo] Hold; 2\n@end');
+
+    expect(phrases).toHaveLength(2);
+    expect(phrases[1].overrides).toEqual({ voice: 'echo' });
+  });
+
+  test('allows header directives before the first block', () => {
+    const { header, phrases } = parseProgram('@voice onyx\n@repeat 2\nHello; 1\n@end');
+
+    expect(header).toEqual({ voice: 'onyx' });
+    expect(phrases).toHaveLength(2);
+  });
+
+  test('reports header directives inside a block', () => {
+    const { errors } = parseProgram('@repeat 2\n@voice onyx\nHello; 1\n@end');
+
+    expect(errors).toEqual([
+      { line: 2, message: 'Header directive must appear before the first phrase' },
+    ]);
+  });
+
+  test('reports an unclosed block at its @repeat line', () => {
+    const { errors } = parseProgram('Hello; 1\n@repeat 4\nInhale; 2\nBad; soon');
+
+    expect(errors).toEqual([
+      { line: 2, message: '"@repeat" block is missing its "@end"' },
+      { line: 4, message: 'Invalid pause duration "soon"' },
+    ]);
+  });
+
+  test('reports a stray @end', () => {
+    expect(firstError('Hello; 1\n@end')).toBe('"@end" without a matching "@repeat", "@shuffle" or "@choose"');
+  });
+
+  test('reports invalid repeat counts', () => {
+    expect(firstError('@repeat\nHello; 1\n@end')).toContain('needs a whole number of rounds');
+    expect(firstError('@repeat 0\nHello; 1\n@end')).toContain('got "0"');
+    expect(firstError('@repeat 2.5\nHello; 1\n@end')).toContain('got "2.5"');
+  });
+
+  test('reports blocks that expand past the phrase limit', () => {
+    const content = '@repeat 1000\n@repeat 1000\nHello; 1\n@end\n@end';
+    const { errors } = parseProgram(content);
+
+    expect(errors[0]).toEqual({
+      line: 1,
+      message: `Repeat expands to more than ${MAX_EXPANDED_PHRASES} phrases`,
+    });
+  });
+});
+
+describe('parseProgram variables', () => {
+  const now = new Date(2026, 9, 19);
+
+  test('substitutes @set variables into phrase text', () => {
+    const { phrases } = parseProgram('@set name = Alex\nGood morning, {{name}}; 2');
+
+    expect(phrases[0].phrase).toBe('Good morning, Alex');
+  });
+
+  test('allows whitespace inside placeholders', () => {
+    const { phrases } = parseProgram('@set name = Alex\nHi {{ name }}; 1');
+
+    expect(phrases[0].phrase).toBe('Hi Alex');
+  });
+
+  test('caller variables override @set definitions', () => {
+    const { phrases } = parseProgram('@set name = friend\nHello {{name}}; 1', {
+      variables: { name: 'Sam' },
+    });
+
+    expect(phrases[0].phrase).toBe('Hello Sam');
+  });
+
+  test('@set can be redefined later in the program', () => {
+    const content = '@set side = left\nRaise your {{side}} arm; 2\n@set side = right\nRaise your {{side}} arm; 2';
+    const { phrases } = parseProgram(content);
+
+    expect(phrases.map(p => p.phrase)).toEqual(['Raise your left arm', 'Raise your right arm']);
+  });
+
+  test('@set values can use other variables', () => {
+    const content = '@set name = Alex\n@set greeting = Welcome back, {{name}}\n{{greeting}}; 1';
+    const { phrases } = parseProgram(content);
+
+    expect(phrases[0].phrase).toBe('Welcome back, Alex');
+  });
+
+  test('fills in round number and total inside @repeat', () => {
+    const { phrases } = parseProgram('@repeat 3\nRound {{i}} of {{total}}; 1\n@end');
+
+    expect(phrases.map(p => p.phrase)).toEqual([
+      'Round 1 of 3',
+      'Round 2 of 3',
+      'Round 3 of 3',
+    ]);
+  });
+
+  test('loop variables refer to the innermost block', () => {
+    const content = '@repeat 2\nSet {{i}}; 1\n@repeat 2\nRep {{i}}; 1\n@end\n@end';
+    const { phrases } = parseProgram(content);
+
+    expect(phrases.map(p => p.phrase)).toEqual([
+      'Set 1', 'Rep 1', 'Rep 2',
+      'Set 2', 'Rep 1', 'Rep 2',
+    ]);
+  });
+
+  test('substitutes the spoken date', () => {
+    const { phrases } = parseProgram('Today is {{date}}; 1', { now });
+
+    expect(phrases[0].phrase).toBe('Today is Monday, October 19, 2026');
+  });
+
+  test('reports unknown variables', () => {
+    expect(firstError('Hello {{name}}; 1')).toBe('Unknown variable "{{name}}"');
+  });
+
+  test('reports loop variables outside a block', () => {
+    expect(firstError('Round {{i}}; 1')).toBe('"{{i}}" can only be used inside a "@repeat" block');
+  });
+
+  test('reports invalid @set lines', () => {
+    expect(firstError('@set name\nHello; 1')).toContain('Expected name = value');
+    expect(firstError('@set i = 3\nHello; 1')).toBe('"i" is a built-in variable and cannot be set');
+  });
+
+  test('@set does not end the header block', () => {
+    const { header, errors } = parseProgram('@set name = Alex\n@voice onyx\nHi {{name}}; 1');
+
+    expect(errors).toEqual([]);
+    expect(header).toEqual({ voice: 'onyx' });
+  });
+});
+
+describe('parseVariableList', () => {
+  test('parses one assignment per line', () => {
+    expect(parseVariableList('name = Alex\n\n# comment\ncity=Lisbon')).toEqual({
+      name: 'Alex',
+      city: 'Lisbon',
+    });
+  });
+
+  test('returns an empty object for empty input', () => {
+    expect(parseVariableList('')).toEqual({});
+    expect(parseVariableList(null)).toEqual({});
+  });
+
+  test('throws with the line number of a bad entry', () => {
+    expect(() => parseVariableList('name = Alex\nAlex')).toThrow(
+      'Variables line 2: Invalid variable "Alex"'
+    );
+  });
+});
+
+describe('parseProgram includes', () => {
+  const fragments = {
+    'intro.txt': 'Welcome; 2\nSettle in; 3',
+    'outro.txt': '# closing\nThank you; 1',
+    'disclaimer.txt': '@include outro.txt\nConsult your doctor; 1',
+  };
+
+  test('expands fragments in place at the include line', () => {
+    const content = '@include intro.txt\nBreathe; 4\n@include outro.txt';
+    const { phrases, errors } = parseProgram(content, { fragments });
+
+    expect(errors).toEqual([]);
+    expect(phrases).toEqual([
+      { phrase: 'Welcome', duration: 2, line: 1 },
+      { phrase: 'Settle in', duration: 3, line: 1 },
+      { phrase: 'Breathe', duration: 4, line: 2 },
+      { phrase: 'Thank you', duration: 1, line: 3 },
+    ]);
+  });
+
+  test('expands nested fragments', () => {
+    const { phrases } = parseProgram('@include disclaimer.txt', { fragments });
+
+    expect(phrases.map(p => p.phrase)).toEqual(['Thank you', 'Consult your doctor']);
+  });
+
+  test('matches fragment names ignoring case and extension', () => {
+    const { phrases } = parseProgram('@include Intro', { fragments });
+
+    expect(phrases[0].phrase).toBe('Welcome');
+  });
+
+  test('fragments can be repeated and use program variables', () => {
+    const { phrases } = parseProgram(
+      '@set name = Alex\n@repeat 2\n@include greet.txt\n@end',
+      { fragments: { 'greet.txt': 'Round {{i}}, {{name}}; 1' } }
+    );
+
+    expect(phrases.map(p => p.phrase)).toEqual(['Round 1, Alex', 'Round 2, Alex']);
+  });
+
+  test('fragments may hold header directives', () => {
+    const { header } = parseProgram('@include voice.txt\nHello; 1', {
+      fragments: { 'voice.txt': '@voice onyx\n@speed 0.9' },
+    });
+
+    expect(header).toEqual({ voice: 'onyx', speed: 0.9 });
+  });
+
+  test('reports unknown fragments', () => {
+    expect(firstError('Hello; 1\n@include missing.txt')).toBe('Unknown fragment "missing.txt"');
+  });
+
+  test('reports errors inside fragments at the include line', () => {
+    const { errors } = parseProgram('Hello; 1\n@include bad.txt', {
+      fragments: { 'bad.txt': 'Fine; 1\nBroken; later' },
+    });
+
+    expect(errors).toEqual([
+      { line: 2, message: 'In "bad.txt" line 2: Invalid pause duration "later"' },
+    ]);
+  });
+
+  test('detects include cycles', () => {
+    const { errors } = parseProgram('Hello; 1\n@include a.txt', {
+      fragments: { 'a.txt': 'A; 1\n@include b.txt', 'b.txt': '@include a.txt' },
+    });
+
+    expect(errors).toEqual([
+      {
+        line: 2,
+        message: 'In "a.txt" line 2: In "b.txt" line 1: Include cycle: a.txt → b.txt → a.txt',
+      },
+    ]);
+  });
+
+  test('allows the same fragment twice when it is not a cycle', () => {
+    const { phrases, errors } = parseProgram('@include outro.txt\n@include outro.txt', { fragments });
+
+    expect(errors).toEqual([]);
+    expect(phrases).toHaveLength(2);
+  });
+
+  test('fragments must close the blocks they open', () => {
+    const { errors } = parseProgram('@repeat 2\n@include open.txt\n@end', {
+      fragments: { 'open.txt': '@end\n@repeat 3\nHi; 1' },
+    });
+
+    expect(errors).toEqual([
+      { line: 2, message: 'In "open.txt" line 1: "@end" without a matching "@repeat", "@shuffle" or "@choose"' },
+      { line: 2, message: 'In "open.txt" line 2: "@repeat" block is missing its "@end"' },
+    ]);
+  });
+
+  test('findFragment returns null for unknown names', () => {
+    expect(findFragment(fragments, 'nope')).toBeNull();
+    expect(findFragment(null, 'intro')).toBeNull();
+  });
+});
+
+describe('parseDuration', () => {
+  test.each([
+    ['90', 90],
+    ['2.5', 2.5],
+    ['500ms', 0.5],
+    ['1.5s', 1.5],
+    ['2m', 120],
+    ['1m30s', 90],
+    ['1h', 3600],
+    ['1h2m3s', 3723],
+    ['1s250ms', 1.25],
+    ['1.1m', 66],
+    ['2:30', 150],
+    ['00:02:30', 150],
+    ['1:00:00', 3600],
+    ['0:05.5', 5.5],
+  ])('parses %s as %d seconds', (value, seconds) => {
+    expect(parseDuration(value)).toBe(seconds);
+  });
+
+  test.each(['', 'soon', '-1', 'm', '1x', '30s1m', '1 m', '2:75', '1:60:00', '1::2'])(
+    'rejects %p',
+    (value) => {
+      expect(parseDuration(value)).toBeNull();
+    }
+  );
+
+  test('normalises unit durations to seconds in phrases', () => {
+    const { phrases, errors } = parseProgram('Settle; 1m30s\nBreathe; 500ms\nRest; 00:02:30');
+
+    expect(errors).toEqual([]);
+    expect(phrases.map(p => p.duration)).toEqual([90, 0.5, 150]);
+  });
+
+  test('reports invalid unit durations', () => {
+    expect(firstError('Rest; 5 minutes')).toBe('Invalid pause duration "5 minutes"');
+  });
+});
+
+describe('parseProgram cue times', () => {
+  test('attaches absolute cue times to phrases', () => {
+    const content = 'Warm up; 2\n@at 05:00 Switch sides; 2\n@at 7m30s Last round';
+    const { phrases, errors } = parseProgram(content);
+
+    expect(errors).toEqual([]);
+    expect(phrases).toEqual([
+      { phrase: 'Warm up', duration: 2, line: 1 },
+      { phrase: 'Switch sides', duration: 2, line: 2, at: 300 },
+      { phrase: 'Last round', duration: 0, line: 3, at: 450 },
+    ]);
+  });
+
+  test('cue lines support overrides and variables', () => {
+    const { phrases } = parseProgram('@set side = left\n@at 1:00 [voice=echo] Switch to {{side}}; 1');
+
+    expect(phrases[0]).toEqual({
+      phrase: 'Switch to left',
+      duration: 1,
+      line: 2,
+      overrides: { voice: 'echo' },
+      at: 60,
+    });
+  });
+
+  test('a cue ends the header block', () => {
+    expect(firstError('@at 0:10 Go; 1\n@voice onyx')).toBe(
+      'Header directive must appear before the first phrase'
+    );
+  });
+
+  test('reports missing and invalid cue times', () => {
+    expect(firstError('@at')).toContain('"@at" needs a time');
+    expect(firstError('@at soon Go; 1')).toBe('Invalid cue time "soon"');
+    expect(firstError('@at 05:00')).toBe('Missing phrase text');
+  });
+
+  test('reports cues that go backwards', () => {
+    const { errors } = parseProgram('@at 05:00 Switch; 1\n@at 03:00 Back; 1');
+
+    expect(errors).toEqual([
+      { line: 2, message: 'Cue "@at 03:00" must be later than the previous cue at 05:00' },
+    ]);
+  });
+
+  test('reports a repeated cue once', () => {
+    const { errors } = parseProgram('@repeat 3\n@at 01:00 Go; 1\n@end');
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].line).toBe(2);
+  });
+
+  test('formatClockTime formats minutes, hours and fractions', () => {
+    expect(formatClockTime(0)).toBe('00:00');
+    expect(formatClockTime(330)).toBe('05:30');
+    expect(formatClockTime(3725)).toBe('1:02:05');
+    expect(formatClockTime(62.5)).toBe('01:02.5');
+  });
+});
+
+describe('parseProgram shuffle and choose', () => {
+  const texts = (content, options) => parseProgram(content, options).phrases.map(p => p.phrase);
+  const lines = 'A; 1\nB; 1\nC; 1\nD; 1\nE; 1';
+
+  test('shuffles block lines into a permutation', () => {
+    const result = texts(`Start; 1\n@shuffle\n${lines}\n@end\nDone; 1`, { seed: 7 });
+
+    expect(result[0]).toBe('Start');
+    expect(result[6]).toBe('Done');
+    expect([...result.slice(1, 6)].sort()).toEqual(['A', 'B', 'C', 'D', 'E']);
+  });
+
+  test('the same seed gives the same order', () => {
+    const content = `@shuffle\n${lines}\n@end`;
+    const { seed } = parseProgram(content);
+
+    expect(texts(content, { seed })).toEqual(texts(content, { seed }));
+    expect(typeof seed).toBe('number');
+  });
+
+  test('a program "@seed" takes precedence over the caller', () => {
+    const content = `@seed 42\n@shuffle\n${lines}\n@end`;
+    const result = parseProgram(content, { seed: 1 });
+
+    expect(result.header.seed).toBe(42);
+    expect(result.seed).toBe(42);
+    expect(result.phrases.map(p => p.phrase)).toEqual(texts(`@shuffle\n${lines}\n@end`, { seed: 42 }));
+  });
+
+  test('chooses lines and keeps them in program order', () => {
+    const result = texts(`@choose 3\n${lines}\n@end`, { seed: 3 });
+
+    expect(result).toHaveLength(3);
+    expect(result).toEqual([...result].sort());
+  });
+
+  test('a bare "@choose" picks one line and keeps its source line', () => {
+    const { phrases } = parseProgram('@choose\nWell done; 1\nGreat work; 1\n@end', { seed: 5 });
+
+    expect(phrases).toHaveLength(1);
+    expect(phrases[0]).toEqual(
+      phrases[0].phrase === 'Well done'
+        ? { phrase: 'Well done', duration: 1, line: 2 }
+        : { phrase: 'Great work', duration: 1, line: 3 }
+    );
+  });
+
+  test('reshuffles every round of a repeat', () => {
+    const orders = new Set();
+    const result = texts(`@repeat 10\n@shuffle\n${lines}\n@end\n@end`, { seed: 11 });
+    for (let round = 0; round < 10; round++) {
+      orders.add(result.slice(round * 5, round * 5 + 5).join(''));
+    }
+
+    expect(result).toHaveLength(50);
+    expect(orders.size).toBeGreaterThan(1);
+  });
+
+  test('nested blocks and includes count as one line', () => {
+    const content = '@choose\n@include intro.txt\n@repeat 2\nRound {{i}}; 1\n@end\n@end';
+    const fragments = { 'intro.txt': 'Welcome; 1\nSettle in; 1' };
+    const results = [1, 2, 3, 4, 5, 6].map(seed => texts(content, { fragments, seed }).join(','));
+
+    results.forEach(result => {
+      expect(['Welcome,Settle in', 'Round 1,Round 2']).toContain(result);
+    });
+  });
+
+  test('reports choosing more lines than the block has', () => {
+    const { errors } = parseProgram('Hi; 1\n@choose 3\nA; 1\nB; 1\n@end');
+
+    expect(errors).toEqual([{ line: 2, message: '"@choose 3" has only 2 line(s) to choose from' }]);
+  });
+
+  test('reports invalid block values and seeds', () => {
+    expect(firstError('@shuffle 2\nA; 1\n@end')).toBe('"@shuffle" does not take a value');
+    expect(firstError('@choose some\nA; 1\n@end')).toBe(
+      '"@choose" needs a whole number of lines to pick, got "some"'
+    );
+    expect(firstError('@seed abc\nA; 1')).toBe('Seed must be a whole number, got "abc"');
+  });
+
+  test('reports unclosed blocks by type', () => {
+    expect(firstError('@shuffle\nA; 1')).toBe('"@shuffle" block is missing its "@end"');
+  });
+
+  test('loop variables need an enclosing repeat', () => {
+    expect(firstError('@shuffle\nRound {{i}}; 1\n@end')).toBe(
+      '"{{i}}" can only be used inside a "@repeat" block'
+    );
+  });
+});
+
+describe('SSML', () => {
+  test('flags phrases written as <speak> documents', () => {
+    const { phrases } = parseProgram('<speak>Breathe <break time="1s"/> in</speak>; 2\nRest; 1');
+
+    expect(phrases).toEqual([
+      { phrase: '<speak>Breathe <break time="1s"/> in</speak>', duration: 2, line: 1, ssml: true },
+      { phrase: 'Rest', duration: 1, line: 2 },
+    ]);
+  });
+
+  test('"@ssml on" flags every phrase except silence', () => {
+    const { header, phrases } = parseProgram('@ssml on\n<emphasis>Now</emphasis>; 1\n*; 2');
+
+    expect(header.ssml).toBe(true);
+    expect(phrases.map(p => p.ssml)).toEqual([true, undefined]);
+  });
+
+  test('plain phrases have no entities and are left as written', () => {
+    const { phrases } = parseProgram('Rock &amp; roll; 2\nRock & roll; 1');
+
+    expect(phrases).toEqual([
+      { phrase: 'Rock &amp; roll', duration: 2, line: 1 },
+      { phrase: 'Rock & roll', duration: 1, line: 2 },
+    ]);
+    expect(firstError('Rock &amp; roll')).toBe('Invalid pause duration "roll"');
+  });
+
+  test('entities in a <speak> phrase do not end it', () => {
+    const { phrases } = parseProgram('<speak>Rock &amp; roll</speak>');
+
+    expect(phrases[0]).toMatchObject({ phrase: '<speak>Rock &amp; roll</speak>', duration: 0, ssml: true });
+  });
+
+  test('a ";" ending an entity does not end the phrase', () => {
+    const { phrases } = parseProgram('@ssml on\nFish &amp; chips &#38; peas; 2');
+
+    expect(phrases[0]).toMatchObject({ phrase: 'Fish &amp; chips &#38; peas', duration: 2 });
+  });
+
+  test('reports malformed SSML at its line', () => {
+    const { errors } = parseProgram('Hi; 1\n<speak><prosody rate="slow">Hi</speak>; 1');
+
+    expect(errors).toEqual([
+      { line: 2, message: 'Invalid SSML: expected </prosody> but found </speak>' },
+    ]);
+    expect(firstError('@ssml yes\nHi; 1')).toBe('SSML must be "on" or "off", got "yes"');
+  });
+
+  test.each([
+    ['<speak>Hi', 'Invalid SSML: <speak> is never closed'],
+    ['Hi</emphasis>', 'Invalid SSML: </emphasis> has no opening tag'],
+    ['Fish & chips', 'Invalid SSML: write "&amp;" for a literal "&"'],
+    ['<break time=1s/>', 'Invalid SSML: malformed tag (write "&lt;" for a literal "<")'],
+  ])('checkSsml rejects %s', (text, message) => {
+    expect(() => checkSsml(text)).toThrow(message);
+  });
+
+  test('stripSsml leaves plain text for other engines', () => {
+    expect(stripSsml('<speak>Breathe <break time="1s"/>in.</speak>')).toBe('Breathe in.');
+    expect(stripSsml('<s>One</s><s>Two</s>')).toBe('One Two');
+    expect(stripSsml('Fish &amp; chips &#38; &lt;peas&gt;')).toBe('Fish & chips & <peas>');
+  });
+});
+
+describe('parseProgram modifiers', () => {
+  test('stores modifiers on the phrase', () => {
+    const { phrases } = parseProgram('{speed=0.8 gain=-6dB pitch=-2st} Sleep now; 5');
+
+    expect(phrases).toEqual([
+      { phrase: 'Sleep now', duration: 5, line: 1, modifiers: { speed: 0.8, gain: -6, pitch: -2 } },
+    ]);
+  });
+
+  test('modifiers follow overrides and leave placeholders alone', () => {
+    const { phrases } = parseProgram('@set name = Alex\n[voice=echo] {gain=3} Night {{name}}; 1\n{{name}}; 1');
+
+    expect(phrases[0]).toMatchObject({
+      phrase: 'Night Alex',
+      overrides: { voice: 'echo' },
+      modifiers: { gain: 3 },
+    });
+    expect(phrases[1].phrase).toBe('Alex');
+    expect(phrases[1].modifiers).toBeUndefined();
+  });
+
+  test('accepts decimals without a leading zero', () => {
+    const { phrases } = parseProgram('{speed=.9 gain=-.5dB pitch=.5st} Sleep now; 5');
+
+    expect(phrases[0].modifiers).toEqual({ speed: 0.9, gain: -0.5, pitch: 0.5 });
+  });
+
+  test('reports invalid modifiers', () => {
+    expect(firstError('{speed=0} Hi; 1')).toBe('Speed must be a positive number, got "0"');
+    expect(firstError('{pitch=high} Hi; 1')).toBe(
+      'Pitch must be a number of semitones (e.g. "-2st"), got "high"'
+    );
+    expect(parseProgram('{speed} Hi; 1').phrases[0].phrase).toBe('{speed} Hi');
+    expect(firstError('{speed=0.8}; 1')).toBe('Missing phrase text after overrides');
+  });
+});
+
+describe('parseProgram countdown and interval', () => {
+  const timeline = (content) =>
+    parseProgram(content).phrases.map(p => [p.beep ? 'beep' : p.phrase, p.slot ?? p.duration]);
+
+  test('counts down one number per second', () => {
+    expect(timeline('@countdown 3 go="Go!"\nRun; 10')).toEqual([
+      ['3', 1], ['2', 1], ['1', 1], ['Go!', 0], ['Run', 10],
+    ]);
+  });
+
+  test('uses beeps with a long beep at zero', () => {
+    const { phrases } = parseProgram('@countdown 2 beep');
+
+    expect(phrases).toEqual([
+      { phrase: '*', duration: 0, slot: 1, beep: BEEPS.tick, line: 1 },
+      { phrase: '*', duration: 0, slot: 1, beep: BEEPS.tick, line: 1 },
+      { phrase: '*', duration: 0, beep: BEEPS.go, line: 1 },
+    ]);
+  });
+
+  test('expands intervals into work and rest phases that add up', () => {
+    const result = timeline('@interval work=40 rest=20 rounds=2 label="Burpees"');
+
+    expect(result).toEqual([
+      ['Burpees, round 1 of 2', 30], ['10 seconds left', 7], ['3', 1], ['2', 1], ['1', 1],
+      ['Rest', 17], ['3', 1], ['2', 1], ['1', 1],
+      ['Burpees, round 2 of 2', 30], ['10 seconds left', 7], ['3', 1], ['2', 1], ['1', 1],
+    ]);
+    expect(result.reduce((sum, [, seconds]) => sum + seconds, 0)).toBe(100);
+  });
+
+  test('shortens countdowns for brief phases and accepts duration units', () => {
+    expect(timeline('@interval work=2 rest=1m rounds=2 countdown=5 beep')).toEqual([
+      ['Work, round 1 of 2', 1], ['beep', 1],
+      ['Rest', 55], ['beep', 1], ['beep', 1], ['beep', 1], ['beep', 1], ['beep', 1],
+      ['Work, round 2 of 2', 1], ['beep', 1],
+    ]);
+  });
+
+  test('substitutes variables in labels', () => {
+    expect(timeline('@set move = Squats\n@interval work=10 label="{{move}}" countdown=0')).toEqual([
+      ['Squats', 10],
+    ]);
+  });
+
+  test('reports invalid generator options', () => {
+    expect(firstError('@countdown five')).toBe('"count" must be a whole number from 1 to 60, got "five"');
+    expect(firstError('@countdown 3 loud')).toBe('Unknown @countdown option "loud". Expected: beep, go="text"');
+    expect(firstError('@interval rest=10')).toContain('"@interval" needs a work time');
+    expect(firstError('@interval work=soon')).toBe('Invalid work time "soon"');
+    expect(firstError('@interval work=30 rounds=0')).toBe(
+      '"rounds" must be a whole number from 1 to 1000, got "0"'
+    );
+  });
+});
+
+describe('parseProgram sound effects', () => {
+  test('plays built-in effects in place of speech', () => {
+    const { phrases, errors } = parseProgram('@sound bell\n@sound gong gain=-6dB; 2');
+
+    expect(errors).toEqual([]);
+    expect(phrases).toEqual([
+      { phrase: '*', duration: 0, line: 1, sound: { name: 'bell', builtIn: true } },
+      { phrase: '*', duration: 2, line: 2, sound: { name: 'gong', builtIn: true, gain: -6 } },
+    ]);
+  });
+
+  test('finds library sounds by quoted name, ignoring case and extension', () => {
+    const { phrases } = parseProgram('@sound "Temple Bell"; 1', { sounds: ['temple bell.wav'] });
+    expect(phrases[0].sound).toEqual({ name: 'temple bell.wav' });
+
+    expect(findSoundEffect(['bell.wav'], 'bell.wav')).toEqual({ name: 'bell.wav' });
+    expect(findSoundEffect(['bell.wav'], 'Bell')).toEqual({ name: 'bell', builtIn: true });
+  });
+
+  test('plays sounds at cue times and inside blocks', () => {
+    const { phrases } = parseProgram('@at 05:00 @sound gong\n@repeat 2\n@sound chime; 1\n@end');
+
+    expect(phrases.map(p => [p.sound.name, p.at])).toEqual([
+      ['gong', 300], ['chime', undefined], ['chime', undefined],
+    ]);
+  });
+
+  test('reports unknown sounds and options', () => {
+    expect(firstError('@sound harp')).toBe('Unknown sound effect "harp"');
+    expect(firstError('@sound bell loud=1')).toBe('Unknown @sound option "loud". Expected: gain=-6dB');
+    expect(firstError('@sound')).toBe('"@sound" needs an effect name, e.g. "@sound bell"');
+    expect(firstError('@sound bell; soon')).toBe('Invalid pause duration "soon"');
+  });
+});
+
+describe('parseProgram background changes', () => {
+  test('records where each change starts, after the header background', () => {
+    const { header, backgrounds, errors } = parseProgram(
+      '@background brilliance\n## Workout\nGo; 1\n## Cool down\n@background surf-waves-and-sea-foam fade=5s\nRest; 2\n@background none\nEnd; 1'
+    );
+
+    expect(errors).toEqual([]);
+    expect(header.background).toBe('brilliance');
+    expect(backgrounds).toEqual([
+      { name: 'surf-waves-and-sea-foam', fade: 5, line: 5, index: 1 },
+      { name: 'none', fade: 3, line: 7, index: 2 },
+    ]);
+  });
+
+  test('reports changes from fragments at the @include line', () => {
+    const { backgrounds } = parseProgram('Go; 1\n@include calm', {
+      fragments: { 'calm.txt': 'Relax; 1\n@background river_and_birds\nBreathe; 4' },
+    });
+    expect(backgrounds).toEqual([{ name: 'river_and_birds', fade: 3, line: 2, index: 2 }]);
+  });
+
+  test('reports invalid changes', () => {
+    expect(firstError('Go; 1\n@repeat 2\n@background brilliance\nA; 1\n@end')).toBe(
+      'Background changes cannot be inside "@repeat", "@shuffle" or "@choose" blocks'
+    );
+    expect(firstError('Go; 1\n@background')).toBe(
+      '"@background" needs a sample name, e.g. "@background river_and_birds"'
+    );
+    expect(firstError('Go; 1\n@background brilliance loud')).toBe(
+      'Unknown @background option "loud". Expected: fade=3s'
+    );
+    expect(firstError('Go; 1\n@background brilliance fade=slow')).toBe('Invalid fade time "slow"');
+  });
+});
+
+describe('parseProgram sections', () => {
+  test('records where each section starts', () => {
+    const { phrases, sections, errors } = parseProgram(
+      '@voice onyx\n## Warm-up\nReach up; 2\n@repeat 2\nStretch; 1\n@end\n## Cool down # slow\nRest; 5'
+    );
+
+    expect(errors).toEqual([]);
+    expect(phrases.map(p => p.phrase)).toEqual(['Reach up', 'Stretch', 'Stretch', 'Rest']);
+    expect(sections).toEqual([
+      { title: 'Warm-up', line: 2, index: 0 },
+      { title: 'Cool down', line: 7, index: 3 },
+    ]);
+  });
+
+  test('keeps single hashes and three or more as comments', () => {
+    const { phrases, sections } = parseProgram('# note\n### also a note\n##no space\nHello; 1');
+    expect(sections).toEqual([]);
+    expect(phrases).toHaveLength(1);
+  });
+
+  test('substitutes variables in titles', () => {
+    const { sections } = parseProgram('@set week = 3\n## Week {{week}}\nHello; 1');
+    expect(sections[0].title).toBe('Week 3');
+  });
+
+  test('reports sections inside blocks and without a title', () => {
+    expect(firstError('@repeat 2\n## Round\nGo; 1\n@end')).toBe(
+      'Sections cannot be inside "@repeat", "@shuffle" or "@choose" blocks'
+    );
+    expect(firstError('##   # just a comment\nGo; 1')).toBe('Section needs a title, e.g. "## Warm-up"');
+  });
+
+  test('reports sections without phrases', () => {
+    const { sections, errors } = parseProgram('## Intro\n## Main\nGo; 1\n## Outro');
+    expect(errors).toEqual([
+      { line: 1, message: 'Section "Intro" has no phrases' },
+      { line: 4, message: 'Section "Outro" has no phrases' },
+    ]);
+    expect(sections).toEqual([{ title: 'Main', line: 2, index: 0 }]);
+  });
+
+  test('reports sections from fragments at the @include line', () => {
+    const { sections } = parseProgram('Hi; 1\n@include intro', {
+      fragments: { 'intro.txt': '## Intro\nWelcome; 1' },
+    });
+    expect(sections).toEqual([{ title: 'Intro', line: 2, index: 1 }]);
+  });
+});
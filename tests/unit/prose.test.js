@@ -0,0 +1,96 @@
+/**
+ * Tests for prose-to-program conversion
+ */
+
+import { PROSE_PAUSES, proseToProgram, splitSentences } from '../../scripts/utils/prose.js';
+import { parseProgram } from '../../scripts/utils/parser.js';
+
+describe('splitSentences', () => {
+  test('splits at sentence punctuation followed by a capital', () => {
+    expect(splitSentences('Welcome back. Are you ready? Go! 3 rounds left… Rest.')).toEqual([
+      'Welcome back.',
+      'Are you ready?',
+      'Go!',
+      '3 rounds left…',
+      'Rest.',
+    ]);
+  });
+
+  test('keeps closing quotes with their sentence', () => {
+    expect(splitSentences('She said "Breathe in." Then she smiled.')).toEqual([
+      'She said "Breathe in."',
+      'Then she smiled.',
+    ]);
+  });
+
+  test('does not split at abbreviations, initials or decimals', () => {
+    expect(splitSentences('Dr. Smith met J. Doe, e.g. Monday. Hold for 3.5 seconds.')).toEqual([
+      'Dr. Smith met J. Doe, e.g. Monday.',
+      'Hold for 3.5 seconds.',
+    ]);
+  });
+
+  test('does not split before lowercase words', () => {
+    expect(splitSentences('Wait... and breathe.')).toEqual(['Wait... and breathe.']);
+  });
+});
+
+describe('proseToProgram', () => {
+  test('infers pauses from punctuation with longer pauses between paragraphs', () => {
+    const prose = 'Welcome back. Are you ready? Let\'s go!\nStay with me...\n\nSecond paragraph.';
+
+    expect(proseToProgram(prose)).toBe(
+      [
+        'Welcome back.; 1',
+        'Are you ready?; 1.5',
+        'Let\'s go!; 1',
+        'Stay with me...; 3',
+        'Second paragraph.; 3',
+      ].join('\n')
+    );
+  });
+
+  test('uses the given pauses', () => {
+    const pauses = { sentence: 0.5, question: 2, paragraph: 4 };
+    expect(proseToProgram('One. Two?\n\nThree.', pauses)).toBe('One.; 0.5\nTwo?; 4\nThree.; 4');
+    expect(proseToProgram('Fading —\nout?', { trailing: 5 })).toBe('Fading — out?; 3');
+    expect(PROSE_PAUSES.paragraph).toBe(3);
+  });
+
+  test('turns Markdown headings into section lines and strips inline Markdown', () => {
+    const markdown = [
+      '# Morning *Practice* #',
+      'Read the [guide](https://example.com) first.',
+      '',
+      '## Steps',
+      '- **Sit** tall',
+      '- Relax your `jaw`',
+      '',
+      '---',
+      '> Quoted text.',
+    ].join('\n');
+
+    expect(proseToProgram(markdown)).toBe(
+      [
+        '## Morning Practice',
+        'Read the guide first.; 3',
+        '## Steps',
+        'Sit tall; 1',
+        'Relax your jaw; 3',
+        'Quoted text.; 3',
+      ].join('\n')
+    );
+  });
+
+  test('produces a valid program', () => {
+    const prose = '# Intro\nRound #1 starts now; breathe. Hold it!\n\nDone.';
+    const { phrases, errors } = parseProgram(proseToProgram(prose));
+
+    expect(errors).toEqual([]);
+    expect(phrases.map(p => [p.phrase, p.duration])).toEqual([
+      ['Round #1 starts now; breathe.', 1],
+      ['Hold it!', 3],
+      ['Done.', 3],
+    ]);
+  });
+});
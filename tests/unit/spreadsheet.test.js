@@ -0,0 +1,121 @@
+/**
+ * Tests for CSV/TSV spreadsheet import
+ */
+
+import {
+  guessColumnMapping,
+  headerSignature,
+  parseDelimited,
+  parseSpreadsheet,
+  spreadsheetToProgram,
+} from '../../scripts/utils/spreadsheet.js';
+import { parseProgram } from '../../scripts/utils/parser.js';
+
+describe('parseDelimited', () => {
+  test('splits comma separated rows', () => {
+    expect(parseDelimited('a,b\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('handles quoted cells with commas, quotes and line breaks', () => {
+    const csv = 'Text,Notes\r\n"Hello, world","Say ""hi""\nslowly"\r\n';
+    expect(parseDelimited(csv)).toEqual([
+      ['Text', 'Notes'],
+      ['Hello, world', 'Say "hi"\nslowly'],
+    ]);
+  });
+
+  test('detects tab and semicolon delimiters', () => {
+    expect(parseDelimited('a\tb,c\n1\t2,3')).toEqual([['a', 'b,c'], ['1', '2,3']]);
+    expect(parseDelimited('a;b\n1,5;2')).toEqual([['a', 'b'], ['1,5', '2']]);
+  });
+
+  test('skips blank rows and a byte order mark', () => {
+    expect(parseDelimited('\uFEFFa\n\n,\n1\n')).toEqual([['a'], ['1']]);
+  });
+
+  test('reports an unclosed quote', () => {
+    expect(() => parseDelimited('a\n"oops\n')).toThrow('Unclosed quote in row 2');
+  });
+});
+
+describe('parseSpreadsheet', () => {
+  test('separates the header row', () => {
+    expect(parseSpreadsheet(' Text , Pause\nHi,2')).toEqual({
+      headers: ['Text', 'Pause'],
+      rows: [['Hi', '2']],
+    });
+  });
+
+  test('rejects empty spreadsheets', () => {
+    expect(() => parseSpreadsheet('')).toThrow('Spreadsheet is empty');
+    expect(() => parseSpreadsheet('Text,Pause\n')).toThrow('Spreadsheet has no rows below the header');
+  });
+});
+
+describe('column mapping', () => {
+  test('guesses fields from common header names', () => {
+    expect(guessColumnMapping(['Notes', 'Line', 'Seconds', 'Speaker', 'Chapter'])).toEqual({
+      text: 1,
+      duration: 2,
+      voice: 3,
+      speed: null,
+      section: 4,
+      note: 0,
+    });
+  });
+
+  test('falls back to the first column for text', () => {
+    expect(guessColumnMapping(['What to say', 'How long']).text).toBe(0);
+  });
+
+  test('signature ignores case and surrounding spaces', () => {
+    expect(headerSignature([' Text', 'PAUSE '])).toBe(headerSignature(['text', 'pause']));
+    expect(headerSignature(['text', 'pause'])).not.toBe(headerSignature(['pause', 'text']));
+  });
+});
+
+describe('spreadsheetToProgram', () => {
+  const mapping = { text: 0, duration: 1, voice: 2, speed: 3, section: 4, note: 5 };
+
+  test('writes a phrase per row with overrides, sections and notes', () => {
+    const rows = [
+      ['Welcome', '2', '', '', 'Intro', ''],
+      ['Breathe in; slowly', '4', 'echo', '0.9', 'Intro', 'gentle'],
+      ['', '10', '', '', 'Rest', ''],
+      ['Round #1', '', 'nova', '', 'Rest', ''],
+      ['', '', '', '', '', 'just a note'],
+    ];
+
+    expect(spreadsheetToProgram(rows, mapping, { source: 'script.csv' })).toBe(
+      [
+        '# Imported from script.csv',
+        '## Intro',
+        'Welcome; 2',
+        '[voice=echo speed=0.9] Breathe in\\; slowly; 4 # gentle',
+        '## Rest',
+        '*; 10',
+        '[voice=nova] Round \\#1',
+      ].join('\n')
+    );
+  });
+
+  test('ignores unmapped fields and missing cells', () => {
+    const program = spreadsheetToProgram([['Hello', '3']], { text: 0, duration: null, voice: 7 });
+    expect(program).toBe('Hello');
+  });
+
+  test('imported programs parse back to the spreadsheet text', () => {
+    const rows = [
+      ['Breathe in; slowly', '4', 'echo', '0.9', 'Intro', 'gentle'],
+      ['Round #1', '1m', '', '', 'Intro', ''],
+    ];
+    const { phrases, errors } = parseProgram(spreadsheetToProgram(rows, mapping));
+
+    expect(errors).toEqual([]);
+    expect(phrases.map(p => [p.phrase, p.duration])).toEqual([
+      ['Breathe in; slowly', 4],
+      ['Round #1', 60],
+    ]);
+    expect(phrases[0].overrides).toEqual({ voice: 'echo', speed: 0.9 });
+  });
+});
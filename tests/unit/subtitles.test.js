@@ -0,0 +1,138 @@
+/**
+ * Tests for SRT/WebVTT subtitle import
+ */
+
+import { parseSubtitles, subtitlesToProgram } from '../../scripts/utils/subtitles.js';
+import { parseProgram } from '../../scripts/utils/parser.js';
+
+const SRT = `1
+00:00:02,000 --> 00:00:04,500
+Welcome to your session
+
+2
+00:00:06,000 --> 00:00:09,000
+<i>Breathe in</i>
+slowly; deeply
+
+3
+00:01:10,250 --> 00:01:12,000
+Rest #1
+`;
+
+const VTT = `WEBVTT
+
+NOTE This is a comment
+
+intro
+00:01.000 --> 00:02.500 align:start
+<v Coach>Stand tall</v>
+
+00:03.000 --> 00:04.000
+Fish &amp; chips
+`;
+
+describe('parseSubtitles', () => {
+  test('parses SRT cues with multi-line text', () => {
+    expect(parseSubtitles(SRT)).toEqual([
+      { start: 2, end: 4.5, text: 'Welcome to your session' },
+      { start: 6, end: 9, text: 'Breathe in slowly; deeply' },
+      { start: 70.25, end: 72, text: 'Rest #1' },
+    ]);
+  });
+
+  test('parses WebVTT cues, skipping the header, notes and settings', () => {
+    expect(parseSubtitles(VTT)).toEqual([
+      { start: 1, end: 2.5, text: 'Stand tall' },
+      { start: 3, end: 4, text: 'Fish & chips' },
+    ]);
+  });
+
+  test('handles CRLF line endings and a byte order mark', () => {
+    const cues = parseSubtitles('\uFEFF1\r\n00:00:01,000 --> 00:00:02,000\r\nHello\r\n');
+    expect(cues).toEqual([{ start: 1, end: 2, text: 'Hello' }]);
+  });
+
+  test('reports bad timings and empty files', () => {
+    expect(() => parseSubtitles('1\n00:00:xx --> 00:00:02,000\nHi')).toThrow(
+      'Invalid subtitle timing "00:00:xx --> 00:00:02,000"'
+    );
+    expect(() => parseSubtitles('WEBVTT\n')).toThrow('No subtitle cues found');
+  });
+});
+
+describe('subtitlesToProgram', () => {
+  test('turns gaps between cues into pauses', () => {
+    const program = subtitlesToProgram(parseSubtitles(SRT), { source: 'talk.srt' });
+
+    expect(program).toBe(
+      [
+        '# Imported from talk.srt',
+        '*; 2',
+        'Welcome to your session; 1.5',
+        'Breathe in slowly\\; deeply; 61.3',
+        'Rest \\#1; 1',
+      ].join('\n')
+    );
+  });
+
+  test('anchors phrases at their start times', () => {
+    const program = subtitlesToProgram(parseSubtitles(SRT), { timing: 'cues' });
+
+    expect(program).toBe(
+      [
+        '@at 00:02 Welcome to your session; 0',
+        '@at 00:06 Breathe in slowly\\; deeply; 0',
+        '@at 01:10.3 Rest \\#1; 1',
+      ].join('\n')
+    );
+  });
+
+  test('only anchors cues that start later than the previous one', () => {
+    const cues = [
+      { start: 1, end: 2, text: 'One' },
+      { start: 1, end: 3, text: 'Two' },
+    ];
+    expect(subtitlesToProgram(cues, { timing: 'cues' })).toBe('@at 00:01 One; 0\nTwo; 1');
+  });
+
+  test('escapes cue text that would read as program syntax', () => {
+    const cues = [
+      { start: 0, end: 1, text: '@home' },
+      { start: 1, end: 2, text: '## Chorus' },
+      { start: 2, end: 3, text: '[laughs]' },
+      { start: 3, end: 4, text: '{speed=2} quickly' },
+      { start: 4, end: 5, text: 'Hi {{name}}' },
+      { start: 5, end: 6, text: '*sighs*' },
+    ];
+
+    expect(subtitlesToProgram(cues)).toBe(
+      [
+        '\\@home; 0',
+        '\\#\\# Chorus; 0',
+        '\\[laughs]; 0',
+        '\\{speed=2} quickly; 0',
+        'Hi \\{\\{name}}; 0',
+        '\\*sighs*; 1',
+      ].join('\n')
+    );
+    for (const timing of ['pauses', 'cues']) {
+      const { phrases, sections, errors } = parseProgram(subtitlesToProgram(cues, { timing }));
+      expect(errors).toEqual([]);
+      expect(sections).toEqual([]);
+      expect(phrases.map(p => p.phrase)).toEqual(cues.map(cue => cue.text));
+      expect(phrases.some(p => p.overrides || p.modifiers)).toBe(false);
+    }
+  });
+
+  test('imported programs parse back to the original text', () => {
+    for (const timing of ['pauses', 'cues']) {
+      const { phrases, errors } = parseProgram(subtitlesToProgram(parseSubtitles(SRT), { timing }));
+      expect(errors).toEqual([]);
+      expect(phrases.map(p => p.phrase).filter(text => text !== '*')).toEqual([
+        'Welcome to your session',
+        'Breathe in slowly; deeply',
+        'Rest #1',
+      ]);
+    }
+  });
+});